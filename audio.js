@@ -0,0 +1,258 @@
+/**
+ * Audio Module - Audio Track Selection and Audio Outputs
+ *
+ * This module chooses which source audio tracks end up in the outputs and how
+ * they are encoded.
+ *
+ * Each selected track has a source (track number or language), an output
+ * language code and a mode:
+ * - stereo:      AAC 2.0, bitrate/sample rate from the encoding profile
+ *                (5.1 sources are downmixed L/R + -3 dB C/Ls/Rs)
+ * - ac3:         Dolby Digital, 384 kbps 5.1 (192 kbps 2.0, 96 kbps 1.0)
+ * - eac3:        Dolby Digital Plus, 384 kbps 5.1 (192 kbps 2.0, 96 kbps 1.0)
+ *                (the channel layout follows the probed source: mono, stereo or 5.1)
+ * - passthrough: the source AC-3/E-AC-3 stream unchanged
+ *
+ * CLI syntax: --audio <track|lang>[:lang][:mode], repeatable
+ *   --audio 1                     (first audio track, stereo)
+ *   --audio eng:eac3              (first English track, E-AC-3 5.1)
+ *   --audio 2:spa                 (second audio track, labelled Spanish)
+ *
+ * Without --audio the original behaviour is kept: the default track as
+ * stereo AAC on 'Audio Selector 1'.
+ *
+ * Outputs:
+ * - MP4: every selected track
+ * - CMAF: one audio rendition per track (_audio_{lang}, or _audio_{lang}_{mode} for a repeated language)
+ * - HLS: the first selected track, muxed into every rendition
+ *
+ * Dependencies:
+ * - loudness.js: Loudness normalization settings
+ */
+
+import { buildAudioNormalizationSettings } from './loudness.js';
+
+/**
+ * Supported output modes (see module header)
+ */
+export const AUDIO_MODES = ['stereo', 'ac3', 'eac3', 'passthrough'];
+
+/**
+ * Source codecs that can be passed through unchanged
+ */
+const PASSTHROUGH_CODECS = ['ac3', 'eac3'];
+
+/**
+ * Dolby (ac3/eac3) channel layouts by source channel count
+ * (6 = 5.1; unprobed sources are encoded as 5.1)
+ */
+const DOLBY_LAYOUTS = {
+  1: { ac3: 'CODING_MODE_1_0', eac3: 'CODING_MODE_1_0', bitrate: 96000 },
+  2: { ac3: 'CODING_MODE_2_0', eac3: 'CODING_MODE_2_0', bitrate: 192000 },
+  6: { ac3: 'CODING_MODE_3_2_LFE', eac3: 'CODING_MODE_3_2', bitrate: 384000 },
+};
+
+/**
+ * 5.1 → 2.0 downmix gains in dB for source channels L, R, C, LFE, Ls, Rs
+ * (-60 dB mutes a channel; the LFE is dropped as in a standard downmix)
+ */
+const STEREO_DOWNMIX = [
+  { InputChannels: [0, -60, -3, -60, -3, -60] },
+  { InputChannels: [-60, 0, -3, -60, -60, -3] },
+];
+
+/**
+ * Parse an --audio argument
+ *
+ * @param {string} value - '<track|lang>[:lang][:mode]'
+ * @returns {Object} Track spec {track, sourceLanguage, language, mode}
+ *   (track is 1-based; sourceLanguage selects by language when no track number is given)
+ * @throws {Error} If a part is not a track number, language code or mode
+ *
+ * Examples:
+ * - '2' → {track: 2, sourceLanguage: null, language: null, mode: 'stereo'}
+ * - 'eng:eac3' → {track: null, sourceLanguage: 'eng', language: 'eng', mode: 'eac3'}
+ * - '2:spa:ac3' → {track: 2, sourceLanguage: null, language: 'spa', mode: 'ac3'}
+ */
+export function parseAudioArgument(value) {
+  const [selector, ...rest] = value.toLowerCase().split(':');
+  const spec = { track: null, sourceLanguage: null, language: null, mode: 'stereo' };
+
+  if (/^\d+$/.test(selector) && parseInt(selector) >= 1) {
+    spec.track = parseInt(selector);
+  } else if (/^[a-z]{3}$/.test(selector)) {
+    spec.sourceLanguage = selector;
+    spec.language = selector;
+  } else {
+    throw new Error(`Invalid audio track "${selector}" in "${value}" (use a track number from 1 or a 3-letter language code)`);
+  }
+
+  for (const part of rest) {
+    if (AUDIO_MODES.includes(part)) {
+      spec.mode = part;
+    } else if (/^[a-z]{3}$/.test(part)) {
+      spec.language = part;
+    } else {
+      throw new Error(`Invalid audio option "${part}" in "${value}" (language code or mode: ${AUDIO_MODES.join(', ')})`);
+    }
+  }
+
+  return spec;
+}
+
+/**
+ * Resolve track specs against the probed audio streams
+ *
+ * Language selections are turned into track numbers when the source was
+ * probed; otherwise MediaConvert selects by language code. The output
+ * language defaults to the source stream's language tag.
+ *
+ * @param {Array<Object>} specs - Track specs from parseAudioArgument() (empty: default track)
+ * @param {Array<Object>|null} audioStreams - Probed streams [{track, codec, channels, language}] (null if the source wasn't probed)
+ * @returns {Array<Object>} Tracks [{selectorName, label, track, sourceLanguage, language, mode, channels, codec}]
+ *   (channels and codec are null when the source wasn't probed)
+ *   (label is unique per job and names per-track outputs, e.g. 'eng' or 'eng_eac3')
+ * @throws {Error} If a track or language doesn't exist, passthrough is used on a non-Dolby stream,
+ *   or ac3/eac3 is used on a stream that isn't mono, stereo or 5.1
+ */
+export function resolveAudioTracks(specs = [], audioStreams = null) {
+  if (specs.length === 0) {
+    return [{ selectorName: 'Audio Selector 1', label: null, track: null, sourceLanguage: null, language: null, mode: 'stereo', channels: null, codec: null }];
+  }
+
+  const labels = [];
+  return specs.map((spec, index) => {
+    let stream = null;
+    if (audioStreams) {
+      stream = spec.track
+        ? audioStreams.find(s => s.track === spec.track)
+        : audioStreams.find(s => s.language === spec.sourceLanguage);
+      if (!stream) {
+        const available = audioStreams.map(s => `${s.track}:${s.language}`).join(', ');
+        throw new Error(`Audio track ${spec.track || spec.sourceLanguage} not found in source (available: ${available || 'none'})`);
+      }
+      if (spec.mode === 'passthrough' && !PASSTHROUGH_CODECS.includes(stream.codec)) {
+        throw new Error(`Audio track ${stream.track} is ${stream.codec}; passthrough needs AC-3 or E-AC-3 (use ac3 or eac3 to encode 5.1)`);
+      }
+      if (['ac3', 'eac3'].includes(spec.mode) && stream.channels && !DOLBY_LAYOUTS[stream.channels]) {
+        throw new Error(`Audio track ${stream.track} has ${stream.channels} channels; ${spec.mode} needs a mono, stereo or 5.1 source (use stereo instead)`);
+      }
+    }
+
+    const streamLanguage = stream?.language && stream.language !== 'und' ? stream.language : null;
+    const language = spec.language || streamLanguage;
+
+    // Same language twice (e.g. stereo + 5.1): tell the outputs apart by mode, then by position
+    let label = language || String(index + 1);
+    if (labels.includes(label)) label = `${label}_${spec.mode}`;
+    if (labels.includes(label)) label = `${label}_${index + 1}`;
+    labels.push(label);
+
+    return {
+      selectorName: `Audio Selector ${index + 1}`,
+      label,
+      track: stream?.track ?? spec.track,
+      sourceLanguage: spec.sourceLanguage,
+      language,
+      mode: spec.mode,
+      channels: stream?.channels ?? null,
+      codec: stream?.codec ?? null,
+    };
+  });
+}
+
+/**
+ * Build the input AudioSelectors for the resolved tracks
+ *
+ * @param {Array<Object>} tracks - Tracks from resolveAudioTracks()
+ * @returns {Object} MediaConvert AudioSelectors
+ */
+export function buildAudioSelectors(tracks) {
+  return Object.fromEntries(tracks.map((track, index) => {
+    let selector;
+    if (track.track) {
+      selector = { Tracks: [track.track] };
+    } else if (track.sourceLanguage) {
+      selector = { SelectorType: 'LANGUAGE_CODE', LanguageCode: track.sourceLanguage.toUpperCase() };
+    } else {
+      selector = {};
+    }
+    // The first selector also catches sources whose tracks don't match
+    return [track.selectorName, { ...selector, ...(index === 0 && { DefaultSelection: 'DEFAULT' }) }];
+  }));
+}
+
+/**
+ * Codec settings for a track's mode
+ * @param {string} mode - One of AUDIO_MODES
+ * @param {Object} aac - Stereo AAC settings {bitrate, sampleRate} from the encoding profile
+ * @param {number|null} channels - Probed source channels (Dolby layout; null: 5.1)
+ * @returns {Object} MediaConvert CodecSettings
+ */
+function buildCodecSettings(mode, aac = { bitrate: 128000, sampleRate: 48000 }, channels = null) {
+  const dolby = DOLBY_LAYOUTS[channels] || DOLBY_LAYOUTS[6];
+  switch (mode) {
+    case 'ac3':
+      return { Codec: 'AC3', Ac3Settings: { Bitrate: dolby.bitrate, CodingMode: dolby.ac3, SampleRate: 48000 } };
+    case 'eac3':
+      return {
+        Codec: 'EAC3',
+        Eac3Settings: {
+          Bitrate: dolby.bitrate,
+          CodingMode: dolby.eac3,
+          ...(dolby.eac3 === 'CODING_MODE_3_2' && { LfeControl: 'LFE' }),
+          SampleRate: 48000,
+        },
+      };
+    case 'passthrough':
+      return { Codec: 'PASSTHROUGH' };
+    default:
+      return { Codec: 'AAC', AacSettings: { Bitrate: aac.bitrate, CodingMode: 'CODING_MODE_2_0', SampleRate: aac.sampleRate } };
+  }
+}
+
+/**
+ * Build one AudioDescription for a track
+ *
+ * @param {Object} track - Track from resolveAudioTracks(), optionally with
+ *   normalization (loudness settings from resolveLoudness(); ignored for passthrough)
+ *   and aac (stereo AAC bitrate/sample rate from the encoding profile)
+ * @returns {Object} MediaConvert AudioDescription
+ */
+export function buildAudioDescription(track) {
+  const description = {
+    AudioSourceName: track.selectorName,
+    CodecSettings: buildCodecSettings(track.mode, track.aac, track.channels),
+  };
+
+  if (track.language) {
+    description.LanguageCodeControl = 'USE_CONFIGURED';
+    description.LanguageCode = track.language.toUpperCase();
+  }
+
+  // Passthrough streams aren't decoded, so they can't be normalized
+  if (track.normalization && track.mode !== 'passthrough') {
+    description.AudioNormalizationSettings = buildAudioNormalizationSettings(track.normalization);
+  }
+
+  // Explicit downmix so the centre and surround channels aren't simply dropped
+  if (track.mode === 'stereo' && track.channels === 6) {
+    description.RemixSettings = {
+      ChannelsIn: 6,
+      ChannelsOut: 2,
+      ChannelMapping: { OutputChannels: STEREO_DOWNMIX },
+    };
+  }
+
+  return description;
+}
+
+/**
+ * Build the AudioDescriptions of a muxed output (MP4, HLS rendition)
+ *
+ * @param {Array<Object>} tracks - Tracks from resolveAudioTracks()
+ * @returns {Array<Object>} MediaConvert AudioDescriptions
+ */
+export function buildAudioDescriptions(tracks) {
+  return tracks.map(buildAudioDescription);
+}
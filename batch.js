@@ -0,0 +1,116 @@
+/**
+ * Batch Module - Process Many Videos Concurrently
+ *
+ * This module runs the single-video pipeline over a list of files with a
+ * concurrency limit and prints a summary table at the end.
+ *
+ * Key Features:
+ * - Configurable concurrency (config.batch.concurrency or --concurrency)
+ * - One failed file never stops the rest of the batch
+ * - Also used by --resume to continue interrupted runs
+ * - Clip ranges of one file run as separate tasks (labelled with the range)
+ * - Summary table with per-file status, sizes and compression ratio
+ *
+ * Dependencies:
+ * - pipeline.js: processVideo() and formatFileSize()
+ * - logger.js: Progress lines and the summary (human or JSON)
+ */
+
+import { processVideo, formatFileSize } from './pipeline.js';
+import { formatClipRange } from './mediaconvert.js';
+import { logger } from './logger.js';
+import path from 'path';
+import fs from 'fs';
+
+/**
+ * Run an async worker over items with at most `limit` in flight
+ *
+ * Results keep the order of the input items.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  // Each runner keeps pulling the next unclaimed item until none are left
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Process a list of videos with a concurrency limit
+ *
+ * Each task runs the full upload → transcode → download pipeline (or resumes
+ * an interrupted run when it carries a runId). Errors are caught per task and
+ * recorded in the result so the batch keeps going.
+ *
+ * @param {Array<Object>} tasks - [{filePath, options, runId?}]
+ * @param {number} concurrency - Maximum number of videos processed at once
+ * @returns {Promise<Array<Object>>} One result per task: processVideo() result plus {clip, status, error}
+ */
+export async function runBatch(tasks, concurrency = 3) {
+  logger.info(`📦 Batch mode: ${tasks.length} file(s), concurrency ${concurrency}\n`);
+
+  return runWithConcurrency(tasks, concurrency, async ({ filePath, options, runId }, index) => {
+    const clip = options?.clip || null;
+    const label = `[${index + 1}/${tasks.length}] ${path.basename(filePath)}${clip ? ` (${formatClipRange(clip)})` : ''}`;
+    logger.info(`\n▶️  ${label}: starting`);
+
+    try {
+      const result = await processVideo(filePath, options, runId);
+      logger.info(`\n✅ ${label}: complete`);
+      return { ...result, clip, status: 'complete', error: null };
+    } catch (error) {
+      logger.error(`\n❌ ${label}: failed - ${error.message}`);
+      const initialFileSize = fs.existsSync(filePath) ? fs.statSync(filePath).size : null;
+      return { filePath, clip, initialFileSize, status: 'failed', error: error.message };
+    }
+  });
+}
+
+/**
+ * Print the batch summary table
+ *
+ * Example:
+ *   File        Status    Input      Output     Ratio
+ *   clip1.mp4   complete  52.10 MB   12.40 MB   76.2%
+ *   clip2.mp4   failed    -          -          -      File not found: ./clip2.mp4
+ *
+ * @param {Array<Object>} results - Results from runBatch()
+ */
+export function printBatchSummary(results) {
+  const rows = results.map(result => [
+    `${path.basename(result.filePath)}${result.clip ? ` (${formatClipRange(result.clip)})` : ''}`,
+    result.status,
+    result.initialFileSize != null ? formatFileSize(result.initialFileSize) : '-',
+    result.completedFileSize != null ? formatFileSize(result.completedFileSize) : '-',
+    result.compressionRatio != null ? `${result.compressionRatio}%` : '-',
+    result.error || '',
+  ]);
+  const header = ['File', 'Status', 'Input', 'Output', 'Ratio', ''];
+
+  // Pad every column to its widest cell
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map(row => row[column].length)));
+  const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  const completed = results.filter(result => result.status === 'complete').length;
+
+  logger.event('batch.summary', { total: results.length, completed, failed: results.length - completed }, [
+    '\n=== Batch Summary ===',
+    formatRow(header),
+    ...rows.map(formatRow),
+    `\n${completed}/${results.length} completed, ${results.length - completed} failed`,
+  ]);
+}
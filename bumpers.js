@@ -0,0 +1,173 @@
+/**
+ * Bumpers Module - Intro/Outro Stitching
+ *
+ * This module adds a branded intro and/or outro to a job. MediaConvert
+ * stitches all job Inputs in order into every output, so a job with bumpers
+ * has up to three inputs: intro, main video, outro.
+ *
+ * How it works:
+ * - Bumpers are local files (uploaded once per version to the assets folder)
+ *   or existing s3:// URIs (used as they are)
+ * - Every bumper is probed with FFprobe (S3 bumpers are downloaded to a temp
+ *   folder for that) for its duration, so watermarks can be timed to the main
+ *   content, and for its audio streams
+ * - Outputs keep the main video's resolution; MediaConvert scales each bumper
+ *   to fit (letterboxed/pillarboxed when the aspect ratio differs)
+ * - Every input needs the same audio selector names as the main input. A
+ *   bumper with the main video's track layout maps track n to track n,
+ *   otherwise its first track feeds every selector. The bumper audio must
+ *   suit each track's mode (see matchBumperAudio), which is checked before
+ *   the job is submitted
+ *
+ * Bumpers are SDR (Rec.709); in HDR outputs MediaConvert converts them along
+ * with the main video.
+ *
+ * Dependencies:
+ * - upload.js: Asset upload and S3 download
+ * - fluent-ffmpeg: Bumper duration and audio probing
+ */
+
+import { uploadAsset, downloadFromS3, getContentType } from './upload.js';
+import { config } from './config.js';
+import ffmpeg from 'fluent-ffmpeg';
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+
+/**
+ * Probe a local bumper file
+ * @param {string} filePath - Local video file
+ * @returns {Promise<Object>} {durationMs, width, height, audioStreams}
+ *   (audioStreams: [{track, codec, channels, language}], track numbers 1-based)
+ * @throws {Error} If FFprobe fails or the file has no video stream
+ */
+function probeBumper(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      const videoStream = metadata.streams.find(s => s.codec_type === 'video');
+      if (!videoStream) {
+        reject(new Error('No video stream found'));
+        return;
+      }
+      resolve({
+        durationMs: Math.floor(metadata.format.duration * 1000),
+        width: videoStream.width,
+        height: videoStream.height,
+        audioStreams: metadata.streams
+          .filter(s => s.codec_type === 'audio')
+          .map((s, index) => ({ track: index + 1, codec: s.codec_name, channels: s.channels, language: s.tags?.language || 'und' })),
+      });
+    });
+  });
+}
+
+/**
+ * Probe a bumper that is already in S3 (downloaded to a temp folder and removed afterwards)
+ * @param {string} s3Uri - S3 URI of the bumper
+ * @returns {Promise<Object>} {durationMs, width, height, audioStreams}
+ */
+async function probeS3Bumper(s3Uri) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bumper-'));
+  try {
+    const localPath = await downloadFromS3(s3Uri, path.join(tempDir, path.basename(s3Uri)));
+    return await probeBumper(localPath);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Make a bumper available to MediaConvert and read its duration
+ *
+ * @param {string} source - Local file or s3:// URI
+ * @param {string} role - 'intro' or 'outro' (for logs and errors)
+ * @returns {Promise<Object>} {role, source, uri, durationMs, width, height, audioStreams}
+ * @throws {Error} If the file is missing or can't be probed
+ */
+export async function provisionBumper(source, role) {
+  const isS3 = source.startsWith('s3://');
+  if (!isS3 && !fs.existsSync(source)) {
+    throw new Error(`${role} file not found: ${source}`);
+  }
+
+  let details;
+  try {
+    details = isS3 ? await probeS3Bumper(source) : await probeBumper(source);
+  } catch (error) {
+    throw new Error(`Could not read ${role} ${source}: ${error.message}`);
+  }
+
+  const uri = isS3 ? source : await uploadAsset(source, getContentType(source), config.s3.assetsFolder);
+  return { role, source, uri, ...details };
+}
+
+/**
+ * Choose the bumper audio track for each of the job's audio tracks
+ *
+ * The bumper track with the main track's number (or language) is used when
+ * there is one, otherwise the first. MediaConvert encodes every input with
+ * the output's audio settings, so the chosen stream has to fit the mode:
+ * - passthrough: same codec and channels as the main track
+ * - ac3/eac3: same channels as the main track (5.1 when it wasn't probed)
+ * - stereo from a 5.1 track: 5.1 as well (the downmix expects 6 channels)
+ *
+ * @param {Object} bumper - Result of provisionBumper()
+ * @param {Array<Object>} audioTracks - Tracks from resolveAudioTracks()
+ * @returns {Array<number>} Bumper track (1-based) per audio track
+ * @throws {Error} If the bumper has no audio or a stream doesn't fit its track
+ */
+export function matchBumperAudio(bumper, audioTracks) {
+  if (bumper.audioStreams.length === 0) {
+    throw new Error(`The ${bumper.role} ${bumper.source} has no audio track; MediaConvert needs audio in every input (add a silent track)`);
+  }
+
+  return audioTracks.map(track => {
+    const stream = bumper.audioStreams.find(s => (track.track ? s.track === track.track : s.language === track.sourceLanguage))
+      || bumper.audioStreams[0];
+    const describe = `The ${bumper.role}'s audio track ${stream.track} (${stream.codec}, ${stream.channels} channels)`;
+
+    if (track.mode === 'passthrough' && track.codec && stream.codec !== track.codec) {
+      throw new Error(`${describe} can't be passed through with the main video's ${track.codec} track; use a ${track.codec} ${bumper.role}`);
+    }
+    const channels = ['ac3', 'eac3'].includes(track.mode)
+      ? track.channels || 6
+      : track.mode === 'passthrough' || (track.mode === 'stereo' && track.channels === 6) ? track.channels : null;
+    if (channels && stream.channels !== channels) {
+      throw new Error(`${describe} doesn't fit the ${track.mode} output, which expects ${channels} channels; give the ${bumper.role} a ${channels}-channel track`);
+    }
+    return stream.track;
+  });
+}
+
+/**
+ * Build the Input of a bumper
+ *
+ * @param {Object} bumper - Result of provisionBumper()
+ * @param {Array<Object>} audioTracks - Tracks from resolveAudioTracks() (selector names of the main input)
+ * @returns {Object} MediaConvert Input
+ * @throws {Error} If the bumper audio doesn't fit the tracks (see matchBumperAudio)
+ */
+export function buildBumperInput(bumper, audioTracks) {
+  const bumperTracks = matchBumperAudio(bumper, audioTracks);
+  return {
+    FileInput: bumper.uri,
+    TimecodeSource: 'ZEROBASED',
+    VideoSelector: {
+      ColorSpace: 'REC_709',
+      Rotate: 'AUTO',
+      ColorSpaceUsage: 'FALLBACK',
+    },
+    // Same selector names as the main input, reading the matching bumper tracks
+    AudioSelectors: Object.fromEntries(audioTracks.map((track, index) => [
+      track.selectorName,
+      {
+        Tracks: [bumperTracks[index]],
+        ...(index === 0 && { DefaultSelection: 'DEFAULT' }),
+      },
+    ])),
+  };
+}
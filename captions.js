@@ -0,0 +1,245 @@
+/**
+ * Captions Module - Caption Ingestion and Caption Outputs
+ *
+ * This module turns caption files delivered with a video (SRT, WebVTT, SCC)
+ * into MediaConvert caption selectors and caption outputs.
+ *
+ * Each caption track has a language and an output mode:
+ * - sidecar: WebVTT file next to the MP4 ({name}_{timestamp}_{lang}.vtt)
+ * - embed:   CEA-608 captions embedded in the MP4 (up to 4 languages)
+ * - burn:    subtitles burned into the picture (one language per job, applied
+ *            to every video output including HLS/CMAF renditions)
+ *
+ * CLI syntax: --captions <file>[:lang[:mode]], repeatable
+ *   --captions subs.en.srt                  (default language and mode)
+ *   --captions subs.es.vtt:spa:burn
+ *
+ * Caption files are uploaded to the input folder under a content-versioned key;
+ * s3:// URIs are used as they are.
+ *
+ * Dependencies:
+ * - config.js: Default language and mode
+ * - upload.js: Caption file upload
+ */
+
+import { config } from './config.js';
+import { uploadAsset } from './upload.js';
+import path from 'path';
+
+/**
+ * Supported output modes (see module header)
+ */
+export const CAPTION_MODES = ['sidecar', 'embed', 'burn'];
+
+/**
+ * Caption source types by file extension
+ */
+const CAPTION_SOURCE_TYPES = {
+  '.srt': 'SRT',
+  '.vtt': 'WEBVTT',
+  '.scc': 'SCC',
+};
+
+/**
+ * Content types used when uploading caption files
+ */
+const CAPTION_CONTENT_TYPES = {
+  '.srt': 'application/x-subrip',
+  '.vtt': 'text/vtt',
+  '.scc': 'text/plain',
+};
+
+/**
+ * Maximum number of embedded (CEA-608) languages: one per 608 channel
+ */
+const MAX_EMBEDDED_LANGUAGES = 4;
+
+/**
+ * Parse a --captions argument
+ *
+ * @param {string} value - '<file>[:lang[:mode]]'
+ * @returns {Object} Caption track {file, language, mode}; language is an ISO 639-2 code ('eng')
+ * @throws {Error} If the file type, language or mode is invalid
+ *
+ * Examples:
+ * - 'subs.srt' → {file: 'subs.srt', language: 'eng', mode: 'sidecar'}
+ * - 'subs.vtt:spa:burn' → {file: 'subs.vtt', language: 'spa', mode: 'burn'}
+ */
+export function parseCaptionArgument(value) {
+  // s3://bucket/key contains a ':' of its own, so only split the part after the scheme
+  const scheme = value.startsWith('s3://') ? 's3://' : '';
+  const [file, language = config.captions.defaultLanguage, mode = config.captions.defaultMode] = value.slice(scheme.length).split(':');
+  const caption = { file: `${scheme}${file}`, language: language.toLowerCase(), mode: mode.toLowerCase() };
+  validateCaption(caption);
+  return caption;
+}
+
+/**
+ * Validate a caption track
+ *
+ * @param {Object} caption - Caption track {file, language, mode}
+ * @throws {Error} If the file type, language or mode is invalid
+ */
+function validateCaption({ file, language, mode }) {
+  if (!CAPTION_SOURCE_TYPES[path.extname(file).toLowerCase()]) {
+    throw new Error(`Unsupported caption file "${file}" (supported: ${Object.keys(CAPTION_SOURCE_TYPES).join(', ')})`);
+  }
+  if (!/^[a-z]{3}$/.test(language)) {
+    throw new Error(`Invalid caption language "${language}" for ${file} (use a 3-letter ISO 639-2 code, e.g. eng, spa, fra)`);
+  }
+  if (!CAPTION_MODES.includes(mode)) {
+    throw new Error(`Invalid caption mode "${mode}" for ${file} (available: ${CAPTION_MODES.join(', ')})`);
+  }
+}
+
+/**
+ * Validate a list of caption tracks as a whole
+ *
+ * - Every track is valid on its own
+ * - A language appears once (output names and selectors are per language)
+ * - At most one burned-in language, at most MAX_EMBEDDED_LANGUAGES embedded
+ *
+ * @param {Array<Object>} captions - Caption tracks [{file, language, mode}]
+ * @throws {Error} Describing the first problem found
+ */
+export function validateCaptions(captions) {
+  captions.forEach(validateCaption);
+
+  const languages = captions.map(caption => caption.language);
+  const duplicate = languages.find((language, index) => languages.indexOf(language) !== index);
+  if (duplicate) {
+    throw new Error(`Caption language "${duplicate}" given more than once`);
+  }
+  if (captions.filter(caption => caption.mode === 'burn').length > 1) {
+    throw new Error('Only one caption language can be burned in');
+  }
+  if (captions.filter(caption => caption.mode === 'embed').length > MAX_EMBEDDED_LANGUAGES) {
+    throw new Error(`At most ${MAX_EMBEDDED_LANGUAGES} caption languages can be embedded`);
+  }
+}
+
+/**
+ * Upload caption files that are still local
+ *
+ * @param {Array<Object>} captions - Caption tracks [{file, language, mode}]
+ * @returns {Promise<Array<Object>>} Tracks with their S3 URI added: [{file, language, mode, uri}]
+ */
+export async function uploadCaptions(captions) {
+  const uploaded = [];
+  for (const caption of captions) {
+    const extension = path.extname(caption.file).toLowerCase();
+    const uri = caption.file.startsWith('s3://')
+      ? caption.file
+      : await uploadAsset(caption.file, CAPTION_CONTENT_TYPES[extension], config.s3.inputFolder);
+    uploaded.push({ ...caption, uri });
+  }
+  return uploaded;
+}
+
+/**
+ * Name of the caption selector for a track
+ * @param {number} index - Position in the caption list
+ * @returns {string} e.g. 'Captions Selector 1'
+ */
+function selectorName(index) {
+  return `Captions Selector ${index + 1}`;
+}
+
+/**
+ * Build the input CaptionSelectors, one per caption file
+ *
+ * @param {Array<Object>} captions - Uploaded caption tracks [{uri, language}]
+ * @returns {Object} MediaConvert CaptionSelectors
+ */
+export function buildCaptionSelectors(captions) {
+  return Object.fromEntries(captions.map((caption, index) => [
+    selectorName(index),
+    {
+      LanguageCode: caption.language.toUpperCase(),
+      SourceSettings: {
+        SourceType: CAPTION_SOURCE_TYPES[path.extname(caption.uri).toLowerCase()],
+        FileSourceSettings: {
+          SourceFile: caption.uri,
+        },
+      },
+    },
+  ]));
+}
+
+/**
+ * Build the CaptionDescriptions carried by a video output
+ *
+ * Burned-in and (for MP4) embedded tracks travel with the video; sidecar
+ * tracks get outputs of their own (buildSidecarOutputs).
+ *
+ * @param {Array<Object>} captions - Uploaded caption tracks [{language, mode}]
+ * @param {Object} options - Output options
+ * @param {boolean} options.embed - Include embedded tracks (MP4 outputs only)
+ * @returns {Array<Object>} MediaConvert CaptionDescriptions (empty when none apply)
+ */
+export function buildVideoCaptionDescriptions(captions, { embed = true } = {}) {
+  const descriptions = [];
+  let channel = 1;
+
+  captions.forEach((caption, index) => {
+    if (caption.mode === 'burn') {
+      descriptions.push({
+        CaptionSelectorName: selectorName(index),
+        LanguageCode: caption.language.toUpperCase(),
+        DestinationSettings: {
+          DestinationType: 'BURN_IN',
+          BurninDestinationSettings: {
+            Alignment: 'CENTERED',
+            FontColor: 'WHITE',
+            FontOpacity: 255,
+            OutlineColor: 'BLACK',
+            OutlineSize: 2,
+            TeletextSpacing: 'PROPORTIONAL',
+          },
+        },
+      });
+    } else if (caption.mode === 'embed' && embed) {
+      descriptions.push({
+        CaptionSelectorName: selectorName(index),
+        LanguageCode: caption.language.toUpperCase(),
+        DestinationSettings: {
+          DestinationType: 'EMBEDDED',
+          EmbeddedDestinationSettings: {
+            Destination608ChannelNumber: channel++,
+          },
+        },
+      });
+    }
+  });
+
+  return descriptions;
+}
+
+/**
+ * Build the sidecar outputs for a file group, one WebVTT file per language
+ *
+ * @param {Array<Object>} captions - Uploaded caption tracks [{language, mode}]
+ * @param {string} nameModifier - Name modifier of the MP4 (e.g. '_1729000000000')
+ * @returns {Array<Object>} MediaConvert Outputs → {name}{nameModifier}_{lang}.vtt
+ */
+export function buildSidecarOutputs(captions, nameModifier) {
+  return captions
+    .map((caption, index) => ({ caption, index }))
+    .filter(({ caption }) => caption.mode === 'sidecar')
+    .map(({ caption, index }) => ({
+      NameModifier: `${nameModifier}_${caption.language}`,
+      Extension: 'vtt',
+      ContainerSettings: {
+        Container: 'RAW',
+      },
+      CaptionDescriptions: [
+        {
+          CaptionSelectorName: selectorName(index),
+          LanguageCode: caption.language.toUpperCase(),
+          DestinationSettings: {
+            DestinationType: 'WEBVTT',
+          },
+        },
+      ],
+    }));
+}
@@ -0,0 +1,234 @@
+/**
+ * Codecs Module - Video Codec Settings (H.264, H.265/HEVC, AV1)
+ *
+ * This module knows what each output video codec supports and builds its
+ * MediaConvert codec settings:
+ *
+ * | Codec | MediaConvert | Rate control   | Containers | HLS (TS) |
+ * |-------|--------------|----------------|------------|----------|
+ * | h264  | H_264        | QVBR, VBR, CBR | mp4, mov   | yes      |
+ * | h265  | H_265        | QVBR, VBR, CBR | mp4, mov   | yes (*)  |
+ * | av1   | AV1          | QVBR           | mp4        | no       |
+ * (*) Apple devices only play HEVC from fMP4, so prefer --cmaf for HEVC streaming
+ *
+ * Bitrate efficiency:
+ * Newer codecs need fewer bits for the same quality. The bitrate scaling in
+ * mediaconvert.js multiplies by codecBitrateFactor(source, output), the
+ * output codec's efficiency relative to the source codec's (H.264 = 1.0).
+ * A 10 Mbps H.264 source encoded as HEVC targets 6 Mbps; an HEVC source
+ * encoded as H.264 targets its bitrate / 0.6.
+ *
+ * HDR:
+ * Video settings with bitDepth 10 (set by hdr.js when HDR is preserved)
+ * encode HEVC as Main10 and AV1 as 10-bit. H.264 stays 8-bit SDR.
+ *
+ * Apple playback:
+ * HEVC in MP4/MOV/CMAF is tagged 'hvc1' (parameter sets in the sample
+ * description), which QuickTime, Safari and iOS require; 'hev1' files don't play.
+ *
+ * Dependencies:
+ * - None (pure settings builders)
+ */
+
+/**
+ * Output video codecs (see module header)
+ */
+export const VIDEO_CODECS = {
+  h264: {
+    label: 'H.264/AVC',
+    codec: 'H_264',
+    efficiency: 1.0,
+    rateControls: ['QVBR', 'VBR', 'CBR'],
+    qualityTuning: true,
+    containers: ['mp4', 'mov'],
+    hls: true,
+  },
+  h265: {
+    label: 'H.265/HEVC',
+    codec: 'H_265',
+    efficiency: 0.6,
+    rateControls: ['QVBR', 'VBR', 'CBR'],
+    qualityTuning: true,
+    containers: ['mp4', 'mov'],
+    hls: true,
+  },
+  av1: {
+    label: 'AV1',
+    codec: 'AV1',
+    efficiency: 0.5,
+    rateControls: ['QVBR'],
+    qualityTuning: false,
+    containers: ['mp4'],
+    hls: false,
+  },
+};
+
+/**
+ * Efficiency of common source codecs relative to H.264 (FFprobe codec names)
+ * Unknown codecs count as H.264.
+ */
+const SOURCE_CODEC_EFFICIENCY = {
+  h264: 1.0,
+  hevc: 0.6,
+  av1: 0.5,
+  vp9: 0.65,
+  vp8: 1.0,
+  mpeg4: 1.4,
+  mpeg2video: 2.0,
+};
+
+/**
+ * Bitrate factor for encoding a source codec as an output codec
+ *
+ * @param {string} sourceCodec - FFprobe codec name of the source (e.g. 'h264', 'hevc'); unknown → H.264
+ * @param {string} outputCodec - Output codec (key of VIDEO_CODECS)
+ * @returns {number} Multiplier for the source bitrate (e.g. h264 → h265 = 0.6)
+ */
+export function codecBitrateFactor(sourceCodec, outputCodec) {
+  const sourceEfficiency = SOURCE_CODEC_EFFICIENCY[sourceCodec] || 1.0;
+  return VIDEO_CODECS[outputCodec].efficiency / sourceEfficiency;
+}
+
+/**
+ * Check video settings against what the codec supports
+ *
+ * @param {Object} video - Profile video settings {codec, rateControl, qualityTuningLevel, ...}
+ * @param {string} container - File container ('mp4', 'mov')
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateCodecSettings(video, container) {
+  const definition = VIDEO_CODECS[video.codec];
+  if (!definition) {
+    return [`unknown codec "${video.codec}" (available: ${Object.keys(VIDEO_CODECS).join(', ')})`];
+  }
+
+  const errors = [];
+  if (!definition.rateControls.includes(video.rateControl)) {
+    errors.push(`${definition.label} supports rate control ${definition.rateControls.join(', ')} (got ${video.rateControl})`);
+  }
+  if (definition.qualityTuning && !video.qualityTuningLevel) {
+    errors.push(`${definition.label} needs a qualityTuningLevel`);
+  }
+  if (!definition.qualityTuning && video.qualityTuningLevel) {
+    errors.push(`${definition.label} has no qualityTuningLevel (remove it)`);
+  }
+  if (!definition.containers.includes(container)) {
+    errors.push(`${definition.label} can't be written to ${container} (use ${definition.containers.join(' or ')})`);
+  }
+  return errors;
+}
+
+/**
+ * Average and peak bitrate of a VBR encode
+ *
+ * Peaks go up to 1.5x the average but never above the profile's maxBitrate,
+ * so near the cap the average is lowered to maxBitrate / 1.5.
+ *
+ * @param {number} bitrate - Output bitrate in bps
+ * @param {number} maxBitrate - Profile maximum in bps
+ * @returns {Object} {average, peak} in bps
+ */
+export function vbrBitrates(bitrate, maxBitrate) {
+  return {
+    average: Math.min(bitrate, Math.round(maxBitrate / 1.5)),
+    peak: Math.min(Math.round(bitrate * 1.5), maxBitrate),
+  };
+}
+
+/**
+ * Build the rate control part shared by all codecs
+ *
+ * - QVBR: quality-defined, bitrate is the cap (optionally with a quality level)
+ * - VBR: bitrate is the average, peaks up to 1.5x within maxBitrate (see vbrBitrates)
+ * - CBR: constant bitrate
+ *
+ * @param {Object} video - Profile video settings {rateControl, maxBitrate, qvbrQualityLevel}
+ * @param {number} bitrate - Output bitrate in bps
+ * @returns {Object} Bitrate and QVBR fields
+ */
+function buildRateSettings(video, bitrate) {
+  const vbr = vbrBitrates(bitrate, video.maxBitrate);
+  return {
+    QVBR: {
+      MaxBitrate: bitrate,
+      ...(video.qvbrQualityLevel && { QvbrSettings: { QvbrQualityLevel: video.qvbrQualityLevel } }),
+    },
+    VBR: { Bitrate: vbr.average, MaxBitrate: vbr.peak },
+    CBR: { Bitrate: bitrate },
+  }[video.rateControl];
+}
+
+/**
+ * Build the CodecSettings of a VideoDescription
+ *
+ * @param {Object} video - Profile video settings (see profiles.js); bitDepth 10 for HDR output
+ * @param {number} bitrate - Output bitrate in bps
+ * @param {Object} options - Output options
+ * @param {boolean} options.mp4Packaging - Output is ISO-BMFF (MP4, MOV, CMAF), so HEVC gets the hvc1 tag
+ *   (false for HLS TS segments)
+ * @returns {Object} MediaConvert CodecSettings
+ */
+export function buildVideoCodecSettings(video, bitrate, { mp4Packaging = true } = {}) {
+  const rateSettings = buildRateSettings(video, bitrate);
+
+  switch (video.codec) {
+    case 'h265':
+      return {
+        Codec: 'H_265',
+        H265Settings: {
+          ...rateSettings,
+          RateControlMode: video.rateControl,
+          QualityTuningLevel: video.qualityTuningLevel,
+          SceneChangeDetect: 'TRANSITION_DETECTION',
+          CodecProfile: video.bitDepth === 10 ? 'MAIN10_MAIN' : 'MAIN_MAIN',
+          CodecLevel: 'AUTO',
+          // 'hvc1' sample entries: required for playback on Apple devices
+          ...(mp4Packaging && { WriteMp4PackagingType: 'HVC1' }),
+        },
+      };
+    case 'av1':
+      return {
+        Codec: 'AV1',
+        Av1Settings: {
+          ...rateSettings,
+          RateControlMode: 'QVBR',
+          ...(video.bitDepth === 10 && { BitDepth: 'BIT_10' }),
+        },
+      };
+    default:
+      return {
+        Codec: 'H_264',
+        H264Settings: {
+          ...rateSettings,
+          RateControlMode: video.rateControl,
+          QualityTuningLevel: video.qualityTuningLevel,
+          SceneChangeDetect: 'TRANSITION_DETECTION',
+        },
+      };
+  }
+}
+
+/**
+ * Switch a profile's video settings to another codec (--codec)
+ *
+ * Keeps the profile's caps and rate control; the quality tuning level is
+ * dropped for codecs without one and defaults to SINGLE_PASS_HQ for codecs
+ * that need one.
+ *
+ * @param {Object} video - Profile video settings
+ * @param {string} codec - Output codec (key of VIDEO_CODECS)
+ * @returns {Object} Video settings for the codec (validate with validateCodecSettings())
+ */
+export function withCodec(video, codec) {
+  const definition = VIDEO_CODECS[codec];
+  if (!definition) {
+    return { ...video, codec };
+  }
+
+  const { qualityTuningLevel, ...rest } = video;
+  return {
+    ...rest,
+    codec,
+    ...(definition.qualityTuning && { qualityTuningLevel: qualityTuningLevel || 'SINGLE_PASS_HQ' }),
+  };
+}
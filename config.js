@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
 
 /**
  * Configuration Module
@@ -6,8 +7,22 @@ import dotenv from 'dotenv';
  * This module loads and validates all environment variables from .env file.
  * It sets up configuration for:
  * - AWS credentials (access key, secret, region)
- * - S3 bucket settings (bucket name, input/output folders)
+ * - S3 bucket settings (bucket name, input/output/assets folders, presigned URLs)
  * - MediaConvert service settings (endpoint, IAM role, queue, polling interval)
+ * - Thumbnail / poster frame capture and sprite sheet settings
+ * - Caption defaults
+ * - Audio loudness normalization
+ * - HDR handling (preserve HDR10/HLG or tone-map to SDR)
+ * - Intro/outro bumpers
+ * - Social reframing defaults (9:16 / 1:1 crop or letterbox)
+ * - Encoding profiles file and default profile
+ * - Batch processing settings (concurrency)
+ * - Local run state file (for --resume)
+ * - Job event queue (EventBridge → SQS) as an alternative to polling
+ * - HTTP API server (port, upload folder, API key)
+ * - Webhooks (URLs, HMAC secret, retries)
+ * - Watch mode (poll interval, stable time for partially written files)
+ * - Logging (level, human or JSON output)
  * 
  * Validation happens on module load (fail-fast approach).
  * Invalid configuration will cause the application to exit immediately.
@@ -23,6 +38,21 @@ dotenv.config();
  * - aws: AWS credentials and region
  * - s3: S3 bucket configuration
  * - mediaconvert: MediaConvert job settings
+ * - thumbnails: Frame capture (thumbnail strip + poster) settings
+ * - captions: Caption defaults (language, output mode)
+ * - loudness: Audio loudness normalization (standard, target)
+ * - hdr: HDR source handling mode
+ * - bumpers: Default intro/outro bumpers
+ * - framing: Default framing mode and crop anchor for --aspect
+ * - profiles: Encoding profiles file and default profile
+ * - sprites: WebVTT sprite sheet grid
+ * - batch: Batch mode settings
+ * - state: Local run state store
+ * - events: MediaConvert job state events via SQS
+ * - server: HTTP API (server.js)
+ * - webhooks: Signed job event notifications
+ * - watch: Watch mode (--watch)
+ * - logging: Log level and format (logger.js)
  */
 export const config = {
   aws: {
@@ -40,6 +70,12 @@ export const config = {
     inputFolder: process.env.S3_INPUT_FOLDER || 'input',
     // Output Folder - Where processed videos are saved (default: 'output')
     outputFolder: process.env.S3_OUTPUT_FOLDER || 'output',
+    // Assets Folder - Where watermark images are uploaded (default: 'assets')
+    assetsFolder: process.env.S3_ASSETS_FOLDER || 'assets',
+    // Presigned URL Expiry - How long presigned upload and download URLs stay valid (default: 3600s, max 7 days)
+    presignExpiresSeconds: Number(process.env.PRESIGNED_URL_EXPIRES_SECONDS || 3600),
+    // Upload Part Size - Part size of presigned browser uploads in MB (default: 64, at least 5)
+    uploadPartSizeMb: parseInt(process.env.PRESIGNED_UPLOAD_PART_SIZE_MB) || 64,
   },
   mediaconvert: {
     // MediaConvert Endpoint URL - Auto-constructed if not provided
@@ -57,6 +93,135 @@ export const config = {
     // Watermark Opacity - Opacity level for watermarks (0-100, default: 50)
     // 100 = fully opaque, 0 = fully transparent
     watermarkOpacity: parseInt(process.env.WATERMARK_OPACITY) || 50,
+    // Watermark File - Local PNG used when no --watermark is given
+    // (default: the repo's watermark.png, uploaded automatically if missing from S3)
+    watermarkFile: process.env.WATERMARK_FILE || fileURLToPath(new URL('./watermark.png', import.meta.url)),
+    // Watermark Font File - Font for recipient text watermarks (default: FFmpeg/fontconfig default font)
+    watermarkFontFile: process.env.WATERMARK_FONT_FILE || '',
+    // Watermark Layout - Where the watermark appears (default: two-corners)
+    // two-corners, four-corners, center, custom, random, tile (see watermark.js)
+    watermarkLayout: process.env.WATERMARK_LAYOUT || 'two-corners',
+    // Watermark Anchors - Anchor points for the custom layout: "x,y;x,y" with x/y from 0 to 1
+    // 0,0 = top-left corner position, 1,1 = bottom-right corner position
+    watermarkAnchors: process.env.WATERMARK_ANCHORS || '',
+  },
+  thumbnails: {
+    // Thumbnail Interval - Seconds between thumbnail captures (default: 10)
+    // Can be overridden per run with --thumbnail-interval
+    intervalSeconds: parseInt(process.env.THUMBNAIL_INTERVAL_SECONDS) || 10,
+    // Thumbnail Width - Width of the thumbnail strip images in pixels (default: 320)
+    // Height follows the output aspect ratio; the poster uses the full output resolution
+    width: parseInt(process.env.THUMBNAIL_WIDTH) || 320,
+    // JPEG Quality - 1-100 (default: 80)
+    quality: parseInt(process.env.THUMBNAIL_QUALITY) || 80,
+  },
+  captions: {
+    // Default Caption Language - ISO 639-2 code used when --captions has no :lang (default: eng)
+    defaultLanguage: (process.env.CAPTION_LANGUAGE || 'eng').toLowerCase(),
+    // Default Caption Mode - sidecar, embed or burn when --captions has no :mode (default: sidecar)
+    defaultMode: (process.env.CAPTION_MODE || 'sidecar').toLowerCase(),
+  },
+  loudness: {
+    // Loudness Standard - Normalize audio to ebu-r128 or atsc-a85 (default: off)
+    // Can be overridden per run with --loudness
+    standard: (process.env.LOUDNESS_STANDARD || '').toLowerCase(),
+    // Loudness Target - Integrated loudness in LUFS replacing the standard's (-23 / -24)
+    // Can be overridden per run with --loudness-target
+    targetLufs: process.env.LOUDNESS_TARGET_LUFS || '',
+  },
+  hdr: {
+    // HDR Mode - How HDR10/HLG sources are encoded (default: auto)
+    // auto: keep HDR for HEVC/AV1 profiles, tone-map to SDR otherwise; preserve: always keep
+    // HDR (10-bit HEVC); tonemap: always SDR. Can be overridden per run with --hdr
+    mode: (process.env.HDR_MODE || 'auto').toLowerCase(),
+  },
+  bumpers: {
+    // Intro / Outro - Optional: Local video file or s3:// URI stitched before/after every video
+    // Can be overridden per run with --intro / --outro ('none' disables)
+    intro: process.env.INTRO_FILE || null,
+    outro: process.env.OUTRO_FILE || null,
+  },
+  framing: {
+    // Framing Mode - How --aspect 9:16 / 1:1 reframes the video: crop, pad or blur (default: crop)
+    // Can be overridden per run with --framing (a profile's framing takes precedence)
+    mode: (process.env.FRAMING_MODE || 'crop').toLowerCase(),
+    // Crop Anchor - Where the crop window sits: center, left, right, top, bottom or 0-1 (default: center)
+    // Can be overridden per run with --crop-anchor
+    anchor: (process.env.CROP_ANCHOR || 'center').toLowerCase(),
+  },
+  profiles: {
+    // Profiles File - JSON file with named encoding profiles (default: the repo's profiles.json)
+    // Validated against the schema in profiles.js on load
+    file: process.env.PROFILES_FILE || fileURLToPath(new URL('./profiles.json', import.meta.url)),
+    // Default Profile - Used when no --profile is given (default: web-1080)
+    default: process.env.DEFAULT_PROFILE || 'web-1080',
+  },
+  sprites: {
+    // Sprite Sheet Grid - Thumbnails per row and rows per sheet (default: 10x10)
+    // Longer videos are split over several sheets
+    columns: parseInt(process.env.SPRITE_COLUMNS) || 10,
+    rows: parseInt(process.env.SPRITE_ROWS) || 10,
+  },
+  batch: {
+    // Batch Concurrency - How many videos are processed at the same time (default: 3)
+    // Can be overridden per run with --concurrency
+    concurrency: Number(process.env.BATCH_CONCURRENCY || 3),
+  },
+  state: {
+    // State File - Local JSON file recording each run's stage (default: .mediaconvert/state.json)
+    // Used by --resume to pick up interrupted uploads, jobs and downloads
+    file: process.env.STATE_FILE || '.mediaconvert/state.json',
+  },
+  events: {
+    // Events Queue URL - Optional: SQS queue receiving MediaConvert job state change events
+    // (EventBridge rule → SQS). When set, jobs are monitored via events instead of polling
+    queueUrl: process.env.MEDIACONVERT_EVENTS_QUEUE_URL,
+    // SQS Endpoint - Optional: Override for a local SQS stand-in (e.g. ElasticMQ at http://localhost:9324)
+    sqsEndpoint: process.env.SQS_ENDPOINT,
+    // Long Poll Wait - Seconds each ReceiveMessage call waits for events (0-20, default: 20)
+    waitTimeSeconds: parseInt(process.env.SQS_WAIT_TIME_SECONDS) || 20,
+    // Reconcile Interval - How often to double-check job status with GetJob while waiting
+    // for events, in case an event is lost (default: 60000ms)
+    reconcileIntervalMs: parseInt(process.env.MEDIACONVERT_EVENTS_RECONCILE_MS) || 60000,
+  },
+  server: {
+    // Port / Host - Where the HTTP API listens (default: 3000 on 127.0.0.1)
+    port: parseInt(process.env.SERVER_PORT) || 3000,
+    host: process.env.SERVER_HOST || '127.0.0.1',
+    // Upload Folder - Where uploaded videos are kept until their job is created (default: .mediaconvert/uploads)
+    uploadDir: process.env.SERVER_UPLOAD_DIR || '.mediaconvert/uploads',
+    // Max Upload Size - Largest multipart upload to POST /jobs in MB; larger ones get 413 (default: 5120)
+    maxUploadMb: Number(process.env.SERVER_MAX_UPLOAD_MB || 5120),
+    // API Key - Optional: Clients must send "Authorization: Bearer <key>" when set
+    apiKey: process.env.API_KEY || '',
+  },
+  webhooks: {
+    // Webhook URLs - Optional: Comma-separated URLs receiving job events (submitted, progressing, complete, error)
+    urls: (process.env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+    // Webhook Secret - HMAC-SHA256 key signing every payload (required when URLs are set)
+    secret: process.env.WEBHOOK_SECRET || '',
+    // Attempts - Deliveries per event and URL before giving up (default: 5)
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    // Retry Backoff - Wait before the first retry, doubled for each further one (default: 1000ms)
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 1000,
+    // Timeout - How long a receiver has to answer (default: 10000ms)
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    // Progress Step - Percentage points between 'progressing' events (default: 10)
+    progressStep: parseInt(process.env.WEBHOOK_PROGRESS_STEP) || 10,
+  },
+  watch: {
+    // Poll Interval - How often the watched folder or S3 prefix is checked for new videos (default: 10000ms)
+    intervalMs: parseInt(process.env.WATCH_INTERVAL_MS) || 10000,
+    // Stable Time - A local file is picked up once its size and modification time haven't
+    // changed for this long, so files still being copied are left alone (default: 30000ms)
+    stableMs: parseInt(process.env.WATCH_STABLE_MS) || 30000,
+  },
+  logging: {
+    // Log Level - Least severe level printed: debug, info, warn or error (default: info)
+    level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+    // Log Format - human (default) or json: newline-delimited JSON events for CI and log
+    // aggregation (the CLI's --json sets this per run)
+    format: (process.env.LOG_FORMAT || 'human').toLowerCase(),
   },
 };
 
@@ -75,7 +240,23 @@ export const config = {
  * Optional values (have defaults):
  * - AWS region (defaults to us-east-1)
  * - Input/output folders (default to 'input' and 'output')
+ * - Presigned URL expiry and upload part size (default to 3600s, 64 MB)
  * - Polling interval (defaults to 5000ms)
+ * - Thumbnail interval, width and quality (default to 10s, 320px, 80)
+ * - Sprite sheet grid (defaults to 10x10)
+ * - Caption language and mode (default to eng, sidecar)
+ * - Loudness standard and target (normalization off by default)
+ * - HDR mode (defaults to auto)
+ * - Intro/outro bumpers (none by default)
+ * - Framing mode and crop anchor (default to crop, center)
+ * - Profiles file and default profile (default to profiles.json, web-1080)
+ * - Batch concurrency (defaults to 3)
+ * - State file (defaults to .mediaconvert/state.json)
+ * - Events queue (polling is used when not set)
+ * - API server port, host, upload folder and upload size (default to 3000, 127.0.0.1, .mediaconvert/uploads, 5120 MB; no API key)
+ * - Webhooks (none by default; a secret is required once URLs are set)
+ * - Watch poll interval and stable time (default to 10000ms, 30000ms)
+ * - Log level and format (default to info, human)
  */
 
 // Validate AWS credentials are configured
@@ -98,3 +279,50 @@ if (!config.mediaconvert.roleArn) {
   console.error('Required: MEDIACONVERT_ROLE_ARN (IAM role with S3 permissions)');
   process.exit(1);
 }
+
+// Validate batch concurrency (0 or a negative value would start no workers at all)
+if (!Number.isInteger(config.batch.concurrency) || config.batch.concurrency < 1) {
+  console.error(`Error: Invalid BATCH_CONCURRENCY "${process.env.BATCH_CONCURRENCY}"`);
+  console.error('Required: a whole number of at least 1');
+  process.exit(1);
+}
+
+// Validate the API upload limit
+if (!(config.server.maxUploadMb > 0)) {
+  console.error(`Error: Invalid SERVER_MAX_UPLOAD_MB "${process.env.SERVER_MAX_UPLOAD_MB}"`);
+  console.error('Required: a size in MB greater than 0');
+  process.exit(1);
+}
+
+// Validate the presigned URL expiry (S3 signatures are valid for at most 7 days)
+if (!Number.isInteger(config.s3.presignExpiresSeconds) || config.s3.presignExpiresSeconds < 1 || config.s3.presignExpiresSeconds > 604800) {
+  console.error(`Error: Invalid PRESIGNED_URL_EXPIRES_SECONDS "${process.env.PRESIGNED_URL_EXPIRES_SECONDS}"`);
+  console.error('Required: whole seconds from 1 to 604800 (7 days)');
+  process.exit(1);
+}
+
+// Validate webhooks: every payload is signed, so URLs need a secret
+if (config.webhooks.urls.length > 0) {
+  const invalidUrl = config.webhooks.urls.find(url => !/^https?:\/\/[^/]/.test(url));
+  if (invalidUrl) {
+    console.error(`Error: Invalid webhook URL in WEBHOOK_URLS: ${invalidUrl}`);
+    process.exit(1);
+  }
+  if (!config.webhooks.secret) {
+    console.error('Error: WEBHOOK_SECRET not configured in .env file');
+    console.error('Required when WEBHOOK_URLS is set (payloads are signed with HMAC-SHA256)');
+    process.exit(1);
+  }
+}
+
+// Validate logging settings
+if (!['debug', 'info', 'warn', 'error'].includes(config.logging.level)) {
+  console.error(`Error: Unknown LOG_LEVEL "${config.logging.level}"`);
+  console.error('Available: debug, info, warn, error');
+  process.exit(1);
+}
+if (!['human', 'json'].includes(config.logging.format)) {
+  console.error(`Error: Unknown LOG_FORMAT "${config.logging.format}"`);
+  console.error('Available: human, json');
+  process.exit(1);
+}
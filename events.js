@@ -0,0 +1,182 @@
+/**
+ * Events Module - MediaConvert Job State Events via SQS
+ *
+ * This module is an alternative completion source to polling GetJob.
+ * MediaConvert publishes "MediaConvert Job State Change" events to EventBridge;
+ * an EventBridge rule forwards them to an SQS queue, and this module long-polls
+ * that queue and dispatches each event to whoever is waiting for that job.
+ *
+ * How it works:
+ * - One receive loop per process, started when the first job registers and
+ *   stopped when no jobs are waiting (batches share a single loop)
+ * - Events for a waiting job are dispatched and deleted from the queue
+ * - Events for other jobs are left alone; they become visible again after the
+ *   queue's visibility timeout so other consumers can pick them up
+ *
+ * Local testing:
+ * - Set SQS_ENDPOINT to a local SQS stand-in such as ElasticMQ
+ *   (e.g. http://localhost:9324) and send events with the AWS CLI
+ *
+ * Dependencies:
+ * - @aws-sdk/client-sqs: SQS client and commands
+ */
+
+import { SQSClient, ReceiveMessageCommand, DeleteMessageCommand } from '@aws-sdk/client-sqs';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+/**
+ * SQS Client Instance
+ *
+ * Initialized with AWS credentials and region from config.
+ * Uses config.events.sqsEndpoint when set (local SQS stand-in).
+ */
+const sqsClient = new SQSClient({
+  region: config.aws.region,
+  credentials: {
+    accessKeyId: config.aws.accessKeyId,
+    secretAccessKey: config.aws.secretAccessKey,
+  },
+  ...(config.events.sqsEndpoint && { endpoint: config.events.sqsEndpoint }),
+});
+
+/**
+ * Job statuses that end a job (no further events follow)
+ */
+const TERMINAL_STATUSES = ['COMPLETE', 'ERROR', 'CANCELED'];
+
+/**
+ * Jobs currently waiting for events: jobId → {resolve, onEvent}
+ */
+const waiters = new Map();
+
+/**
+ * Whether the receive loop is running
+ */
+let receiving = false;
+
+/**
+ * Aborts the in-flight long poll once nobody is waiting, so the process can exit
+ */
+let receiveAbortController = null;
+
+/**
+ * Remove a waiter and abort the long poll if it was the last one
+ * @param {string} jobId - MediaConvert job ID
+ */
+function removeWaiter(jobId) {
+  waiters.delete(jobId);
+  if (waiters.size === 0 && receiveAbortController) {
+    receiveAbortController.abort();
+  }
+}
+
+/**
+ * Check whether an SQS event queue is configured
+ * @returns {boolean} True if MEDIACONVERT_EVENTS_QUEUE_URL is set
+ */
+export function isEventQueueConfigured() {
+  return Boolean(config.events.queueUrl);
+}
+
+/**
+ * Parse an SQS message body into a MediaConvert job state change event
+ *
+ * Accepts the raw EventBridge event (EventBridge → SQS target) and the
+ * SNS-wrapped form (EventBridge → SNS → SQS without raw delivery).
+ *
+ * @param {string} body - SQS message body
+ * @returns {Object|null} Event detail {jobId, status, jobProgress, errorCode, errorMessage, ...} or null if not a job event
+ */
+function parseJobEvent(body) {
+  try {
+    let event = JSON.parse(body);
+    if (typeof event.Message === 'string') {
+      event = JSON.parse(event.Message);
+    }
+    if (event['detail-type'] !== 'MediaConvert Job State Change' || !event.detail?.jobId) {
+      return null;
+    }
+    return event.detail;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Receive loop: long-poll the queue and dispatch events until nobody is waiting
+ */
+async function receiveEvents() {
+  receiving = true;
+
+  while (waiters.size > 0) {
+    try {
+      receiveAbortController = new AbortController();
+      const response = await sqsClient.send(new ReceiveMessageCommand({
+        QueueUrl: config.events.queueUrl,
+        MaxNumberOfMessages: 10,
+        WaitTimeSeconds: config.events.waitTimeSeconds,
+      }), { abortSignal: receiveAbortController.signal });
+
+      for (const message of response.Messages || []) {
+        const detail = parseJobEvent(message.Body);
+        const waiter = detail && waiters.get(detail.jobId);
+        if (!waiter) {
+          // Not ours (or not a job event) - leave it for other consumers
+          continue;
+        }
+
+        await sqsClient.send(new DeleteMessageCommand({
+          QueueUrl: config.events.queueUrl,
+          ReceiptHandle: message.ReceiptHandle,
+        }));
+
+        waiter.onEvent(detail);
+        if (TERMINAL_STATUSES.includes(detail.status)) {
+          removeWaiter(detail.jobId);
+          waiter.resolve(detail);
+        }
+      }
+    } catch (error) {
+      if (waiters.size === 0) {
+        // Long poll aborted because nobody is waiting any more
+        break;
+      }
+      logger.error(`Error receiving job events: ${error.message}`);
+      await new Promise(resolve => setTimeout(resolve, config.mediaconvert.pollIntervalMs));
+    }
+  }
+
+  receiving = false;
+  receiveAbortController = null;
+}
+
+/**
+ * Wait for a job to reach a terminal state using SQS events
+ *
+ * @param {string} jobId - MediaConvert job ID
+ * @param {Function} onEvent - Called with every event detail for this job (progress, phase changes, ...)
+ * @returns {Promise<Object>} Detail of the terminal event (status COMPLETE, ERROR or CANCELED)
+ *
+ * Example event detail:
+ * { jobId: '1234-abcd', status: 'STATUS_UPDATE', jobProgress: { jobPercentComplete: 42, currentPhase: 'TRANSCODING' } }
+ */
+export function waitForJobEvent(jobId, onEvent = () => {}) {
+  return new Promise((resolve) => {
+    waiters.set(jobId, { resolve, onEvent });
+    if (!receiving) {
+      receiveEvents();
+    }
+  });
+}
+
+/**
+ * Stop waiting for a job's events (e.g. when its state was found by other means)
+ *
+ * The pending waitForJobEvent() promise is left unresolved.
+ *
+ * @param {string} jobId - MediaConvert job ID
+ */
+export function cancelJobEventWait(jobId) {
+  removeWaiter(jobId);
+}
@@ -0,0 +1,347 @@
+/**
+ * Framing Module - Vertical/Square Social Crops and Letterboxing
+ *
+ * This module reframes a video to another aspect ratio (9:16 vertical or 1:1
+ * square) for social delivery. Regular outputs keep the source aspect ratio.
+ *
+ * Modes:
+ * - crop: cut a window of the target aspect ratio out of the source
+ *   (MediaConvert Crop, in source pixels). The anchor sets where the window
+ *   sits along the cropped axis: center, left/top, right/bottom, or a
+ *   fraction 0-1.
+ * - pad:  fit the whole picture into the target frame with black bars
+ *   (MediaConvert Position, in output pixels)
+ * - blur: like pad, but the bars show a blurred, zoomed-in still of the
+ *   source. The still is rendered locally with FFmpeg, uploaded to the assets
+ *   folder and inserted over the bars with the ImageInserter.
+ *
+ * Sizes:
+ * - Like calculateOutputResolution(), the picture is never upscaled. A 9:16
+ *   crop of a 1920x1080 source is 606x1080; a 3840x2160 source gives 1080x1920.
+ * - The long edge of the frame is capped at the profile's maxLongEdge.
+ * - All sizes and positions are even numbers (MediaConvert requirement).
+ *
+ * Watermarks are placed inside the picture area: the whole frame for crop,
+ * the picture between the bars for pad and blur.
+ *
+ * Dependencies:
+ * - upload.js: Blurred bar upload
+ * - fluent-ffmpeg: Blurred bar rendering
+ */
+
+import { uploadAsset } from './upload.js';
+import ffmpeg from 'fluent-ffmpeg';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Target aspect ratios (width:height)
+ */
+export const ASPECT_RATIOS = {
+  '9:16': { width: 9, height: 16, label: 'vertical' },
+  '1:1': { width: 1, height: 1, label: 'square' },
+};
+
+/**
+ * Framing modes (see module header)
+ */
+export const FRAMING_MODES = ['crop', 'pad', 'blur'];
+
+/**
+ * Named crop anchors as a fraction of the croppable range
+ * (left/top keep the start of the frame, right/bottom the end)
+ */
+export const CROP_ANCHORS = {
+  center: 0.5,
+  left: 0,
+  top: 0,
+  right: 1,
+  bottom: 1,
+};
+
+/**
+ * Box blur of the letterbox background (radius as a share of the frame's short edge, passes)
+ */
+const BLUR_RADIUS_PERCENT = 5;
+const BLUR_PASSES = 2;
+
+/**
+ * Round down to the nearest even number (MediaConvert requirement)
+ * @param {number} value - Dimension or position in pixels
+ * @returns {number} Even value
+ */
+function ensureEven(value) {
+  return Math.floor(value / 2) * 2;
+}
+
+/**
+ * Parse a crop anchor
+ *
+ * @param {string|number} value - Anchor name (center, left, right, top, bottom) or fraction 0-1
+ * @returns {number} Fraction 0-1 of the croppable range
+ * @throws {Error} If the anchor is unknown or out of range
+ *
+ * Examples:
+ * - 'center' → 0.5
+ * - 'left' → 0
+ * - '0.3' → 0.3
+ */
+export function parseCropAnchor(value) {
+  const name = String(value).trim().toLowerCase();
+  if (CROP_ANCHORS[name] !== undefined) {
+    return CROP_ANCHORS[name];
+  }
+  const fraction = Number(name);
+  if (name === '' || !Number.isFinite(fraction) || fraction < 0 || fraction > 1) {
+    throw new Error(`Invalid crop anchor "${value}" (use ${Object.keys(CROP_ANCHORS).join(', ')} or a fraction 0-1)`);
+  }
+  return fraction;
+}
+
+/**
+ * Work out the frame, crop window and picture area of a reframed output
+ *
+ * @param {Object} framing - {aspect, mode, anchor} (anchor: name or fraction, crop only)
+ * @param {Object} source - Source dimensions after rotation {width, height}
+ * @param {number} maxLongEdge - Long edge cap of the profile
+ * @returns {Object} Plan {aspect, mode, anchor, output: {width, height}, crop: {X, Y, Width, Height}|null,
+ *   picture: {x, y, width, height}, bars: []}; picture is the area showing the video, in output pixels
+ * @throws {Error} If the aspect ratio, mode or anchor is unknown
+ *
+ * Examples (1920x1080 source, maxLongEdge 1920):
+ * - 9:16 crop, center → crop 606x1080 at x=656, output 606x1080
+ * - 9:16 pad → output 1080x1920, picture 1080x606 at y=656
+ * - 1:1 crop, left → crop 1080x1080 at x=0, output 1080x1080
+ */
+export function resolveFraming(framing, source, maxLongEdge) {
+  const ratio = ASPECT_RATIOS[framing.aspect];
+  if (!ratio) {
+    throw new Error(`Unknown aspect ratio "${framing.aspect}" (available: ${Object.keys(ASPECT_RATIOS).join(', ')})`);
+  }
+  if (!FRAMING_MODES.includes(framing.mode)) {
+    throw new Error(`Unknown framing mode "${framing.mode}" (available: ${FRAMING_MODES.join(', ')})`);
+  }
+
+  const targetRatio = ratio.width / ratio.height;
+  const sourceIsWider = source.width / source.height > targetRatio;
+
+  if (framing.mode === 'crop') {
+    const anchor = parseCropAnchor(framing.anchor ?? 'center');
+    const cropWidth = sourceIsWider ? ensureEven(source.height * targetRatio) : ensureEven(source.width);
+    const cropHeight = sourceIsWider ? ensureEven(source.height) : ensureEven(source.width / targetRatio);
+    const crop = {
+      X: sourceIsWider ? ensureEven(anchor * (source.width - cropWidth)) : 0,
+      Y: sourceIsWider ? 0 : ensureEven(anchor * (source.height - cropHeight)),
+      Width: cropWidth,
+      Height: cropHeight,
+    };
+
+    const longEdge = ensureEven(Math.min(maxLongEdge, Math.max(cropWidth, cropHeight)));
+    const output = targetRatio < 1
+      ? { width: ensureEven(longEdge * targetRatio), height: longEdge }
+      : { width: longEdge, height: ensureEven(longEdge / targetRatio) };
+    return {
+      aspect: framing.aspect,
+      mode: framing.mode,
+      anchor,
+      output,
+      crop,
+      picture: { x: 0, y: 0, ...output },
+      bars: [],
+    };
+  }
+
+  // pad / blur: frame at the long edge cap, picture fitted inside
+  let frameWidth = targetRatio < 1 ? maxLongEdge * targetRatio : maxLongEdge;
+  let frameHeight = targetRatio < 1 ? maxLongEdge : maxLongEdge / targetRatio;
+  let pictureWidth = sourceIsWider ? frameWidth : frameHeight * source.width / source.height;
+  let pictureHeight = sourceIsWider ? frameWidth * source.height / source.width : frameHeight;
+
+  // Never upscale the picture: shrink the whole frame instead
+  const scale = Math.min(1, source.width / pictureWidth);
+  frameWidth = ensureEven(frameWidth * scale);
+  frameHeight = ensureEven(frameHeight * scale);
+  pictureWidth = Math.min(frameWidth, ensureEven(pictureWidth * scale));
+  pictureHeight = Math.min(frameHeight, ensureEven(pictureHeight * scale));
+
+  return {
+    aspect: framing.aspect,
+    mode: framing.mode,
+    anchor: null,
+    output: { width: frameWidth, height: frameHeight },
+    crop: null,
+    picture: {
+      x: ensureEven((frameWidth - pictureWidth) / 2),
+      y: ensureEven((frameHeight - pictureHeight) / 2),
+      width: pictureWidth,
+      height: pictureHeight,
+    },
+    bars: [],
+  };
+}
+
+/**
+ * Describe a framing plan in one line for the job summary
+ * @param {Object} plan - Result of resolveFraming()
+ * @returns {string} e.g. '9:16 vertical, crop 606x1080 at 656,0 (anchor 0.5)'
+ */
+export function describeFraming(plan) {
+  const label = `${plan.aspect} ${ASPECT_RATIOS[plan.aspect].label}`;
+  if (plan.crop) {
+    return `${label}, crop ${plan.crop.Width}x${plan.crop.Height} at ${plan.crop.X},${plan.crop.Y} (anchor ${plan.anchor})`;
+  }
+  const { picture } = plan;
+  const background = plan.mode === 'blur' && plan.bars.length > 0 ? 'blurred' : 'black';
+  return `${label}, ${plan.mode} (picture ${picture.width}x${picture.height} at ${picture.x},${picture.y}, ${background} bars)`;
+}
+
+/**
+ * Scale a rectangle of the plan's output to another output size (ladder rungs, thumbnails)
+ * @param {Object} plan - Result of resolveFraming()
+ * @param {Object} resolution - Output dimensions {width, height}
+ * @param {Object} rect - Rectangle in plan.output pixels {x, y, width, height}
+ * @returns {Object} Rectangle in resolution pixels (even values)
+ */
+function scaleRect(plan, resolution, rect) {
+  const scale = resolution.width / plan.output.width;
+  return {
+    x: ensureEven(rect.x * scale),
+    y: ensureEven(rect.y * scale),
+    width: ensureEven(rect.width * scale),
+    height: ensureEven(rect.height * scale),
+  };
+}
+
+/**
+ * Picture area of an output (where watermarks go)
+ *
+ * @param {Object} plan - Result of resolveFraming() (null: no reframing)
+ * @param {Object} resolution - Output dimensions {width, height}
+ * @returns {Object} {x, y, width, height} in output pixels
+ */
+export function framingPicture(plan, resolution) {
+  if (!plan) {
+    return { x: 0, y: 0, width: resolution.width, height: resolution.height };
+  }
+  return scaleRect(plan, resolution, plan.picture);
+}
+
+/**
+ * Build the Crop/Position part of a VideoDescription
+ *
+ * @param {Object} plan - Result of resolveFraming() (null: no reframing)
+ * @param {Object} resolution - Output dimensions {width, height}
+ * @returns {Object} {Crop?, Position?} to spread into the VideoDescription
+ */
+export function buildFramingSettings(plan, resolution) {
+  if (!plan) {
+    return {};
+  }
+  const picture = framingPicture(plan, resolution);
+  const letterboxed = picture.width < resolution.width || picture.height < resolution.height;
+  return {
+    ...(plan.crop && { Crop: plan.crop }),
+    ...(letterboxed && {
+      Position: { X: picture.x, Y: picture.y, Width: picture.width, Height: picture.height },
+    }),
+  };
+}
+
+/**
+ * Build the InsertableImages of the blurred bars for an output
+ *
+ * @param {Object} plan - Result of resolveFraming() with bars from provisionBlurredBars() (null: none)
+ * @param {Object} resolution - Output dimensions {width, height}
+ * @returns {Array<Object>} InsertableImages on layers 0..n-1, shown for the whole video (empty without bars)
+ */
+export function buildBarImages(plan, resolution) {
+  if (!plan) {
+    return [];
+  }
+  return plan.bars.map((bar, index) => {
+    const rect = scaleRect(plan, resolution, bar);
+    return {
+      ImageInserterInput: bar.uri,
+      Layer: index,
+      Opacity: 100,
+      Width: rect.width,
+      Height: rect.height,
+      ImageX: rect.x,
+      ImageY: rect.y,
+    };
+  });
+}
+
+/**
+ * Bars around the picture of a pad/blur plan, in output pixels
+ * @param {Object} plan - Result of resolveFraming()
+ * @returns {Array<Object>} [{name, x, y, width, height}] (empty when the picture fills the frame)
+ */
+function letterboxBars(plan) {
+  const { output, picture } = plan;
+  const bars = picture.width < output.width
+    ? [
+        { name: 'left', x: 0, y: 0, width: picture.x, height: output.height },
+        { name: 'right', x: picture.x + picture.width, y: 0, width: output.width - picture.x - picture.width, height: output.height },
+      ]
+    : [
+        { name: 'top', x: 0, y: 0, width: output.width, height: picture.y },
+        { name: 'bottom', x: 0, y: picture.y + picture.height, width: output.width, height: output.height - picture.y - picture.height },
+      ];
+  return bars.filter(bar => bar.width > 0 && bar.height > 0);
+}
+
+/**
+ * Render and upload the blurred bars of a blur plan
+ *
+ * One frame of the source (at atSeconds) is scaled to fill the whole frame,
+ * blurred, and cut into the bar areas, which are uploaded as PNGs.
+ *
+ * @param {Object} plan - Result of resolveFraming() with mode 'blur'
+ * @param {string} localFilePath - Local source video
+ * @param {number} atSeconds - Source time of the background frame
+ * @returns {Promise<Object>} The plan with bars [{name, uri, x, y, width, height}]
+ * @throws {Error} If FFmpeg or the upload fails
+ */
+export async function provisionBlurredBars(plan, localFilePath, atSeconds) {
+  const bars = letterboxBars(plan);
+  if (bars.length === 0) {
+    return plan;
+  }
+
+  const { width, height } = plan.output;
+  const radius = Math.max(1, Math.round(Math.min(width, height) * BLUR_RADIUS_PERCENT / 100));
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'framing-'));
+
+  try {
+    const filters = [
+      `[0:v]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},boxblur=${radius}:${BLUR_PASSES},split=${bars.length}${bars.map(bar => `[${bar.name}]`).join('')}`,
+      ...bars.map(bar => `[${bar.name}]crop=${bar.width}:${bar.height}:${bar.x}:${bar.y}[${bar.name}_out]`),
+    ];
+
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg(localFilePath)
+        .seekInput(atSeconds)
+        .complexFilter(filters);
+      for (const bar of bars) {
+        command
+          .output(path.join(workDir, `bar_${bar.name}.png`))
+          .outputOptions([`-map [${bar.name}_out]`, '-frames:v 1']);
+      }
+      command
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+    });
+
+    const uploaded = [];
+    for (const bar of bars) {
+      const uri = await uploadAsset(path.join(workDir, `bar_${bar.name}.png`), 'image/png');
+      uploaded.push({ ...bar, uri });
+    }
+    return { ...plan, bars: uploaded };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * HDR Module - HDR10/HLG Preservation and HDR-to-SDR Tone Mapping
+ *
+ * This module reads the colour metadata of a source (primaries, transfer,
+ * matrix, mastering display, content light level) and decides how the
+ * colour is handled in the outputs:
+ *
+ * - SDR source:   Rec.709 in, Rec.709 out (the original behaviour)
+ * - preserve:     HDR10 or HLG out, like the source; needs a 10-bit codec
+ *                 (HEVC Main10, or AV1 10-bit). An H.264 profile is switched to HEVC.
+ * - tonemap:      HDR source tone-mapped to Rec.709 SDR, for players and
+ *                 codecs without HDR (H.264 outputs, older devices)
+ * - auto:         preserve when the output codec can carry HDR (HEVC/AV1),
+ *                 tonemap otherwise (default)
+ *
+ * Detection (FFprobe, first video frame):
+ * - HDR10: smpte2084 (PQ) transfer, usually bt2020 primaries, mastering display + MaxCLL/MaxFALL
+ * - HLG:   arib-std-b67 transfer (iPhone HDR is Dolby Vision 8.4 on an HLG base layer)
+ *
+ * MediaConvert units for HDR10 metadata:
+ * - Chromaticity coordinates in 0.00002 steps (0.68 → 34000)
+ * - Mastering display luminance in 0.0001 cd/m² steps (1000 nits → 10000000)
+ * - MaxCLL / MaxFALL in cd/m²
+ *
+ * Dependencies:
+ * - child_process: FFprobe for stream and frame side data
+ */
+
+import { execFileSync } from 'child_process';
+
+/**
+ * Colour handling modes (see module header)
+ */
+export const HDR_MODES = ['auto', 'preserve', 'tonemap'];
+
+/**
+ * HDR formats by FFprobe transfer characteristic
+ */
+const HDR_TRANSFERS = {
+  smpte2084: 'hdr10',
+  'arib-std-b67': 'hlg',
+};
+
+/**
+ * Output codecs that can carry HDR (10-bit)
+ */
+const HDR_CODECS = ['h265', 'av1'];
+
+/**
+ * Brightness of SDR white (watermark PNGs) in HDR outputs, cd/m² (ITU-R BT.2408 reference white)
+ */
+export const SDR_REFERENCE_WHITE_NITS = 203;
+
+/**
+ * Parse an FFprobe rational ('34000/50000') or number
+ * @param {string|number} value - FFprobe value
+ * @returns {number|null} Decimal value, or null if missing
+ */
+function parseRational(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const [numerator, denominator = 1] = String(value).split('/').map(Number);
+  return denominator ? numerator / denominator : null;
+}
+
+/**
+ * Find a side data entry by type in stream and first-frame side data
+ * @param {Array<Object>} sideData - Combined side_data_list entries
+ * @param {string} type - side_data_type (e.g. 'Mastering display metadata')
+ * @returns {Object|undefined} Side data entry
+ */
+function findSideData(sideData, type) {
+  return sideData.find(entry => entry.side_data_type === type);
+}
+
+/**
+ * Probe the colour metadata of a video
+ *
+ * @param {string} videoPath - Local path to the video file
+ * @returns {Object} {primaries, transfer, matrix, range, pixelFormat, hdrFormat, dolbyVision,
+ *   masteringDisplay, contentLightLevel}; hdrFormat is 'hdr10', 'hlg' or null (SDR).
+ *   masteringDisplay: {redX, redY, greenX, greenY, blueX, blueY, whitePointX, whitePointY,
+ *   minLuminance, maxLuminance} (chromaticity 0-1, luminance in nits) or null;
+ *   contentLightLevel: {maxCll, maxFall} (nits) or null
+ * @throws {Error} If FFprobe fails
+ */
+export function probeColorMetadata(videoPath) {
+  // Arguments are passed without a shell, so file names can't inject commands
+  const output = execFileSync(
+    'ffprobe',
+    ['-v', 'error', '-select_streams', 'v:0', '-show_streams', '-show_frames', '-read_intervals', '%+#1', '-of', 'json', videoPath],
+    { encoding: 'utf8', maxBuffer: 16 * 1024 * 1024 }
+  );
+  const data = JSON.parse(output);
+  const stream = data.streams?.[0] || {};
+  const frame = data.frames?.[0] || {};
+  const sideData = [...(stream.side_data_list || []), ...(frame.side_data_list || [])];
+
+  const transfer = stream.color_transfer || frame.color_transfer || 'unknown';
+  const mastering = findSideData(sideData, 'Mastering display metadata');
+  const lightLevel = findSideData(sideData, 'Content light level metadata');
+  const dolbyVision = findSideData(sideData, 'DOVI configuration record');
+
+  return {
+    primaries: stream.color_primaries || frame.color_primaries || 'unknown',
+    transfer,
+    matrix: stream.color_space || frame.color_space || 'unknown',
+    range: stream.color_range || frame.color_range || 'unknown',
+    pixelFormat: stream.pix_fmt || 'unknown',
+    hdrFormat: HDR_TRANSFERS[transfer] || null,
+    dolbyVision: dolbyVision ? { profile: dolbyVision.dv_profile, compatibility: dolbyVision.dv_bl_signal_compatibility_id } : null,
+    masteringDisplay: mastering
+      ? {
+          redX: parseRational(mastering.red_x),
+          redY: parseRational(mastering.red_y),
+          greenX: parseRational(mastering.green_x),
+          greenY: parseRational(mastering.green_y),
+          blueX: parseRational(mastering.blue_x),
+          blueY: parseRational(mastering.blue_y),
+          whitePointX: parseRational(mastering.white_point_x),
+          whitePointY: parseRational(mastering.white_point_y),
+          minLuminance: parseRational(mastering.min_luminance),
+          maxLuminance: parseRational(mastering.max_luminance),
+        }
+      : null,
+    contentLightLevel: lightLevel
+      ? { maxCll: Number(lightLevel.max_content), maxFall: Number(lightLevel.max_average) }
+      : null,
+  };
+}
+
+/**
+ * Describe colour metadata in one line for the job summary
+ * @param {Object} color - Result of probeColorMetadata()
+ * @returns {string} e.g. 'HDR10 (bt2020/smpte2084/bt2020nc, 1000 nits mastering, MaxCLL 1000, MaxFALL 400)'
+ */
+export function describeColor(color) {
+  const format = color.hdrFormat ? color.hdrFormat.toUpperCase() : 'SDR';
+  const details = [`${color.primaries}/${color.transfer}/${color.matrix}`];
+  if (color.masteringDisplay?.maxLuminance) {
+    details.push(`${color.masteringDisplay.maxLuminance} nits mastering`);
+  }
+  if (color.contentLightLevel) {
+    details.push(`MaxCLL ${color.contentLightLevel.maxCll}, MaxFALL ${color.contentLightLevel.maxFall}`);
+  }
+  if (color.dolbyVision) {
+    details.push(`Dolby Vision profile ${color.dolbyVision.profile}`);
+  }
+  return `${format} (${details.join(', ')})`;
+}
+
+/**
+ * Decide the colour handling for a job
+ *
+ * @param {string} mode - One of HDR_MODES
+ * @param {Object|null} color - Result of probeColorMetadata() (null: not probed, treated as SDR)
+ * @param {string} codec - Output codec of the profile (h264, h265, av1)
+ * @returns {Object} {output: 'sdr'|'hdr10'|'hlg', toneMap, codec, reason}; codec is the codec to
+ *   encode with (h264 becomes h265 when HDR is preserved)
+ * @throws {Error} If the mode is unknown
+ */
+export function resolveHdrPlan(mode, color, codec) {
+  if (!HDR_MODES.includes(mode)) {
+    throw new Error(`Unknown HDR mode "${mode}" (available: ${HDR_MODES.join(', ')})`);
+  }
+
+  if (!color?.hdrFormat) {
+    return { output: 'sdr', toneMap: false, codec, reason: color ? 'SDR source' : 'colour metadata not probed' };
+  }
+  if (mode === 'tonemap') {
+    return { output: 'sdr', toneMap: true, codec, reason: 'tone mapping requested' };
+  }
+  if (mode === 'auto' && !HDR_CODECS.includes(codec)) {
+    return { output: 'sdr', toneMap: true, codec, reason: `${codec} output can't carry HDR` };
+  }
+  return {
+    output: color.hdrFormat,
+    toneMap: false,
+    codec: HDR_CODECS.includes(codec) ? codec : 'h265',
+    reason: mode === 'auto' ? `${codec} output supports HDR` : 'HDR preservation requested',
+  };
+}
+
+/**
+ * Convert probed mastering display / light level values to MediaConvert Hdr10Metadata
+ *
+ * @param {Object} color - Result of probeColorMetadata()
+ * @returns {Object|null} MediaConvert Hdr10Metadata, or null when the source has none
+ */
+function buildHdr10Metadata(color) {
+  const display = color.masteringDisplay;
+  if (!display && !color.contentLightLevel) {
+    return null;
+  }
+
+  const chromaticity = value => Math.round(value / 0.00002);
+  const luminance = value => Math.round(value / 0.0001);
+  return {
+    ...(display && {
+      RedPrimaryX: chromaticity(display.redX),
+      RedPrimaryY: chromaticity(display.redY),
+      GreenPrimaryX: chromaticity(display.greenX),
+      GreenPrimaryY: chromaticity(display.greenY),
+      BluePrimaryX: chromaticity(display.blueX),
+      BluePrimaryY: chromaticity(display.blueY),
+      WhitePointX: chromaticity(display.whitePointX),
+      WhitePointY: chromaticity(display.whitePointY),
+      MaxLuminance: luminance(display.maxLuminance),
+      MinLuminance: luminance(display.minLuminance),
+    }),
+    ...(color.contentLightLevel && {
+      MaxContentLightLevel: color.contentLightLevel.maxCll,
+      MaxFrameAverageLightLevel: color.contentLightLevel.maxFall,
+    }),
+  };
+}
+
+/**
+ * Build the colour part of the input VideoSelector for an HDR source
+ *
+ * SDR sources keep the REC_709 selector built in mediaconvert.js.
+ * Metadata in the source wins (FALLBACK); the probed values are only used
+ * where the source has none.
+ *
+ * @param {Object} color - Result of probeColorMetadata() with hdrFormat set
+ * @returns {Object} {ColorSpace, ColorSpaceUsage, Hdr10Metadata?}
+ */
+export function buildHdrInputColorSettings(color) {
+  const hdr10Metadata = color.hdrFormat === 'hdr10' ? buildHdr10Metadata(color) : null;
+  return {
+    ColorSpace: color.hdrFormat === 'hdr10' ? 'HDR10' : 'HLG_2020',
+    ColorSpaceUsage: 'FALLBACK',
+    ...(hdr10Metadata && { Hdr10Metadata: hdr10Metadata }),
+  };
+}
+
+/**
+ * Build the ColorCorrector preprocessor for an HDR source
+ *
+ * @param {Object} plan - Result of resolveHdrPlan()
+ * @param {Object} color - Result of probeColorMetadata()
+ * @returns {Object|null} MediaConvert ColorCorrector (null for SDR sources)
+ */
+export function buildColorCorrector(plan, color) {
+  if (plan.toneMap) {
+    return { ColorSpaceConversion: 'FORCE_709', HdrToSdrToneMapper: 'PRESERVE_DETAILS' };
+  }
+  if (plan.output === 'hdr10') {
+    const hdr10Metadata = buildHdr10Metadata(color);
+    return { ColorSpaceConversion: 'FORCE_HDR10', ...(hdr10Metadata && { Hdr10Metadata: hdr10Metadata }) };
+  }
+  if (plan.output === 'hlg') {
+    return { ColorSpaceConversion: 'FORCE_HLG_2020' };
+  }
+  return null;
+}
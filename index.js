@@ -1,87 +1,390 @@
 #!/usr/bin/env node
 
-import { uploadToS3, downloadFromS3 } from './upload.js';
-import { createMediaConvertJob, monitorJobProgress } from './mediaconvert.js';
+import { isSupportedVideoFile } from './upload.js';
+import { processVideo } from './pipeline.js';
+import { runBatch, printBatchSummary } from './batch.js';
+import { listIncompleteRuns } from './state.js';
+import { parseTimecode, parseClipRange } from './mediaconvert.js';
+import { CAPTION_MODES, parseCaptionArgument } from './captions.js';
+import { AUDIO_MODES, parseAudioArgument } from './audio.js';
+import { LOUDNESS_STANDARDS, resolveLoudness } from './loudness.js';
+import { PROFILE_NAMES } from './profiles.js';
+import { VIDEO_CODECS } from './codecs.js';
+import { HDR_MODES } from './hdr.js';
+import { ASPECT_RATIOS, FRAMING_MODES, CROP_ANCHORS } from './framing.js';
+import { WATERMARK_LAYOUT_NAMES } from './watermark.js';
+import { validateJobOptions } from './options.js';
+import { resolveWatchSource, watchFolder } from './watch.js';
+import { flushWebhooks } from './webhooks.js';
+import { config } from './config.js';
+import { logger, configureLogger, isJsonLogging } from './logger.js';
 import path from 'path';
 import fs from 'fs';
+import { parseArgs } from 'util';
 
 /**
- * Format file size in human-readable format
- * @param {number} bytes - File size in bytes
- * @returns {string} Formatted file size
+ * Print usage information
  */
-function formatFileSize(bytes) {
-  const units = ['B', 'KB', 'MB', 'GB'];
-  let size = bytes;
-  let unitIndex = 0;
-  
-  while (size >= 1024 && unitIndex < units.length - 1) {
-    size /= 1024;
-    unitIndex++;
+function printUsage() {
+  console.error('Usage: node index.js [options] <path-to-video-file> [more files...]');
+  console.error('       node index.js [options] --dir <directory>');
+  console.error('       node index.js [options] --watch <directory|s3>');
+  console.error('       node index.js --resume');
+  console.error('Example: node index.js ./my-video.mp4');
+  console.error('Example: node index.js ./incoming/*.mp4 --concurrency 5');
+  console.error('Options:');
+  console.error(`  --profile <name>                 Encoding profile: ${PROFILE_NAMES.join(', ')} (default: ${config.profiles.default})`);
+  console.error(`  --codec <codec>                  Video codec overriding the profile's: ${Object.keys(VIDEO_CODECS).join(', ')}`);
+  console.error(`  --hdr <mode>                     HDR sources: ${HDR_MODES.join(', ')} (default: ${config.hdr.mode})`);
+  console.error('  --hls                            Also produce an HLS adaptive-bitrate ladder with a master playlist');
+  console.error('  --cmaf                           Also produce CMAF fMP4 segments with HLS and DASH manifests');
+  console.error('  --watermark <file>               Watermark PNG with transparency (default: WATERMARK_FILE or ./watermark.png)');
+  console.error(`  --watermark-layout <name>        Watermark layout: ${WATERMARK_LAYOUT_NAMES.join(', ')} (default: ${config.mediaconvert.watermarkLayout})`);
+  console.error('  --watermark-anchors <x,y;..>     Anchor points (0-1) for the custom layout');
+  console.error(`  --thumbnails                     Capture a JPEG thumbnail strip (every ${config.thumbnails.intervalSeconds}s)`);
+  console.error('  --thumbnail-interval <s>         Seconds between thumbnails (implies --thumbnails)');
+  console.error('  --sprites                        Build WebVTT sprite sheets for scrub previews (implies --thumbnails)');
+  console.error('  --poster <time>                  Capture a poster frame at a time (seconds or HH:MM:SS)');
+  console.error('  --start <time> / --end <time>    Only encode part of the video (seconds or HH:MM:SS)');
+  console.error('  --clip <start>-<end>             Encode a range as its own output (repeatable, one upload)');
+  console.error(`  --aspect <ratio>                 Reframe to ${Object.keys(ASPECT_RATIOS).join(' or ')} (source: keep the source's, default: the profile's)`);
+  console.error(`  --framing <mode>                 Reframing: ${FRAMING_MODES.join(', ')} (default: ${config.framing.mode})`);
+  console.error(`  --crop-anchor <anchor>           Crop position: ${Object.keys(CROP_ANCHORS).join(', ')} or 0-1 (default: ${config.framing.anchor})`);
+  console.error('  --intro <file|s3-uri|none>       Intro bumper stitched before the video (default: INTRO_FILE)');
+  console.error('  --outro <file|s3-uri|none>       Outro bumper stitched after the video (default: OUTRO_FILE)');
+  console.error(`  --captions <file>[:lang[:mode]]  Caption file (SRT/VTT/SCC), repeatable; mode: ${CAPTION_MODES.join(', ')} (default: ${config.captions.defaultLanguage}, ${config.captions.defaultMode})`);
+  console.error(`  --audio <src>[:lang][:mode]       Audio track (number or language) to keep, repeatable; mode: ${AUDIO_MODES.join(', ')} (default: stereo)`);
+  console.error(`  --loudness <standard>            Normalize audio loudness: ${Object.keys(LOUDNESS_STANDARDS).join(', ')}, off (default: ${config.loudness.standard || 'off'})`);
+  console.error('  --loudness-target=<LUFS>         Integrated loudness target replacing the standard\'s (e.g. -16)');
+  console.error('  --recipient <id>                 Personalised copy with a burned-in text watermark (repeatable)');
+  console.error('  --recipients <file>              Personalised copies for every recipient in a file (one per line)');
+  console.error(`  --links                          Print presigned download links (valid ${config.s3.presignExpiresSeconds}s) instead of downloading outputs`);
+  console.error('  --dir <directory>                Process every video file in a directory (batch mode)');
+  console.error(`  --concurrency <n>                Videos processed at the same time in batch and watch mode (default: ${config.batch.concurrency})`);
+  console.error(`  --watch <directory|s3>           Keep running and process every new video in a folder or in s3://…/${config.s3.inputFolder}/`);
+  console.error('  --resume                         Resume interrupted runs recorded in the state file');
+  console.error('  --json                           Print newline-delimited JSON events and a final result object');
+}
+
+/**
+ * Collect recipients from --recipient and --recipients
+ *
+ * The recipients file has one e-mail address or ID per line; blank lines and
+ * lines starting with '#' are ignored.
+ *
+ * @param {Array<string>} recipientArgs - Values of --recipient
+ * @param {string} recipientsFile - Path given with --recipients (optional)
+ * @returns {Array<string>} Recipients in the order given
+ * @throws {Error} If a recipient is listed twice
+ */
+function collectRecipients(recipientArgs = [], recipientsFile = null) {
+  const recipients = recipientArgs.map(recipient => recipient.trim()).filter(Boolean);
+
+  if (recipientsFile) {
+    fs.readFileSync(recipientsFile, 'utf8')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .forEach(line => recipients.push(line));
+  }
+
+  const duplicate = recipients.find((recipient, index) => recipients.indexOf(recipient) !== index);
+  if (duplicate) {
+    throw new Error(`Recipient listed more than once: ${duplicate}`);
+  }
+
+  return recipients;
+}
+
+/**
+ * Collect clip ranges from --clip, or --start/--end
+ *
+ * One range from --start/--end (either may be left out), or one per --clip.
+ * With several ranges every clip gets an index, which names its outputs
+ * (_clip1, _clip2, ...).
+ *
+ * @param {Array<string>} clipArgs - Values of --clip ('<start>-<end>')
+ * @param {string} start - Value of --start (optional)
+ * @param {string} end - Value of --end (optional)
+ * @returns {Array<Object>} Clips [{start, end, index?}] in seconds (empty: whole video)
+ * @throws {Error} If a range is invalid or --clip is combined with --start/--end
+ */
+function collectClips(clipArgs = [], start = undefined, end = undefined) {
+  if (clipArgs.length > 0 && (start !== undefined || end !== undefined)) {
+    throw new Error('--clip can\'t be combined with --start/--end (use one --clip per range)');
+  }
+
+  if (clipArgs.length > 0) {
+    const clips = clipArgs.map(parseClipRange);
+    return clips.length > 1 ? clips.map((clip, index) => ({ ...clip, index: index + 1 })) : clips;
+  }
+
+  if (start === undefined && end === undefined) {
+    return [];
+  }
+  const clip = {
+    start: start !== undefined ? parseTimecode(start) : 0,
+    end: end !== undefined ? parseTimecode(end) : null,
+  };
+  if (clip.end !== null && clip.end <= clip.start) {
+    throw new Error(`--end (${end}) must be after --start (${start ?? 0})`);
+  }
+  return [clip];
+}
+
+/**
+ * Resolve an intro/outro bumper argument
+ *
+ * 'none' disables a bumper configured in .env. Local files are checked here
+ * so a typo fails before any upload, and made absolute for --resume.
+ *
+ * @param {string} value - Value of --intro/--outro, or the configured default
+ * @param {string} role - 'intro' or 'outro' (for errors)
+ * @returns {string|null} Absolute path or s3:// URI, or null for no bumper
+ * @throws {Error} If a local bumper file doesn't exist
+ */
+function resolveBumperArgument(value, role) {
+  if (!value || value.toLowerCase() === 'none') {
+    return null;
+  }
+  if (value.startsWith('s3://')) {
+    return value;
+  }
+  if (!fs.existsSync(value)) {
+    throw new Error(`--${role} file not found: ${value}`);
+  }
+  return path.resolve(value);
+}
+
+/**
+ * Expand file arguments into a list of video files
+ *
+ * Shells normally expand globs before node sees them. Patterns that arrive
+ * unexpanded (quoted, or shells without globbing) are matched here against
+ * the files in the pattern's directory; '*' and '?' are supported in the
+ * file name part.
+ *
+ * @param {Array<string>} args - File paths and/or glob patterns
+ * @param {string} dir - Directory to scan for video files (optional)
+ * @returns {Array<string>} Video file paths
+ */
+function expandFileArguments(args, dir = null) {
+  const files = [];
+
+  for (const arg of args) {
+    if (!/[*?]/.test(arg)) {
+      files.push(arg);
+      continue;
+    }
+
+    const patternDir = path.dirname(arg);
+    const escaped = path.basename(arg).replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    const regex = new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+    fs.readdirSync(patternDir)
+      .filter(name => regex.test(name))
+      .sort()
+      .forEach(name => files.push(path.join(patternDir, name)));
+  }
+
+  if (dir) {
+    fs.readdirSync(dir)
+      .filter(name => isSupportedVideoFile(name))
+      .sort()
+      .forEach(name => files.push(path.join(dir, name)));
   }
-  
-  return `${size.toFixed(2)} ${units[unitIndex]}`;
+
+  return files;
+}
+
+/**
+ * Log the final result of a run or batch
+ *
+ * Human output already has the pipeline's lines and the batch summary, so this
+ * only shows up in JSON format: one 'result' event with every task's result.
+ *
+ * @param {Array<Object>} results - processVideo() results plus {status, error} (see runBatch)
+ */
+function logResult(results) {
+  const completed = results.filter(result => result.status === 'complete').length;
+  logger.event('result', {
+    status: completed === results.length ? 'complete' : 'failed',
+    completed,
+    failed: results.length - completed,
+    results,
+  });
 }
 
 async function main() {
+  // --json is picked up before parsing, so argument errors are reported as JSON too
+  const args = process.argv.slice(2);
+  if (args.slice(0, args.includes('--') ? args.indexOf('--') : undefined).includes('--json')) {
+    configureLogger({ format: 'json' });
+  }
+
   try {
-    // Check if file path is provided
-    const filePath = process.argv[2];
-    
-    if (!filePath) {
-      console.error('Usage: node index.js <path-to-video-file>');
-      console.error('Example: node index.js ./my-video.mp4');
-      process.exit(1);
+    // Parse command line: node index.js [options] <files...> | --dir <directory>
+    const { values: options, positionals } = parseArgs({
+      allowPositionals: true,
+      options: {
+        profile: { type: 'string' },
+        codec: { type: 'string' },
+        hdr: { type: 'string' },
+        hls: { type: 'boolean', default: false },
+        cmaf: { type: 'boolean', default: false },
+        watermark: { type: 'string' },
+        'watermark-layout': { type: 'string' },
+        'watermark-anchors': { type: 'string' },
+        thumbnails: { type: 'boolean', default: false },
+        'thumbnail-interval': { type: 'string' },
+        sprites: { type: 'boolean', default: false },
+        poster: { type: 'string' },
+        start: { type: 'string' },
+        end: { type: 'string' },
+        clip: { type: 'string', multiple: true },
+        aspect: { type: 'string' },
+        framing: { type: 'string' },
+        'crop-anchor': { type: 'string' },
+        intro: { type: 'string' },
+        outro: { type: 'string' },
+        captions: { type: 'string', multiple: true },
+        audio: { type: 'string', multiple: true },
+        loudness: { type: 'string' },
+        'loudness-target': { type: 'string' },
+        recipient: { type: 'string', multiple: true },
+        recipients: { type: 'string' },
+        links: { type: 'boolean', default: false },
+        dir: { type: 'string' },
+        watch: { type: 'string' },
+        concurrency: { type: 'string' },
+        resume: { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+      },
+    });
+    const concurrency = options.concurrency !== undefined ? Number(options.concurrency) : config.batch.concurrency;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`--concurrency must be a whole number of at least 1 (got "${options.concurrency}")`);
     }
 
-    console.log('=== AWS MediaConvert Video Processing ===\n');
-
-    // Log initial file size
-    const initialFileStats = fs.statSync(filePath);
-    const initialFileSize = initialFileStats.size;
-    console.log(`📁 Initial file size: ${formatFileSize(initialFileSize)} (${initialFileSize.toLocaleString()} bytes)\n`);
-
-    // Step 1: Upload video to S3
-    const s3Uri = await uploadToS3(filePath);
-
-    // Step 2: Create MediaConvert job (pass local file path for metadata detection)
-    const jobId = await createMediaConvertJob(s3Uri, filePath);
-
-    // Step 3: Monitor job progress until completion
-    const { outputUri } = await monitorJobProgress(jobId);
-
-    console.log('\n=== Processing Complete ===');
-    console.log(`S3 Output Location: ${outputUri}`);
-    
-    // Step 4: Download the processed file to outputs directory
-    if (outputUri) {
-      // Extract filename from S3 URI
-      const s3FileName = path.basename(outputUri);
-      const localOutputPath = path.join('outputs', s3FileName);
-      
-      // Download file from S3
-      await downloadFromS3(outputUri, localOutputPath);
-      
-      // Log completed file size
-      if (fs.existsSync(localOutputPath)) {
-        const completedFileStats = fs.statSync(localOutputPath);
-        const completedFileSize = completedFileStats.size;
-        console.log(`\n📁 Completed file size: ${formatFileSize(completedFileSize)} (${completedFileSize.toLocaleString()} bytes)`);
-        
-        // Calculate compression ratio
-        const compressionRatio = ((1 - completedFileSize / initialFileSize) * 100).toFixed(1);
-        console.log(`📊 Compression ratio: ${compressionRatio}% smaller`);
+    // Resume: continue every interrupted run from the stage it reached
+    if (options.resume) {
+      const runs = listIncompleteRuns();
+      if (runs.length === 0) {
+        logger.info('Nothing to resume: no interrupted runs in the state file.');
+        logResult([]);
+        return;
       }
-      
-      console.log('\n🎉 All done! Processed video saved locally.');
+
+      logger.info('=== AWS MediaConvert Video Processing (resume) ===\n');
+      const tasks = runs.map(run => ({ filePath: run.filePath, options: run.options, runId: run.id }));
+      const results = await runBatch(tasks, concurrency);
+      printBatchSummary(results);
+      logResult(results);
+
+      if (results.some(result => result.status === 'failed')) {
+        process.exitCode = 1;
+      }
+      return;
+    }
+
+    const filePaths = expandFileArguments(positionals, options.dir);
+
+    if (filePaths.length === 0 && !options.watch) {
+      // With --json the structured result below is the only output
+      if (!isJsonLogging()) {
+        printUsage();
+      }
+      logger.event('result', { status: 'failed', error: 'No video files given' }, [], 'error');
+      process.exit(1);
     }
-    
+    if (options.watch && (filePaths.length > 0 || options.dir)) {
+      throw new Error('--watch can\'t be combined with files or --dir');
+    }
+
+    const jobOptions = {
+      profile: options.profile || config.profiles.default,
+      codec: options.codec?.toLowerCase(),
+      hdr: (options.hdr || config.hdr.mode).toLowerCase(),
+      hls: options.hls,
+      cmaf: options.cmaf,
+      // Absolute path so --resume works from any directory
+      watermark: options.watermark ? path.resolve(options.watermark) : undefined,
+      watermarkLayout: options['watermark-layout'] || config.mediaconvert.watermarkLayout,
+      watermarkAnchors: options['watermark-anchors'] ?? config.mediaconvert.watermarkAnchors,
+      recipients: collectRecipients(options.recipient, options.recipients),
+      thumbnails: options.thumbnails || options.sprites || Boolean(options['thumbnail-interval']),
+      sprites: options.sprites,
+      thumbnailInterval: options['thumbnail-interval'] ? Number(options['thumbnail-interval']) : undefined,
+      poster: options.poster,
+      aspect: options.aspect,
+      framingMode: options.framing?.toLowerCase(),
+      cropAnchor: options['crop-anchor'],
+      intro: resolveBumperArgument(options.intro ?? config.bumpers.intro, 'intro'),
+      outro: resolveBumperArgument(options.outro ?? config.bumpers.outro, 'outro'),
+      // Absolute paths so --resume works from any directory
+      captions: (options.captions || []).map(parseCaptionArgument).map(caption => ({
+        ...caption,
+        file: caption.file.startsWith('s3://') ? caption.file : path.resolve(caption.file),
+      })),
+      audio: (options.audio || []).map(parseAudioArgument),
+      loudness: options.loudness ?? config.loudness.standard,
+      loudnessTarget: options['loudness-target'] ?? config.loudness.targetLufs,
+      links: options.links,
+    };
+
+    const clips = collectClips(options.clip, options.start, options.end);
+    if (options.watch && clips.length > 0) {
+      throw new Error('--watch can\'t be combined with --clip or --start/--end');
+    }
+    const watchSource = options.watch ? resolveWatchSource(options.watch) : null;
+
+    // Validate the profile, watermark image, layout, captions, ... before anything is uploaded (fail fast)
+    validateJobOptions(jobOptions);
+    if (!resolveLoudness(jobOptions.loudness, jobOptions.loudnessTarget) && options['loudness-target']) {
+      throw new Error('--loudness-target needs a loudness standard (--loudness ebu-r128 or atsc-a85)');
+    }
+    if (jobOptions.links && jobOptions.sprites) {
+      throw new Error('--sprites are built from downloaded thumbnails and can\'t be combined with --links');
+    }
+
+    logger.info('=== AWS MediaConvert Video Processing ===\n');
+
+    // Watch: runs until interrupted, every new video gets the same job options
+    if (watchSource) {
+      await watchFolder(watchSource, jobOptions, concurrency);
+      return;
+    }
+
+    // Single file (and at most one clip): original behaviour, any error aborts the run
+    if (filePaths.length === 1 && !options.dir && clips.length <= 1) {
+      const result = await processVideo(filePaths[0], { ...jobOptions, ...(clips[0] && { clip: clips[0] }) });
+      logResult([{ ...result, status: 'complete', error: null }]);
+      return;
+    }
+
+    // Batch: one task per file and clip (clips of a file share its upload),
+    // failures are recorded per task and reported in the summary
+    const tasks = filePaths.flatMap(filePath => (clips.length > 0 ? clips : [null]).map(clip => ({
+      filePath,
+      options: clip ? { ...jobOptions, clip } : jobOptions,
+    })));
+    const results = await runBatch(tasks, concurrency);
+    printBatchSummary(results);
+    logResult(results);
+
+    if (results.some(result => result.status === 'failed')) {
+      process.exitCode = 1;
+    }
+
   } catch (error) {
-    console.error('\nError:', error.message);
+    logger.error('\nError:', error.message);
+    logger.event('result', { status: 'failed', error: error.message }, [], 'error');
+    await flushWebhooks();
     process.exit(1);
+  } finally {
+    // Webhook deliveries (and their retries) run in the background
+    await flushWebhooks();
   }
 }
 
 // Run the script
 main();
-
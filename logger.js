@@ -0,0 +1,178 @@
+/**
+ * Logger Module - Levelled Human or JSON Output
+ *
+ * Every module logs through this module instead of console, so the same run
+ * can print the usual human-readable lines (default) or newline-delimited
+ * JSON for CI and log aggregation (--json or LOG_FORMAT=json).
+ *
+ * Levels: debug < info < warn < error (LOG_LEVEL, default: info)
+ *
+ * Human format:
+ * - info/debug go to stdout, warn/error to stderr, exactly as written
+ * - Progress overwrites the current line (\r)
+ * - Structured events print their human lines (if any)
+ *
+ * JSON format (one object per line, all on stdout):
+ *   {"time":"2025-01-15T10:30:00.000Z","level":"info","event":"log","message":"Uploading video.mp4 to S3..."}
+ *   {"time":"2025-01-15T10:30:01.000Z","level":"info","event":"upload.progress","data":{"file":"video.mp4","percent":42,...}}
+ * - Plain log lines are 'log' events; surrounding whitespace is trimmed and blank lines are dropped
+ * - Structured events carry their data only (see LOG_EVENTS)
+ *
+ * Dependencies:
+ * - config.js: Default level and format
+ * - util: console-style message formatting
+ */
+
+import { config } from './config.js';
+import util from 'util';
+
+/**
+ * Log levels, least severe first
+ */
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Output formats
+ */
+export const LOG_FORMATS = ['human', 'json'];
+
+/**
+ * Structured events (JSON format) and their data
+ */
+export const LOG_EVENTS = {
+  'upload.progress': '{file, loaded, total, percent}',
+  'upload.complete': '{file, uri, skipped}',
+  'metadata': '{durationMs, width, height, bitrate, codec, frameRate, colorSpace, color, rotation, audioStreams}',
+  'bitrate': '{originalBitrate, sourceCodec, codec, codecFactor, scaleFactor, scaledBitrate, outputBitrate, maxBitrate, rateControl, averageBitrate?, peakBitrate?}',
+  'watermark': '{strategy, colorSpaceHandling, width, height, size, percent, image, layout, offset, opacity}',
+  'job.created': '{jobId, profile, inputUri, outputUri}',
+  'job.progress': '{jobId, status, phase, percentComplete, elapsedSeconds}',
+  'job.complete': '{jobId, outputUri, outputUris, elapsedSeconds}',
+  'job.error': '{jobId, status, errorCode, errorMessage, elapsedSeconds}',
+  'download.progress': '{uri, percent} or {uri, files, totalFiles}',
+  'download.complete': '{uri, path, files?}',
+  'batch.summary': '{total, completed, failed}',
+  'watch.video': '{name, status, destination, result}',
+  'result': '{status, completed, failed, results} or {status, error}',
+};
+
+/**
+ * Current settings (config defaults, overridden by configureLogger)
+ */
+const settings = {
+  level: config.logging.level,
+  format: config.logging.format,
+};
+
+/**
+ * Change the level and/or format (e.g. after --json was parsed)
+ *
+ * @param {Object} changes - {level, format}
+ * @throws {Error} If the level or format is unknown
+ */
+export function configureLogger({ level = settings.level, format = settings.format } = {}) {
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown log level "${level}". Available: ${LOG_LEVELS.join(', ')}`);
+  }
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown log format "${format}". Available: ${LOG_FORMATS.join(', ')}`);
+  }
+  settings.level = level;
+  settings.format = format;
+}
+
+/**
+ * Check whether output is newline-delimited JSON
+ * @returns {boolean} True in JSON format
+ */
+export function isJsonLogging() {
+  return settings.format === 'json';
+}
+
+/**
+ * Check whether a level is logged at the current setting
+ * @param {string} level - One of LOG_LEVELS
+ * @returns {boolean} True when the level is at or above the configured one
+ */
+function isEnabled(level) {
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(settings.level);
+}
+
+/**
+ * Write one JSON line to stdout
+ * @param {string} level - Log level
+ * @param {string} event - Event name ('log' for plain lines)
+ * @param {Object} fields - {message} or {data}
+ */
+function writeJson(level, event, fields) {
+  process.stdout.write(`${JSON.stringify({ time: new Date().toISOString(), level, event, ...fields })}\n`);
+}
+
+/**
+ * Log a plain line (arguments as for console.log)
+ * @param {string} level - One of LOG_LEVELS
+ * @param {Array} args - Message arguments
+ */
+function write(level, args) {
+  if (!isEnabled(level)) {
+    return;
+  }
+  if (isJsonLogging()) {
+    const message = util.format(...args).trim();
+    if (message) {
+      writeJson(level, 'log', { message });
+    }
+    return;
+  }
+  const print = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  print(...args);
+}
+
+/**
+ * Logger used by all modules
+ *
+ * - debug/info/warn/error(...args): plain lines, arguments as for console.log
+ * - event(event, data, lines, level): structured event; human format prints the lines instead
+ * - progress(event, data, text): progress update; human format overwrites the line with the text
+ */
+export const logger = {
+  debug: (...args) => write('debug', args),
+  info: (...args) => write('info', args),
+  warn: (...args) => write('warn', args),
+  error: (...args) => write('error', args),
+
+  /**
+   * Log a structured event
+   * @param {string} event - Event name (see LOG_EVENTS)
+   * @param {Object} data - Event data (JSON format)
+   * @param {string|Array<string>} lines - Human-readable line(s) (human format)
+   * @param {string} level - Log level (default: info)
+   */
+  event(event, data = {}, lines = [], level = 'info') {
+    if (!isEnabled(level)) {
+      return;
+    }
+    if (isJsonLogging()) {
+      writeJson(level, event, { data });
+      return;
+    }
+    [].concat(lines).forEach(line => write(level, [line]));
+  },
+
+  /**
+   * Log a progress update
+   * @param {string} event - Event name (see LOG_EVENTS)
+   * @param {Object} data - Event data (JSON format)
+   * @param {string} text - Progress text overwriting the current line (human format)
+   */
+  progress(event, data, text) {
+    if (!isEnabled('info')) {
+      return;
+    }
+    if (isJsonLogging()) {
+      writeJson('info', event, { data });
+      return;
+    }
+    process.stdout.write(`\r${text}`);
+  },
+};
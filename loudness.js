@@ -0,0 +1,153 @@
+/**
+ * Loudness Module - Audio Loudness Normalization (EBU R128 / ATSC A/85)
+ *
+ * This module adds loudness normalization to the audio outputs and measures
+ * the source loudness locally so the job summary can show before/after values.
+ *
+ * Standards:
+ * - ebu-r128: -23 LUFS integrated, true peak ≤ -1 dBTP (European broadcast)
+ * - atsc-a85: -24 LKFS integrated, true peak ≤ -2 dBTP (US broadcast)
+ * A custom target (e.g. -16 LUFS for streaming/mobile) can replace the
+ * standard's integrated loudness; the true-peak ceiling stays.
+ *
+ * How it works:
+ * - MediaConvert measures and corrects every encoded audio track
+ *   (AudioNormalizationSettings, ITU-R BS.1770-3, CORRECT_AUDIO)
+ * - Before submitting, FFmpeg's loudnorm filter analyses the selected source
+ *   tracks (integrated loudness, true peak, loudness range) and predicts the
+ *   normalized result
+ * - Passthrough tracks are not re-encoded and therefore not normalized
+ *
+ * Dependencies:
+ * - fluent-ffmpeg: Local loudness analysis
+ */
+
+import ffmpeg from 'fluent-ffmpeg';
+
+/**
+ * Loudness standards: integrated target (LUFS/LKFS) and true-peak ceiling (dBTP)
+ */
+export const LOUDNESS_STANDARDS = {
+  'ebu-r128': { description: 'EBU R128', targetLufs: -23, truePeakDb: -1 },
+  'atsc-a85': { description: 'ATSC A/85', targetLufs: -24, truePeakDb: -2 },
+};
+
+/**
+ * Integrated loudness range accepted by MediaConvert (TargetLkfs)
+ */
+const MIN_TARGET_LUFS = -59;
+const MAX_TARGET_LUFS = 0;
+
+/**
+ * Resolve a loudness standard and optional target into normalization settings
+ *
+ * @param {string} standard - Standard name (see LOUDNESS_STANDARDS); empty or 'off' → no normalization
+ * @param {number|string} targetLufs - Integrated target overriding the standard's (optional)
+ * @returns {Object|null} {standard, description, targetLufs, truePeakDb}, or null when off
+ * @throws {Error} If the standard is unknown or the target is out of range
+ */
+export function resolveLoudness(standard, targetLufs = null) {
+  if (!standard || standard.toLowerCase() === 'off') {
+    return null;
+  }
+
+  const definition = LOUDNESS_STANDARDS[standard.toLowerCase()];
+  if (!definition) {
+    throw new Error(`Unknown loudness standard "${standard}" (available: ${Object.keys(LOUDNESS_STANDARDS).join(', ')})`);
+  }
+
+  let target = definition.targetLufs;
+  if (targetLufs !== null && targetLufs !== undefined && targetLufs !== '') {
+    target = Number(targetLufs);
+    if (!Number.isFinite(target) || target < MIN_TARGET_LUFS || target > MAX_TARGET_LUFS) {
+      throw new Error(`Invalid loudness target "${targetLufs}" (LUFS between ${MIN_TARGET_LUFS} and ${MAX_TARGET_LUFS}, e.g. -23)`);
+    }
+  }
+
+  return {
+    standard: standard.toLowerCase(),
+    description: definition.description,
+    targetLufs: target,
+    truePeakDb: definition.truePeakDb,
+  };
+}
+
+/**
+ * Build the AudioNormalizationSettings of an AudioDescription
+ *
+ * @param {Object} loudness - Settings from resolveLoudness()
+ * @returns {Object} MediaConvert AudioNormalizationSettings
+ */
+export function buildAudioNormalizationSettings(loudness) {
+  return {
+    Algorithm: 'ITU_BS_1770_3',
+    AlgorithmControl: 'CORRECT_AUDIO',
+    TargetLkfs: loudness.targetLufs,
+    PeakCalculation: 'TRUE_PEAK',
+    TruePeakLimiterThreshold: loudness.truePeakDb,
+    LoudnessLogging: 'DONT_LOG',
+  };
+}
+
+/**
+ * Measure the loudness of one source audio track with FFmpeg's loudnorm filter
+ *
+ * Runs a single analysis pass (decode only, nothing written) and returns both
+ * the measured source values and loudnorm's one-pass prediction for the
+ * target. The prediction is FFmpeg's estimate, not a measurement of the
+ * MediaConvert output (which normalizes with its own algorithm).
+ *
+ * @param {string} filePath - Local source video
+ * @param {number} track - Audio track (1-based, as in getVideoMetadata's audioStreams)
+ * @param {Object} loudness - Settings from resolveLoudness()
+ * @param {Object} clip - Only measure this range {start, end} in seconds (optional, end null = to the end)
+ * @returns {Promise<Object>} {before: {integrated, truePeak, range}, predicted: {integrated, truePeak, range}}
+ *   (LUFS, dBTP, LU)
+ * @throws {Error} If FFmpeg fails or prints no loudness report
+ */
+export function measureLoudness(filePath, track, loudness, clip = null) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(filePath)
+      .inputOptions(clip ? ['-ss', String(clip.start)] : [])
+      .outputOptions([
+        ...(clip?.end != null ? ['-t', String(clip.end - clip.start)] : []),
+        '-map', `0:a:${track - 1}`,
+        '-af', `loudnorm=I=${loudness.targetLufs}:TP=${loudness.truePeakDb}:LRA=11:print_format=json`,
+        '-f', 'null',
+      ])
+      .output('-')
+      .on('end', (stdout, stderr) => {
+        // loudnorm prints its JSON report as the last {...} block on stderr
+        const match = (stderr || '').match(/\{[^{}]*"input_i"[^{}]*\}/);
+        if (!match) {
+          reject(new Error('No loudness report in FFmpeg output'));
+          return;
+        }
+        const report = JSON.parse(match[0]);
+        resolve({
+          before: {
+            integrated: parseFloat(report.input_i),
+            truePeak: parseFloat(report.input_tp),
+            range: parseFloat(report.input_lra),
+          },
+          predicted: {
+            integrated: parseFloat(report.output_i),
+            truePeak: parseFloat(report.output_tp),
+            range: parseFloat(report.output_lra),
+          },
+        });
+      })
+      .on('error', reject)
+      .run();
+  });
+}
+
+/**
+ * Format a loudness measurement for the job summary
+ * @param {Object} values - {integrated, truePeak, range}
+ * @returns {string} e.g. '-31.2 LUFS, true peak -4.1 dBTP, range 7.3 LU'
+ */
+export function formatLoudness({ integrated, truePeak, range }) {
+  const format = value => (Number.isFinite(value) ? value.toFixed(1) : 'n/a');
+  return `${format(integrated)} LUFS, true peak ${format(truePeak)} dBTP, range ${format(range)} LU`;
+}
@@ -11,21 +11,69 @@
  * Key Features:
  * - Automatic resolution scaling (max 1920px long edge)
  * - Even dimension enforcement (MediaConvert requirement)
- * - Dynamic watermark animation (looping sequence)
+ * - Dynamic watermark animation (looping sequence, layouts from watermark.js)
  * - Smart bitrate calculation based on resolution scaling
+ * - Optional HLS adaptive-bitrate ladder with master playlist
+ * - Optional CMAF packaging with shared fMP4 segments for HLS and DASH
  * - Real-time progress monitoring with status updates
+ * - Optional event-driven monitoring (EventBridge → SQS) instead of polling
+ * - Optional input clipping (start/end range, InputClippings)
+ * - Optional intro/outro bumpers stitched around the main video (bumpers.js)
+ * - HDR10/HLG sources kept as HDR (10-bit) or tone-mapped to SDR (hdr.js)
+ * - Optional 9:16 / 1:1 social reframing: crop, or letterbox with black or blurred bars (framing.js)
+ * - Signed webhook notifications for submitted, progressing, complete and error (webhooks.js)
  * 
  * Dependencies:
  * - @aws-sdk/client-mediaconvert: MediaConvert API client
  * - fluent-ffmpeg: Video metadata via FFprobe
+ * - watermark.js: Watermark layouts and InsertableImages generation
+ * - captions.js: Caption selectors and caption outputs
+ * - audio.js: Audio track selection and audio outputs
+ * - loudness.js: Loudness normalization and local loudness measurement
+ * - profiles.js: Encoding profiles (resolution/bitrate caps, rate control, audio, container)
+ * - codecs.js: H.264 / H.265 / AV1 codec settings and bitrate efficiency
+ * - hdr.js: Colour metadata probing, HDR preservation and tone mapping
+ * - bumpers.js: Intro/outro inputs
+ * - framing.js: Social crops and letterboxing (Crop/Position, blurred bars)
+ * - webhooks.js: Job event notifications
+ * - logger.js: Metadata, bitrate, watermark and job progress events (human or JSON)
  * - path: Path utilities
  */
 
 import { MediaConvertClient, CreateJobCommand, GetJobCommand, JobStatus } from '@aws-sdk/client-mediaconvert';
 import { config } from './config.js';
+import { isEventQueueConfigured, waitForJobEvent, cancelJobEventWait } from './events.js';
+import { notifyWebhooks, createProgressNotifier } from './webhooks.js';
+import {
+  generateWatermarkSequence,
+  generateStaticWatermarks,
+  calculateWatermarkSize,
+  calculateWatermarkOffset,
+  getWatermarkLayout,
+  parseWatermarkAnchors,
+  provisionWatermarkAsset,
+  provisionRecipientWatermarks,
+  generateTextWatermark,
+  recipientSlug,
+} from './watermark.js';
+import {
+  validateCaptions,
+  uploadCaptions,
+  buildCaptionSelectors,
+  buildVideoCaptionDescriptions,
+  buildSidecarOutputs,
+} from './captions.js';
+import { resolveAudioTracks, buildAudioSelectors, buildAudioDescription, buildAudioDescriptions } from './audio.js';
+import { resolveLoudness, measureLoudness, formatLoudness } from './loudness.js';
+import { getProfile } from './profiles.js';
+import { VIDEO_CODECS, codecBitrateFactor, validateCodecSettings, withCodec, buildVideoCodecSettings, vbrBitrates } from './codecs.js';
+import { probeColorMetadata, describeColor, resolveHdrPlan, buildHdrInputColorSettings, buildColorCorrector, SDR_REFERENCE_WHITE_NITS } from './hdr.js';
+import { provisionBumper, buildBumperInput, matchBumperAudio } from './bumpers.js';
+import { resolveFraming, describeFraming, framingPicture, buildFramingSettings, buildBarImages, provisionBlurredBars } from './framing.js';
+import { logger } from './logger.js';
 import path from 'path';
 import ffmpeg from 'fluent-ffmpeg';
-import { execSync } from 'child_process';
+import { execFileSync } from 'child_process';
 
 /**
  * MediaConvert Client Instance
@@ -42,214 +90,6 @@ const mediaConvertClient = new MediaConvertClient({
   endpoint: config.mediaconvert.endpoint,
 });
 
-/**
- * Convert seconds to MediaConvert timecode format (HH:MM:SS:FF)
- * 
- * MediaConvert uses a specific timecode format for watermark timing.
- * Format: Hours:Minutes:Seconds:Frames
- * 
- * @param {number} totalSeconds - Total seconds (can include fractional seconds)
- * @param {number} frames - Frame number (default: 0)
- * @returns {string} Timecode string in format HH:MM:SS:FF
- * 
- * Example: 125.5 seconds → "00:02:05:00"
- */
-function secondsToTimecode(totalSeconds, frames = 0) {
-  const hours = Math.floor(totalSeconds / 3600);
-  const minutes = Math.floor((totalSeconds % 3600) / 60);
-  const seconds = Math.floor(totalSeconds % 60);
-  
-  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}:${frames.toString().padStart(2, '0')}`;
-}
-
-/**
- * Generate looping watermark sequence for entire video duration
- * 
- * This function creates an animated watermark sequence that loops throughout the video.
- * The watermark alternates between top-left and bottom-right corners, creating a
- * continuous loop effect.
- * 
- * How it works:
- * 1. Define corner positions (top-left and bottom-right)
- * 2. Calculate how many complete sequences are needed for the video duration
- * 3. Generate watermark objects for each corner in each sequence
- * 4. Adjust duration for the final watermark if it extends beyond video end
- * 
- * @param {Object} options - Watermark configuration options
- * @param {number} options.videoWidth - Video width in pixels
- * @param {number} options.videoHeight - Video height in pixels
- * @param {number} options.videoDurationMs - Video duration in milliseconds
- * @param {number} options.watermarkSize - Watermark size in pixels (square, width and height)
- * @param {number} options.offset - Offset from edges in pixels
- * @param {number} options.durationMs - Duration for each watermark in milliseconds (default: 5000)
- * @param {number} options.opacity - Opacity (0-100, where 100 is fully opaque)
- * @param {string} options.watermarkUri - S3 URI of the watermark image (e.g., 's3://bucket/assets/logo.png')
- * @returns {Array} Array of watermark objects ready for MediaConvert InsertableImages
- * 
- * Example for 30-second video:
- * - Sequence duration: 5s per corner × 2 corners = 10s
- * - Number of sequences: ceil(30000ms / 10000ms) = 3 sequences
- * - Total watermarks: 3 sequences × 2 corners = 6 watermarks
- */
-function generateWatermarkSequence({
-  videoWidth = 1920,
-  videoHeight = 1080,
-  videoDurationMs = 15000,
-  watermarkSize = 100,
-  offset = 50,
-  durationMs = 5000,
-  opacity = config.mediaconvert.watermarkOpacity,
-  watermarkUri = `s3://${config.s3.bucket}/assets/watermark.png`,
-}) {
-  // Define corner positions where watermarks will appear
-  // Top-left: near top-left corner
-  // Bottom-right: near bottom-right corner
-  const corners = [
-    { name: 'top-left', x: offset, y: offset },
-    { name: 'bottom-right', x: videoWidth - watermarkSize - offset, y: videoHeight - watermarkSize - offset },
-  ];
-
-  // Calculate timing information
-  const sequenceDurationMs = durationMs * corners.length; // Total time for one complete sequence
-  const numberOfSequences = Math.ceil(videoDurationMs / sequenceDurationMs); // How many sequences needed
-  const watermarks = []; // Array to hold all watermark objects
-  
-  let layerIndex = 0; // Track layer number for each watermark (MediaConvert requirement)
-  
-  // Generate multiple sequences to cover the entire video duration
-  for (let sequenceIndex = 0; sequenceIndex < numberOfSequences; sequenceIndex++) {
-    const sequenceStartMs = sequenceIndex * sequenceDurationMs;
-    
-    corners.forEach((corner, cornerIndex) => {
-      const watermarkStartMs = sequenceStartMs + (cornerIndex * durationMs);
-      
-      // Only add if it starts before the video ends
-      if (watermarkStartMs < videoDurationMs) {
-        // Calculate remaining duration if this is the last sequence
-        // Duration MUST be integer milliseconds (not timecode string)
-        let watermarkDuration = durationMs;
-        if (watermarkStartMs + durationMs > videoDurationMs) {
-          watermarkDuration = videoDurationMs - watermarkStartMs;
-        }
-        
-        watermarks.push({
-          ImageInserterInput: watermarkUri,
-          Layer: layerIndex++,
-          Opacity: opacity,
-          Width: watermarkSize,
-          Height: watermarkSize,
-          Duration: Math.floor(watermarkDuration), // Integer milliseconds - CRITICAL for watermark to show
-          StartTime: secondsToTimecode(watermarkStartMs / 1000),
-          ImageX: corner.x,
-          ImageY: corner.y,
-        });
-      }
-    });
-  }
-  
-  return watermarks;
-}
-
-/**
- * Generate static watermarks for videos (no animation)
- * 
- * This function creates two static watermarks that persist throughout the entire video:
- * - Top-left corner
- * - Bottom-right corner
- * 
- * Used for videos with yuvj420p color space to avoid ImageInserter preprocessor failures
- * when using animated watermarks.
- * 
- * @param {Object} options - Watermark configuration options
- * @param {number} options.videoWidth - Video width in pixels
- * @param {number} options.videoHeight - Video height in pixels
- * @param {number} options.watermarkSize - Watermark size in pixels (square, width and height)
- * @param {number} options.offset - Offset from edges in pixels
- * @param {number} options.opacity - Opacity (0-100, where 100 is fully opaque)
- * @param {string} options.watermarkUri - S3 URI of the watermark image
- * @returns {Array} Array of 2 watermark objects (top-left, bottom-right)
- */
-function generateStaticWatermarks({
-  videoWidth = 1920,
-  videoHeight = 1080,
-  watermarkSize = 100,
-  offset = 50,
-  opacity = config.mediaconvert.watermarkOpacity,
-  watermarkUri = `s3://${config.s3.bucket}/assets/watermark.png`,
-}) {
-  return [
-    {
-      ImageInserterInput: watermarkUri,
-      Layer: 0,
-      Opacity: opacity,
-      Width: watermarkSize,
-      Height: watermarkSize,
-      ImageX: offset,
-      ImageY: offset,
-    },
-    {
-      ImageInserterInput: watermarkUri,
-      Layer: 1,
-      Opacity: opacity,
-      Width: watermarkSize,
-      Height: watermarkSize,
-      ImageX: videoWidth - watermarkSize - offset,
-      ImageY: videoHeight - watermarkSize - offset,
-    }
-  ];
-}
-
-/**
- * Calculate optimal watermark size based on video dimensions
- * 
- * This function determines the appropriate watermark size based on video dimensions.
- * It uses the smaller dimension (width or height) to ensure the watermark fits
- * properly in both landscape and portrait orientations.
- * 
- * Formula: Smaller dimension × percentage, with a minimum size enforced.
- * 
- * Why use smaller dimension?
- * - Landscape videos: smaller dimension = height, watermark fits vertically
- * - Portrait videos: smaller dimension = width, watermark fits horizontally
- * - Ensures watermark is always visible and proportional
- * 
- * @param {number} videoWidth - Video width in pixels
- * @param {number} videoHeight - Video height in pixels
- * @param {number} percentSize - Percentage of smaller dimension (default: 12%, 18% for large files)
- * @param {number} minSize - Minimum watermark size in pixels (default: 80)
- * @returns {number} Calculated watermark size (rounded down to integer)
- * 
- * Examples:
- * - 1920×1080 → uses 1080px → 12% = 130px → returns 130px
- * - 3840×2160 → uses 2160px → 18% = 389px → returns 389px (large file, bigger watermark)
- * - 720×480 → uses 480px → 12% = 58px → min 80px → returns 80px
- */
-function calculateWatermarkSize(videoWidth, videoHeight, percentSize = 10, minSize = 80) {
-  // Use the smaller dimension to ensure watermark fits both orientations
-  const smallerDimension = Math.min(videoWidth, videoHeight);
-  // Calculate size as percentage of smaller dimension
-  const calculatedSize = (smallerDimension * percentSize) / 100;
-  // Apply minimum size requirement
-  const finalSize = Math.max(calculatedSize, minSize);
-  
-  // Round down to integer (pixels must be whole numbers)
-  return Math.floor(finalSize);
-}
-
-/**
- * Calculate watermark offset based on video dimensions
- * @param {number} videoWidth - Video width in pixels
- * @param {number} videoHeight - Video height in pixels
- * @returns {number} Offset in pixels
- */
-function calculateWatermarkOffset(videoWidth, videoHeight) {
-  // Use 3-5% of the smaller dimension, minimum 30px
-  const smallerDimension = Math.min(videoWidth, videoHeight);
-  const percentOffset = Math.max(3, Math.min(5, smallerDimension / 400));
-  const offset = (smallerDimension * percentOffset) / 100;
-  return Math.max(Math.floor(offset), 20);
-}
-
 /**
  * Ensure dimensions are even numbers (MediaConvert requirement)
  * 
@@ -317,7 +157,7 @@ function calculateOutputResolution(width, height, maxLongEdge = 1920) {
     
     // Log if dimensions were adjusted to be even
     if (evenWidth !== width || evenHeight !== height) {
-      console.log(`📐 Even dimension adjustment: ${width}x${height} → ${evenWidth}x${evenHeight}`);
+      logger.info(`📐 Even dimension adjustment: ${width}x${height} → ${evenWidth}x${evenHeight}`);
     }
     
     return { width: evenWidth, height: evenHeight };
@@ -336,7 +176,7 @@ function calculateOutputResolution(width, height, maxLongEdge = 1920) {
   const evenHeight = ensureEven(newHeight);
   
   // Log the scaling operation
-  console.log(`📐 Resolution scaling: ${width}x${height} → ${evenWidth}x${evenHeight} (scale factor: ${scaleFactor.toFixed(3)})`);
+  logger.info(`📐 Resolution scaling: ${width}x${height} → ${evenWidth}x${evenHeight} (scale factor: ${scaleFactor.toFixed(3)})`);
   
   return { 
     width: evenWidth, 
@@ -344,11 +184,79 @@ function calculateOutputResolution(width, height, maxLongEdge = 1920) {
   };
 }
 
+/**
+ * Calculate output bitrate for a given output resolution
+ * 
+ * Scales the source bitrate by the same factor as the resolution, adjusts it
+ * for the output codec's efficiency relative to the source codec (codecs.js)
+ * and caps it at maxBitrate. Shared by the MP4 output and every rung of the HLS ladder.
+ * 
+ * @param {number} sourceBitrate - Source video bitrate in bps
+ * @param {Object} sourceResolution - Source dimensions {width, height}
+ * @param {Object} outputResolution - Output dimensions {width, height}
+ * @param {number} maxBitrate - Maximum output bitrate in bps (default: 10 Mbps)
+ * @param {number} codecFactor - Codec efficiency factor from codecBitrateFactor() (default: 1, same codec)
+ * @returns {Object} {scaleFactor, scaledBitrate, outputBitrate}
+ * 
+ * Examples:
+ * - 20 Mbps H.264 3840x2160 → 1920x1080 H.264 = scale 0.5 → 10 Mbps
+ * - 20 Mbps H.264 3840x2160 → 1920x1080 H.265 = scale 0.5 × 0.6 → 6 Mbps
+ */
+function calculateOutputBitrate(sourceBitrate, sourceResolution, outputResolution, maxBitrate = 10000000, codecFactor = 1) {
+  const scaleFactor = Math.min(outputResolution.width / sourceResolution.width, outputResolution.height / sourceResolution.height);
+  const scaledBitrate = Math.floor(sourceBitrate * scaleFactor * codecFactor);
+  const outputBitrate = Math.min(scaledBitrate, maxBitrate);
+  
+  return { scaleFactor, scaledBitrate, outputBitrate };
+}
+
+/**
+ * Long edges (in pixels) of the HLS adaptive-bitrate ladder rungs
+ * 1920 ≈ 1080p, 1280 ≈ 720p, 960 ≈ 540p, 640 ≈ 360p (for 16:9 sources)
+ */
+const HLS_LADDER_LONG_EDGES = [1920, 1280, 960, 640];
 
 /**
- * Get video metadata (duration, dimensions, bitrate, and color space) using ffprobe
+ * Calculate the HLS adaptive-bitrate ladder for a source video
+ * 
+ * The top rung is the regular output resolution. Lower rungs are produced by
+ * scaling the source down to each long edge in HLS_LADDER_LONG_EDGES that is
+ * smaller than the top rung. Each rung gets its own scaled bitrate.
+ * Reframed outputs (framing.js) scale the top rung instead, keeping its aspect ratio.
+ * 
+ * @param {Object} videoMetadata - Source metadata {width, height, bitrate}
+ * @param {Object} outputResolution - Top rung dimensions {width, height}
+ * @param {number} maxBitrate - Bitrate cap of every rung in bps (default: 10 Mbps)
+ * @param {number} codecFactor - Codec efficiency factor from codecBitrateFactor() (default: 1)
+ * @param {boolean} reframed - Output has another aspect ratio than the source (default: false)
+ * @returns {Array} Rungs [{width, height, bitrate}] ordered from highest to lowest
+ * 
+ * Example (1920x1080 @ 8 Mbps source):
+ * - 1920x1080 @ 8 Mbps, 1280x720 @ 5.33 Mbps, 960x540 @ 4 Mbps, 640x360 @ 2.67 Mbps
+ */
+function calculateHlsLadder(videoMetadata, outputResolution, maxBitrate = 10000000, codecFactor = 1, reframed = false) {
+  const topLongEdge = Math.max(outputResolution.width, outputResolution.height);
+  const frame = reframed ? outputResolution : videoMetadata;
+  const resolutions = [
+    outputResolution,
+    ...HLS_LADDER_LONG_EDGES
+      .filter(longEdge => longEdge < topLongEdge)
+      .map(longEdge => calculateOutputResolution(frame.width, frame.height, longEdge)),
+  ];
+  
+  return resolutions.map(resolution => ({
+    ...resolution,
+    bitrate: calculateOutputBitrate(videoMetadata.bitrate, videoMetadata, resolution, maxBitrate, codecFactor).outputBitrate,
+  }));
+}
+
+
+/**
+ * Get video metadata (duration, dimensions, bitrate, codec, color space, colour metadata and audio streams) using ffprobe
  * @param {string} videoPath - Path to the video file
- * @returns {Promise<Object>} Video metadata with durationMs, width, height, bitrate, colorSpace
+ * @returns {Promise<Object>} Video metadata with durationMs, width, height, bitrate, codec, frameRate, colorSpace,
+ *   color (primaries, transfer, matrix, HDR format and mastering metadata from probeColorMetadata(); null if unreadable),
+ *   audioStreams [{track, codec, channels, channelLayout, language, title}] (track is 1-based)
  */
 async function getVideoMetadata(videoPath) {
   return new Promise((resolve, reject) => {
@@ -371,8 +279,10 @@ async function getVideoMetadata(videoPath) {
       // Check for rotation metadata using direct ffprobe call
       let rotation = 0;
       try {
-        const rotationOutput = execSync(
-          `ffprobe -v error -select_streams v:0 -show_entries stream_side_data=rotation -of json "${videoPath}"`,
+        // No shell: file names (e.g. dropped into a watch folder) are passed as is
+        const rotationOutput = execFileSync(
+          'ffprobe',
+          ['-v', 'error', '-select_streams', 'v:0', '-show_entries', 'stream_side_data=rotation', '-of', 'json', videoPath],
           { encoding: 'utf8' }
         );
         const rotationData = JSON.parse(rotationOutput);
@@ -382,7 +292,7 @@ async function getVideoMetadata(videoPath) {
             for (const sideData of stream.side_data_list) {
               if (sideData.rotation !== undefined) {
                 rotation = sideData.rotation;
-                console.log(`📱 Rotation detected: ${rotation}°`);
+                logger.info(`📱 Rotation detected: ${rotation}°`);
                 break;
               }
             }
@@ -390,158 +300,1097 @@ async function getVideoMetadata(videoPath) {
         }
       } catch (error) {
         // Rotation detection failed, continue without it
-        console.log(`⚠️  Could not detect rotation: ${error.message}`);
+        logger.info(`⚠️  Could not detect rotation: ${error.message}`);
       }
       
       // If rotation is 90 or -90 degrees (or 270 degrees), swap width and height
       // This accounts for portrait videos that need to be rotated
       if (rotation === 90 || rotation === -90 || rotation === 270 || rotation === -270) {
-        console.log(`   ↻ Swapping dimensions: ${width}x${height} → ${height}x${width}`);
+        logger.info(`   ↻ Swapping dimensions: ${width}x${height} → ${height}x${width}`);
         [width, height] = [height, width];
       }
       
       // Get bitrate from video stream or format, preferring video stream bitrate
       const bitrate = videoStream.bit_rate || metadata.format.bit_rate || 0;
       
+      // Frame rate ('30000/1001' → 29.97), needed for frame-accurate clip timecodes
+      const [rateNumerator, rateDenominator] = String(videoStream.r_frame_rate || '').split('/').map(Number);
+      const frameRate = rateNumerator && rateDenominator ? rateNumerator / rateDenominator : null;
+      
       // Detect color space (pixel format) using direct ffprobe call
       let colorSpace = 'unknown';
       try {
-        const colorSpaceOutput = execSync(
-          `ffprobe -v error -select_streams v:0 -show_entries stream=pix_fmt -of default=noprint_wrappers=1:nokey=1 "${videoPath}"`,
+        const colorSpaceOutput = execFileSync(
+          'ffprobe',
+          ['-v', 'error', '-select_streams', 'v:0', '-show_entries', 'stream=pix_fmt', '-of', 'default=noprint_wrappers=1:nokey=1', videoPath],
           { encoding: 'utf8' }
         );
         colorSpace = colorSpaceOutput.trim();
       } catch (error) {
-        console.log(`⚠️  Could not detect color space: ${error.message}`);
+        logger.info(`⚠️  Could not detect color space: ${error.message}`);
+      }
+      
+      // Colour primaries, transfer, matrix and HDR mastering metadata (decides HDR handling)
+      let color = null;
+      try {
+        color = probeColorMetadata(videoPath);
+      } catch (error) {
+        logger.info(`⚠️  Could not detect colour metadata: ${error.message}`);
       }
       
-      console.log(`Video metadata detected:`);
-      console.log(`  Duration: ${(durationMs / 1000).toFixed(2)}s`);
-      console.log(`  Dimensions: ${width}x${height}`);
-      console.log(`  Bitrate: ${(bitrate / 1000000).toFixed(2)} Mbps`);
-      console.log(`  Color space: ${colorSpace}`);
+      // Audio streams in source order; track numbers match MediaConvert's Tracks (1-based)
+      const audioStreams = metadata.streams
+        .filter(s => s.codec_type === 'audio')
+        .map((s, index) => ({
+          track: index + 1,
+          codec: s.codec_name,
+          channels: s.channels,
+          channelLayout: s.channel_layout || null,
+          language: s.tags?.language || 'und',
+          title: s.tags?.title || null,
+        }));
+      
+      const lines = [
+        `Video metadata detected:`,
+        `  Duration: ${(durationMs / 1000).toFixed(2)}s`,
+        `  Dimensions: ${width}x${height}`,
+        `  Bitrate: ${(bitrate / 1000000).toFixed(2)} Mbps`,
+        `  Codec: ${videoStream.codec_name || 'unknown'}`,
+      ];
+      if (frameRate) {
+        lines.push(`  Frame rate: ${Number(frameRate.toFixed(3))} fps`);
+      }
+      lines.push(`  Color space: ${colorSpace}`);
+      if (color) {
+        lines.push(`  Color: ${describeColor(color)}`);
+      }
+      if (audioStreams.length === 0) {
+        lines.push(`  Audio: none`);
+      }
+      for (const stream of audioStreams) {
+        const layout = stream.channelLayout || `${stream.channels} ch`;
+        lines.push(`  Audio track ${stream.track}: ${stream.codec} ${layout} [${stream.language}]${stream.title ? ` "${stream.title}"` : ''}`);
+      }
       
-      resolve({
+      const videoMetadata = {
         durationMs: Math.floor(durationMs),
         width,
         height,
         bitrate,
+        codec: videoStream.codec_name || 'unknown',
+        frameRate,
         colorSpace,
-      });
+        color,
+        audioStreams,
+      };
+      logger.event('metadata', { ...videoMetadata, rotation }, lines);
+      resolve(videoMetadata);
     });
   });
 }
 
+/**
+ * Generate the watermark images for one output resolution
+ * 
+ * Sizes and positions the watermark for the given resolution and picks the
+ * static or animated generator depending on the source color space.
+ * Called once for the MP4 output and once per HLS ladder rung.
+ * Letterboxed outputs (framing.js) get their watermarks inside the picture, not on the bars.
+ * 
+ * @param {Object} options - Watermark options
+ * @param {Object} options.videoMetadata - Source metadata {width, height, durationMs, contentWindow}
+ *   (contentWindow: main content between bumpers {startMs, durationMs}, watermarks are limited to it)
+ * @param {Object} options.resolution - Output dimensions {width, height}
+ * @param {boolean} options.needsStaticWatermark - Use static watermarks (color space compatibility)
+ * @param {Object} options.layout - Watermark layout {name, anchors, seed}
+ * @param {string} options.watermarkUri - S3 URI of the watermark image (null: profile without watermark)
+ * @param {Object} options.framing - Reframing plan from resolveFraming() (null: source aspect ratio)
+ * @returns {Object} {insertableImages, watermarkSize, watermarkOffset, watermarkPercent}
+ */
+function buildWatermarks({ videoMetadata, resolution, needsStaticWatermark, layout, watermarkUri, framing = null }) {
+  // Watermarks are laid out in the picture area (the whole frame unless letterboxed)
+  const picture = framingPicture(framing, resolution);
+
+  // For larger video files (long edge > 1920px), use bigger watermark (18% vs 12%)
+  const longEdge = Math.max(videoMetadata.width, videoMetadata.height);
+  const watermarkPercent = longEdge > 1920 ? 18 : 12;
+  const watermarkSize = calculateWatermarkSize(picture.width, picture.height, watermarkPercent, 80);
+  const watermarkOffset = calculateWatermarkOffset(picture.width, picture.height);
+
+  if (!watermarkUri) {
+    return { insertableImages: [], watermarkSize, watermarkOffset, watermarkPercent };
+  }
+
+  const insertableImages = needsStaticWatermark
+    ? generateStaticWatermarks({
+        videoWidth: picture.width,
+        videoHeight: picture.height,
+        watermarkSize,
+        offset: watermarkOffset,
+        opacity: config.mediaconvert.watermarkOpacity,
+        watermarkUri,
+        layout: layout.name,
+        anchors: layout.anchors,
+        seed: layout.seed,
+        window: videoMetadata.contentWindow || null,
+      })
+    : generateWatermarkSequence({
+        videoWidth: picture.width,
+        videoHeight: picture.height,
+        videoDurationMs: videoMetadata.contentWindow?.durationMs ?? videoMetadata.durationMs,
+        watermarkSize,
+        offset: watermarkOffset,
+        durationMs: 5000,
+        opacity: config.mediaconvert.watermarkOpacity,
+        watermarkUri,
+        layout: layout.name,
+        anchors: layout.anchors,
+        seed: layout.seed,
+        window: videoMetadata.contentWindow || null,
+      });
+
+  return { insertableImages: offsetImages(insertableImages, picture), watermarkSize, watermarkOffset, watermarkPercent };
+}
+
+/**
+ * Move InsertableImages laid out in the picture area to their position in the frame
+ * @param {Array<Object>} images - InsertableImages with ImageX/ImageY relative to the picture
+ * @param {Object} picture - Picture area {x, y} from framingPicture()
+ * @returns {Array<Object>} InsertableImages with frame positions
+ */
+function offsetImages(images, picture) {
+  if (picture.x === 0 && picture.y === 0) {
+    return images;
+  }
+  return images.map(image => ({ ...image, ImageX: image.ImageX + picture.x, ImageY: image.ImageY + picture.y }));
+}
+
+/**
+ * Build a VideoDescription (H.264, H.265 or AV1) with watermarks
+ * 
+ * @param {Object} options - Video options
+ * @param {Object} options.resolution - Output dimensions {width, height}
+ * @param {number} options.bitrate - Output bitrate in bps (cap for QVBR)
+ * @param {Array} options.insertableImages - Watermark images for the ImageInserter (empty: no watermark)
+ * @param {Object} options.video - Profile video settings (see profiles.js; codec settings from codecs.js)
+ * @param {boolean} options.mp4Packaging - ISO-BMFF output (MP4, MOV, CMAF); false for HLS TS segments
+ * @param {Object} options.colorCorrector - HDR preservation or tone mapping from buildColorCorrector() (null: SDR source)
+ * @param {Object} options.framing - Reframing plan from resolveFraming(): Crop/Position and blurred bars (null: none)
+ * @returns {Object} MediaConvert VideoDescription
+ */
+function buildVideoDescription({ resolution, bitrate, insertableImages, video, mp4Packaging = true, colorCorrector = null, framing = null }) {
+  const hdrOutput = Boolean(colorCorrector) && colorCorrector.ColorSpaceConversion !== 'FORCE_709';
+  // Blurred bars take the bottom layers, the watermarks move up (layers are unique per output)
+  const bars = buildBarImages(framing, resolution);
+  const images = [...bars, ...insertableImages.map(image => ({ ...image, Layer: image.Layer + bars.length }))];
+  return {
+    Width: resolution.width,
+    Height: resolution.height,
+    ...buildFramingSettings(framing, resolution),
+    CodecSettings: buildVideoCodecSettings(video, bitrate, { mp4Packaging }),
+    ...((images.length > 0 || colorCorrector) && {
+      VideoPreprocessors: {
+        ...(colorCorrector && { ColorCorrector: colorCorrector }),
+        ...(images.length > 0 && {
+          ImageInserter: {
+            InsertableImages: images,
+            // Keep the (SDR) watermark PNG at a normal brightness in HDR outputs
+            ...(hdrOutput && { SdrReferenceWhiteLevel: SDR_REFERENCE_WHITE_NITS }),
+          },
+        }),
+      },
+    }),
+  };
+}
+
+/**
+ * Build the HLS output group (adaptive-bitrate ladder + master playlist)
+ * 
+ * Each ladder rung becomes one HLS output with its own resolution, bitrate and
+ * watermarks. MediaConvert writes the master playlist as {destination}.m3u8 and
+ * one child playlist per rung ({destination}_{height}p.m3u8) with TS segments.
+ * 
+ * @param {Object} options - HLS options
+ * @param {string} options.destination - S3 destination prefix (without extension)
+ * @param {Array} options.ladder - Rungs from calculateHlsLadder()
+ * @param {Object} options.video - Profile video settings (codec, rate control)
+ * @param {Object} options.videoMetadata - Source metadata
+ * @param {boolean} options.needsStaticWatermark - Use static watermarks
+ * @param {Object} options.layout - Watermark layout {name, anchors, seed}
+ * @param {string} options.watermarkUri - S3 URI of the watermark image (null: no watermark)
+ * @param {Array} options.audioTracks - Tracks from resolveAudioTracks(); the first is muxed into every rendition
+ * @param {Array} options.captionDescriptions - Burned-in captions for every rendition (optional)
+ * @param {Object} options.colorCorrector - HDR preservation or tone mapping (optional)
+ * @param {Object} options.framing - Reframing plan from resolveFraming() (optional)
+ * @returns {Object} MediaConvert OutputGroup
+ */
+function buildHlsOutputGroup({ destination, ladder, video, videoMetadata, needsStaticWatermark, layout, watermarkUri, audioTracks, captionDescriptions = [], colorCorrector = null, framing = null }) {
+  return {
+    Name: 'HLS Group',
+    OutputGroupSettings: {
+      Type: 'HLS_GROUP_SETTINGS',
+      HlsGroupSettings: {
+        Destination: destination,
+        SegmentLength: 6,
+        MinSegmentLength: 0,
+        SegmentControl: 'SEGMENTED_FILES',
+        DirectoryStructure: 'SINGLE_DIRECTORY',
+        ManifestDurationFormat: 'INTEGER',
+        OutputSelection: 'MANIFESTS_AND_SEGMENTS',
+        CodecSpecification: 'RFC_4281',
+        StreamInfResolution: 'INCLUDE',
+      },
+    },
+    Outputs: ladder.map(rung => ({
+      NameModifier: `_${Math.min(rung.width, rung.height)}p`,
+      VideoDescription: buildVideoDescription({
+        resolution: rung,
+        bitrate: rung.bitrate,
+        insertableImages: buildWatermarks({ videoMetadata, resolution: rung, needsStaticWatermark, layout, watermarkUri, framing }).insertableImages,
+        video,
+        mp4Packaging: false,
+        colorCorrector,
+        framing,
+      }),
+      AudioDescriptions: buildAudioDescriptions(audioTracks.slice(0, 1)),
+      ...(captionDescriptions.length > 0 && { CaptionDescriptions: captionDescriptions }),
+      ContainerSettings: {
+        Container: 'M3U8',
+        M3u8Settings: {},
+      },
+      OutputSettings: {
+        HlsSettings: {},
+      },
+    })),
+  };
+}
+
+/**
+ * Build the CMAF output group (fMP4 segments with HLS and DASH manifests)
+ * 
+ * CMAF outputs carry a single elementary stream, so every ladder rung becomes
+ * a video-only output and every audio track is packaged once as an audio-only
+ * output (_audio, or _audio_{label} when tracks were chosen with --audio).
+ * Both manifests reference the same fMP4 segments:
+ * - {destination}.m3u8 (HLS master playlist)
+ * - {destination}.mpd (DASH manifest)
+ * 
+ * @param {Object} options - CMAF options
+ * @param {string} options.destination - S3 destination prefix (without extension)
+ * @param {Array} options.ladder - Rungs from calculateHlsLadder()
+ * @param {Object} options.video - Profile video settings (codec, rate control)
+ * @param {Object} options.videoMetadata - Source metadata
+ * @param {boolean} options.needsStaticWatermark - Use static watermarks
+ * @param {Object} options.layout - Watermark layout {name, anchors, seed}
+ * @param {string} options.watermarkUri - S3 URI of the watermark image (null: no watermark)
+ * @param {Array} options.audioTracks - Tracks from resolveAudioTracks(), one audio output each
+ * @param {Array} options.captionDescriptions - Burned-in captions for every rendition (optional)
+ * @param {Object} options.colorCorrector - HDR preservation or tone mapping (optional)
+ * @param {Object} options.framing - Reframing plan from resolveFraming() (optional)
+ * @returns {Object} MediaConvert OutputGroup
+ */
+function buildCmafOutputGroup({ destination, ladder, video, videoMetadata, needsStaticWatermark, layout, watermarkUri, audioTracks, captionDescriptions = [], colorCorrector = null, framing = null }) {
+  const videoOutputs = ladder.map(rung => ({
+    NameModifier: `_${Math.min(rung.width, rung.height)}p`,
+    VideoDescription: buildVideoDescription({
+      resolution: rung,
+      bitrate: rung.bitrate,
+      insertableImages: buildWatermarks({ videoMetadata, resolution: rung, needsStaticWatermark, layout, watermarkUri, framing }).insertableImages,
+      video,
+      colorCorrector,
+      framing,
+    }),
+    ...(captionDescriptions.length > 0 && { CaptionDescriptions: captionDescriptions }),
+    ContainerSettings: {
+      Container: 'CMFC',
+      CmfcSettings: {},
+    },
+  }));
+  
+  const audioOutputs = audioTracks.map(track => ({
+    NameModifier: track.label ? `_audio_${track.label}` : '_audio',
+    AudioDescriptions: [buildAudioDescription(track)],
+    ContainerSettings: {
+      Container: 'CMFC',
+      CmfcSettings: {},
+    },
+  }));
+  
+  return {
+    Name: 'CMAF Group',
+    OutputGroupSettings: {
+      Type: 'CMAF_GROUP_SETTINGS',
+      CmafGroupSettings: {
+        Destination: destination,
+        SegmentLength: 6,
+        FragmentLength: 2,
+        SegmentControl: 'SEGMENTED_FILES',
+        WriteHlsManifest: 'ENABLED',
+        WriteDashManifest: 'ENABLED',
+        ManifestDurationFormat: 'INTEGER',
+        StreamInfResolution: 'INCLUDE',
+        CodecSpecification: 'RFC_6381',
+        MpdProfile: 'MAIN_PROFILE',
+      },
+    },
+    Outputs: [...videoOutputs, ...audioOutputs],
+  };
+}
+
+/**
+ * Parse a time value into seconds
+ * 
+ * Accepts plain seconds ('12', '12.5') and timecodes ('01:02', '00:01:02.5').
+ * 
+ * @param {string|number} value - Time value
+ * @returns {number} Seconds
+ * @throws {Error} If the value is not a valid time
+ * 
+ * Examples:
+ * - '90' → 90
+ * - '01:30' → 90
+ * - '00:01:30.5' → 90.5
+ */
+export function parseTimecode(value) {
+  const parts = String(value).trim().split(':');
+  if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) {
+    throw new Error(`Invalid time "${value}" (expected seconds or HH:MM:SS)`);
+  }
+  return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Parse a clip range '<start>-<end>' into seconds
+ * 
+ * Both ends accept seconds or timecodes (see parseTimecode()).
+ * 
+ * @param {string} value - Clip range
+ * @returns {Object} {start, end} in seconds
+ * @throws {Error} If the range is malformed or doesn't move forward
+ * 
+ * Examples:
+ * - '30-75' → {start: 30, end: 75}
+ * - '00:01:00-00:02:30.5' → {start: 60, end: 150.5}
+ */
+export function parseClipRange(value) {
+  const parts = String(value).split('-');
+  if (parts.length !== 2 || !parts[0].trim() || !parts[1].trim()) {
+    throw new Error(`Invalid clip range "${value}" (expected <start>-<end>, e.g. 30-75 or 00:01:00-00:02:30)`);
+  }
+  const [start, end] = parts.map(parseTimecode);
+  if (end <= start) {
+    throw new Error(`Invalid clip range "${value}" (end must be after start)`);
+  }
+  return { start, end };
+}
+
+/**
+ * Format a clip range for logs and summaries
+ * @param {Object} clip - {start, end} in seconds (end null = to the end of the video)
+ * @returns {string} e.g. '30s-75s', '60s-end'
+ */
+export function formatClipRange(clip) {
+  return `${clip.start}s-${clip.end != null ? `${clip.end}s` : 'end'}`;
+}
+
+/**
+ * Convert seconds to a MediaConvert clipping timecode (HH:MM:SS:FF)
+ * 
+ * Clipping timecodes are read against the zero-based input timeline, so the
+ * input sets TimecodeSource ZEROBASED. That timecode counts frames, with
+ * round(frameRate) frames per timecode second (non-drop-frame), so the
+ * position is converted to a frame number first. At 29.97 fps a timecode
+ * second is 30 frames, slightly longer than a real second.
+ * 
+ * @param {number} seconds - Position in the source video
+ * @param {number} frameRate - Source frame rate (fps)
+ * @returns {string} Timecode, e.g. 75.5 s at 30 fps → '00:01:15:15', 60 s at 29.97 fps → '00:00:59:28'
+ */
+export function toClippingTimecode(seconds, frameRate) {
+  const totalFrames = Math.round(seconds * frameRate);
+  const nominal = Math.round(frameRate);
+  const timecodeSeconds = Math.floor(totalFrames / nominal);
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(Math.floor(timecodeSeconds / 3600))}:${pad(Math.floor(timecodeSeconds / 60) % 60)}:${pad(timecodeSeconds % 60)}:${pad(totalFrames % nominal)}`;
+}
+
+/**
+ * Build a FRAME_CAPTURE output group (thumbnail strip and/or poster)
+ * 
+ * Outputs (JPEG, no watermark; HDR sources are tone-mapped since JPEG is SDR;
+ * reframed outputs get the same crop or bars as the video):
+ * - _thumb: one frame every intervalSeconds at thumbnail width
+ *   → {destination}{name}_thumb.0000000.jpg, .0000001.jpg, ...
+ * - _poster: full-resolution frame at posterSeconds. Frame capture always
+ *   starts at 0, so the capture rate is set to one frame per posterSeconds
+ *   with two captures; the second one is the poster (.0000001.jpg)
+ * 
+ * @param {Object} options - Frame capture options
+ * @param {string} options.destination - S3 folder, e.g. 's3://bucket/output/video_123/thumbs/'
+ * @param {Object} options.resolution - Output dimensions {width, height}
+ * @param {number} options.intervalSeconds - Seconds between thumbnails (null: no thumbnail strip)
+ * @param {number} options.posterSeconds - Poster position in seconds (null: no poster)
+ * @param {Object} options.colorCorrector - Tone mapping for HDR sources (optional)
+ * @param {Object} options.framing - Reframing plan from resolveFraming() (optional)
+ * @returns {Object} MediaConvert OutputGroup
+ */
+function buildFrameCaptureOutputGroup({ destination, resolution, intervalSeconds, posterSeconds, colorCorrector = null, framing = null }) {
+  const outputs = [];
+  
+  // Crop/Position, blurred bars and tone mapping for a capture size
+  const captureSettings = size => {
+    const bars = buildBarImages(framing, size);
+    return {
+      ...buildFramingSettings(framing, size),
+      ...((colorCorrector || bars.length > 0) && {
+        VideoPreprocessors: {
+          ...(colorCorrector && { ColorCorrector: colorCorrector }),
+          ...(bars.length > 0 && { ImageInserter: { InsertableImages: bars } }),
+        },
+      }),
+    };
+  };
+  
+  if (intervalSeconds) {
+    const thumbHeight = ensureEven(Math.round(config.thumbnails.width * resolution.height / resolution.width));
+    outputs.push({
+      NameModifier: '_thumb',
+      VideoDescription: {
+        Width: ensureEven(config.thumbnails.width),
+        Height: thumbHeight,
+        CodecSettings: {
+          Codec: 'FRAME_CAPTURE',
+          FrameCaptureSettings: {
+            FramerateNumerator: 1,
+            FramerateDenominator: intervalSeconds,
+            Quality: config.thumbnails.quality,
+          },
+        },
+        ...captureSettings({ width: ensureEven(config.thumbnails.width), height: thumbHeight }),
+      },
+      ContainerSettings: { Container: 'RAW' },
+    });
+  }
+  
+  if (posterSeconds !== null && posterSeconds !== undefined) {
+    // Millisecond precision: one capture every posterMs, the second capture is the poster
+    const posterMs = Math.round(posterSeconds * 1000);
+    outputs.push({
+      NameModifier: '_poster',
+      VideoDescription: {
+        Width: resolution.width,
+        Height: resolution.height,
+        CodecSettings: {
+          Codec: 'FRAME_CAPTURE',
+          FrameCaptureSettings: {
+            FramerateNumerator: posterMs > 0 ? 1000 : 1,
+            FramerateDenominator: posterMs > 0 ? posterMs : 1,
+            MaxCaptures: posterMs > 0 ? 2 : 1,
+            Quality: config.thumbnails.quality,
+          },
+        },
+        ...captureSettings(resolution),
+      },
+      ContainerSettings: { Container: 'RAW' },
+    });
+  }
+  
+  return {
+    Name: 'Frame Capture Group',
+    OutputGroupSettings: {
+      Type: 'FRAME_CAPTURE_GROUP_SETTINGS',
+      FrameCaptureGroupSettings: {
+        Destination: destination,
+      },
+    },
+    Outputs: outputs,
+  };
+}
+
+/**
+ * Print the loudness normalization block of the job summary
+ * 
+ * Measures each selected source track locally (FFmpeg loudnorm analysis) and
+ * prints the measured loudness next to loudnorm's prediction for the
+ * normalized output (an estimate; the output itself isn't measured).
+ * Measuring is best effort: without a local file, a probe or FFmpeg the
+ * targets are printed on their own and the job still normalizes.
+ * 
+ * @param {Object} loudness - Settings from resolveLoudness()
+ * @param {Array<Object>} audioTracks - Tracks from resolveAudioTracks()
+ * @param {string} localFilePath - Local source video (optional)
+ * @param {Array<Object>} audioStreams - Probed source audio streams (optional)
+ * @param {Object} clip - Clip range {start, end} in seconds; only that range is measured (optional)
+ * @returns {Promise<void>}
+ */
+async function printLoudnessSummary(loudness, audioTracks, localFilePath, audioStreams, clip = null) {
+  logger.info(`\n🔈 Loudness Normalization:`);
+  logger.info(`  Standard: ${loudness.description} (target ${loudness.targetLufs} LUFS, true peak ${loudness.truePeakDb} dBTP)`);
+
+  const measurements = new Map();
+
+  for (const track of audioTracks) {
+    // The default selection (no --audio) is the source's first audio track
+    const sourceTrack = track.track || (track.sourceLanguage ? null : 1);
+    const name = sourceTrack ? `Track ${sourceTrack}` : `Language ${track.sourceLanguage}`;
+    const label = `${name}${track.language ? ` [${track.language}]` : ''}, ${track.mode}`;
+
+    if (track.mode === 'passthrough') {
+      logger.info(`  ${label}: not normalized (stream copied as is)`);
+      continue;
+    }
+    if (!localFilePath || !sourceTrack || !audioStreams?.some(stream => stream.track === sourceTrack)) {
+      logger.info(`  ${label}: not measured → ${loudness.targetLufs} LUFS`);
+      continue;
+    }
+
+    try {
+      // A source track kept twice (e.g. 5.1 + stereo) is only measured once
+      if (!measurements.has(sourceTrack)) {
+        measurements.set(sourceTrack, measureLoudness(localFilePath, sourceTrack, loudness, clip));
+      }
+      const { before, predicted } = await measurements.get(sourceTrack);
+      logger.info(`  ${label}:`);
+      logger.info(`    Before:    ${formatLoudness(before)}`);
+      logger.info(`    Predicted: ${formatLoudness(predicted)}`);
+    } catch (error) {
+      logger.info(`  ⚠️  ${label}: could not measure loudness (${error.message.trim()}) → ${loudness.targetLufs} LUFS`);
+    }
+  }
+}
+
 /**
  * Create a MediaConvert job to convert video to MP4
  * 
  * VideoSelector configuration:
- * - ColorSpace: REC_709 (standard HD color space)
+ * - ColorSpace: REC_709 (standard HD color space) for SDR sources,
+ *   HDR10 / HLG_2020 (with the probed mastering metadata) for HDR sources
  * - Rotate: AUTO (handles mobile video rotation automatically)
  * - ColorSpaceUsage: 
- *   - FALLBACK for yuv420p variants (allows fallback if color range incompatible)
+ *   - FALLBACK for yuv420p variants and HDR sources (allows fallback if color range incompatible)
  *   - FORCE for other formats (ensures consistent color space)
  * 
  * Color Space Handling:
- * - yuv420p variants (yuv420p, yuvj420p, yuv420p10le) use FALLBACK mode
+ * - SDR yuv420p variants (yuvj420p, yuv420p10le) use FALLBACK mode
  *   to handle color range differences (full-range vs limited-range)
  * - Other formats use FORCE mode for consistent color space
- * - yuv420p variants also use static watermarks to avoid ImageInserter failures
+ * - SDR yuv420p variants also use static watermarks to avoid ImageInserter failures
+ * - HDR10/HLG sources are kept as 10-bit HDR or tone-mapped to SDR (hdr.js,
+ *   options.hdr) and get animated watermarks
+ * 
+ * Encode settings (resolution and bitrate caps, rate control, AAC settings,
+ * container, watermark on/off) come from the encoding profile (profiles.js).
+ * 
+ * Optional outputs:
+ * - hls: adds an HLS output group with an adaptive-bitrate ladder and master
+ *   playlist at s3://{bucket}/{outputFolder}/{name}_{timestamp}/hls/{name}.m3u8
+ * - cmaf: adds a CMAF output group with the same ladder as shared fMP4 segments
+ *   plus HLS and DASH manifests at s3://{bucket}/{outputFolder}/{name}_{timestamp}/cmaf/{name}.m3u8|.mpd
+ * - thumbnails / poster: adds a FRAME_CAPTURE output group writing JPEGs to
+ *   s3://{bucket}/{outputFolder}/{name}_{timestamp}/thumbs/
+ * - clip: encodes only a range of the source (InputClippings on a zero-based
+ *   timeline); watermarks, poster and loudness measurement follow the clipped duration.
+ *   Several ranges of one upload are separate jobs, named with _clip{n}
+ * - aspect / framingMode / cropAnchor: reframes to 9:16 or 1:1 (crop, pad or
+ *   blur, see framing.js); the profile's framing is used when not given
+ * - intro / outro: stitches bumpers before/after the main video as extra
+ *   Inputs; watermarks only cover the main content
+ * - captions: adds caption selectors to the input and, per language, a WebVTT
+ *   sidecar next to the MP4, CEA-608 captions embedded in the MP4, or burned-in
+ *   subtitles in every video output
  * 
  * @param {string} inputUri - S3 URI of the input video
  * @param {string} localFilePath - Local path to the video file (optional)
+ * @param {Object} options - Job options (optional)
+ * @param {string} options.profile - Encoding profile name (default: config.profiles.default)
+ * @param {string} options.codec - Output video codec overriding the profile's: h264, h265, av1 (see codecs.js)
+ * @param {string} options.hdr - HDR handling: auto, preserve or tonemap (default: config.hdr.mode, see hdr.js)
+ * @param {boolean} options.hls - Also produce an HLS adaptive-bitrate output group
+ * @param {boolean} options.cmaf - Also produce a CMAF output group (HLS + DASH manifests)
+ * @param {string} options.watermarkLayout - Watermark layout name (default: config.mediaconvert.watermarkLayout)
+ * @param {string} options.watermarkAnchors - Anchor points for the custom layout, 'x,y;x,y' (default: config.mediaconvert.watermarkAnchors)
+ * @param {string} options.watermark - Local watermark PNG (default: config.mediaconvert.watermarkFile), validated and uploaded to the assets folder
+ * @param {Array<string>} options.recipients - Produce one MP4 per recipient with a burned-in text watermark
+ *   (name modifier _{timestamp}_{n}-{recipient slug}, in recipient order); not combinable with hls/cmaf
+ * @param {boolean} options.thumbnails - Capture a thumbnail strip (JPEG every thumbnailInterval seconds)
+ * @param {number} options.thumbnailInterval - Seconds between thumbnails (default: config.thumbnails.intervalSeconds)
+ * @param {string|number} options.poster - Capture a poster frame at this time (seconds or HH:MM:SS, relative to the clip)
+ * @param {Object} options.clip - Only encode this range {start, end, index}: seconds, end null = to the end;
+ *   index (1-based) is set when the source is split into several clips and names the outputs _clip{index}
+ * @param {string} options.aspect - Output aspect ratio: '9:16', '1:1' or 'source' (default: the profile's framing)
+ * @param {string} options.framingMode - crop, pad or blur (default: the profile's, then config.framing.mode)
+ * @param {string} options.cropAnchor - Crop position: center, left, right, top, bottom or 0-1
+ *   (default: the profile's, then config.framing.anchor)
+ * @param {string} options.intro - Intro bumper, local file or s3:// URI (default: config.bumpers.intro; null: none)
+ * @param {string} options.outro - Outro bumper, local file or s3:// URI (default: config.bumpers.outro; null: none)
+ * @param {Array<Object>} options.captions - Caption tracks [{file, language, mode}] (see captions.js);
+ *   local files are uploaded, s3:// URIs used as they are
+ * @param {Array<Object>} options.audio - Audio track specs from parseAudioArgument() (see audio.js);
+ *   default: the source's default track as stereo AAC
+ * @param {string} options.loudness - Loudness standard: ebu-r128, atsc-a85 or off (default: config.loudness.standard)
+ * @param {number|string} options.loudnessTarget - Integrated target in LUFS (default: config.loudness.targetLufs,
+ *   then the standard's own target)
  * @returns {Promise<string>} Job ID
  */
-export async function createMediaConvertJob(inputUri, localFilePath = null) {
+export async function createMediaConvertJob(inputUri, localFilePath = null, options = {}) {
   try {
     const fileName = path.basename(inputUri);
+    const baseName = path.basename(fileName, path.extname(fileName));
     const outputKey = `${config.s3.outputFolder}/${fileName}`;
     const outputUri = `s3://${config.s3.bucket}/${outputKey}`;
+    // Shared timestamp so the MP4 and the HLS folder of one job can be matched up
+    const outputTimestamp = Date.now();
+    // Clips of one source are separate jobs that may start in the same millisecond: the clip number keeps them apart
+    const outputTag = options.clip?.index ? `${outputTimestamp}_clip${options.clip.index}` : `${outputTimestamp}`;
+    const hlsDestination = `s3://${config.s3.bucket}/${config.s3.outputFolder}/${baseName}_${outputTag}/hls/${baseName}`;
+    const cmafDestination = `s3://${config.s3.bucket}/${config.s3.outputFolder}/${baseName}_${outputTag}/cmaf/${baseName}`;
+    const thumbsDestination = `s3://${config.s3.bucket}/${config.s3.outputFolder}/${baseName}_${outputTag}/thumbs/`;
+    const hasPoster = options.poster !== null && options.poster !== undefined && options.poster !== '';
+
+    // Resolve the watermark layout (seeded with the timestamp so every output shares random positions)
+    const watermarkLayout = {
+      name: options.watermarkLayout || config.mediaconvert.watermarkLayout,
+      anchors: parseWatermarkAnchors(options.watermarkAnchors ?? config.mediaconvert.watermarkAnchors),
+      seed: outputTimestamp,
+    };
+    const layoutDefinition = getWatermarkLayout(watermarkLayout.name);
+    const profile = getProfile(options.profile || config.profiles.default);
+
+    // Output codec: the profile's, or --codec with the profile's caps and rate control
+    let video = options.codec ? withCodec(profile.video, options.codec) : profile.video;
+    const codecErrors = validateCodecSettings(video, profile.container);
+    if (codecErrors.length > 0) {
+      throw new Error(`Profile ${profile.name} with codec ${video.codec}: ${codecErrors.join('; ')}`);
+    }
+    if (options.hls && !VIDEO_CODECS[video.codec].hls) {
+      throw new Error(`${VIDEO_CODECS[video.codec].label} can't be packaged as HLS (TS segments); use --cmaf instead`);
+    }
+    if (options.hls && video.codec === 'h265') {
+      logger.warn(`⚠️  HEVC in HLS TS segments doesn't play on Apple devices; add --cmaf for fMP4 (hvc1) renditions`);
+    }
 
-    console.log(`Creating MediaConvert job...`);
-    console.log(`Input: ${inputUri}`);
-    console.log(`Output: ${outputUri}`);
+    // Personalised copies are MP4 only: segmented outputs would need a ladder per recipient
+    const recipients = options.recipients || [];
+    if (recipients.length > 0 && (options.hls || options.cmaf)) {
+      throw new Error('Recipient watermarks can only be combined with the MP4 output (not --hls/--cmaf)');
+    }
+
+    // Caption files: validated up front, uploaded once per version
+    const captions = options.captions || [];
+    validateCaptions(captions);
+    const uploadedCaptions = await uploadCaptions(captions);
+    const videoCaptionDescriptions = buildVideoCaptionDescriptions(uploadedCaptions);
+    const burnInCaptionDescriptions = buildVideoCaptionDescriptions(uploadedCaptions, { embed: false });
+    uploadedCaptions.forEach(caption => {
+      logger.info(`Captions (${caption.language}, ${caption.mode}): ${caption.uri}`);
+    });
+
+    // Make sure the watermark image is in S3 (validated, uploaded once per version), unless the profile has none
+    const watermarkUri = profile.watermark
+      ? await provisionWatermarkAsset(options.watermark || config.mediaconvert.watermarkFile)
+      : null;
+
+    // Intro/outro bumpers: probed for their duration, local files uploaded once per version
+    const introSource = options.intro === undefined ? config.bumpers.intro : options.intro;
+    const outroSource = options.outro === undefined ? config.bumpers.outro : options.outro;
+    const intro = introSource ? await provisionBumper(introSource, 'intro') : null;
+    const outro = outroSource ? await provisionBumper(outroSource, 'outro') : null;
+
+    logger.info(`Creating MediaConvert job...`);
+    logger.info(`Profile: ${profile.name}${profile.description ? ` (${profile.description})` : ''}`);
+    logger.info(`Input: ${inputUri}`);
+    logger.info(`Output: ${outputUri}`);
+    if (options.hls) {
+      logger.info(`HLS Output: ${hlsDestination}.m3u8`);
+    }
+    if (options.cmaf) {
+      logger.info(`CMAF Output: ${cmafDestination}.m3u8 + ${cmafDestination}.mpd`);
+    }
+    if (options.thumbnails || hasPoster) {
+      logger.info(`Thumbnails Output: ${thumbsDestination}`);
+    }
 
     // Get video metadata if local file is provided
     let videoMetadata = { durationMs: 15000, width: 1920, height: 1080, bitrate: 5000000 };
+    let durationKnown = false;
     if (localFilePath) {
       try {
         videoMetadata = await getVideoMetadata(localFilePath);
+        durationKnown = true;
       } catch (error) {
-        console.warn(`Could not read video metadata: ${error.message}. Using defaults.`);
+        logger.warn(`Could not read video metadata: ${error.message}. Using defaults.`);
       }
     }
 
-    // Calculate output resolution (scale down if long edge > 1920)
+    // Input clipping: only the clip is encoded, so everything timed (watermark sequence,
+    // poster, loudness) works with the clipped duration from here on
+    let clip = null;
+    let inputClipping = null;
+    if (options.clip) {
+      const sourceSeconds = videoMetadata.durationMs / 1000;
+      clip = { start: options.clip.start, end: options.clip.end ?? null };
+      // Without a probed duration the range can't be checked against the source;
+      // MediaConvert stops at the end of the input anyway
+      if (durationKnown && clip.start >= sourceSeconds) {
+        throw new Error(`Clip start ${clip.start}s is past the end of the video (${sourceSeconds.toFixed(2)}s)`);
+      }
+      if (durationKnown && clip.end !== null && clip.end > sourceSeconds) {
+        logger.warn(`⚠️  Clip end ${clip.end}s is past the end of the video (${sourceSeconds.toFixed(2)}s) - clipping to the end`);
+        clip.end = null;
+      }
+
+      const frameRate = videoMetadata.frameRate || 30;
+      inputClipping = {
+        StartTimecode: toClippingTimecode(clip.start, frameRate),
+        ...(clip.end !== null && { EndTimecode: toClippingTimecode(clip.end, frameRate) }),
+      };
+      if (clip.end !== null) {
+        videoMetadata = { ...videoMetadata, durationMs: Math.floor((clip.end - clip.start) * 1000) };
+      } else if (durationKnown) {
+        videoMetadata = { ...videoMetadata, durationMs: Math.floor((sourceSeconds - clip.start) * 1000) };
+      }
+
+      logger.info(`\n✂️  Clip${options.clip.index ? ` ${options.clip.index}` : ''}: ${formatClipRange(clip)} (${(videoMetadata.durationMs / 1000).toFixed(2)}s)`);
+      logger.info(`  Input clipping: ${inputClipping.StartTimecode} → ${inputClipping.EndTimecode || 'end'}`);
+    }
+
+    // Bumpers shift the main content: watermarks start at the first whole second after the intro
+    // (image timecodes have no frame rate to place them more precisely) and end with the main video
+    if (intro || outro) {
+      const startMs = intro ? Math.ceil(intro.durationMs / 1000) * 1000 : 0;
+      const durationMs = videoMetadata.durationMs - (startMs - (intro?.durationMs || 0));
+      videoMetadata = { ...videoMetadata, contentWindow: { startMs, durationMs } };
+
+      logger.info(`\n🎬 Bumpers:`);
+      for (const bumper of [intro, { role: 'main' }, outro].filter(Boolean)) {
+        if (bumper.role === 'main') {
+          logger.info(`  Main: ${(videoMetadata.durationMs / 1000).toFixed(2)}s (watermarked from ${startMs / 1000}s of the output)`);
+          continue;
+        }
+        const label = bumper.role === 'intro' ? 'Intro' : 'Outro';
+        logger.info(`  ${label}: ${bumper.uri} (${(bumper.durationMs / 1000).toFixed(2)}s, ${bumper.width}x${bumper.height})`);
+      }
+    }
+
+    // HDR sources: keep HDR10/HLG (10-bit HEVC/AV1) or tone-map to SDR, decided from the probe
+    const color = videoMetadata.color || null;
+    const hdrPlan = resolveHdrPlan(options.hdr || config.hdr.mode, color, video.codec);
+    if (hdrPlan.codec !== video.codec) {
+      logger.warn(`⚠️  ${VIDEO_CODECS[video.codec].label} can't carry HDR - encoding ${VIDEO_CODECS[hdrPlan.codec].label} instead`);
+      video = withCodec(video, hdrPlan.codec);
+      if (options.hls) {
+        logger.warn(`⚠️  HEVC in HLS TS segments doesn't play on Apple devices; add --cmaf for fMP4 (hvc1) renditions`);
+      }
+    }
+    if (hdrPlan.output !== 'sdr') {
+      video = { ...video, bitDepth: 10 };
+    }
+    const colorCorrector = buildColorCorrector(hdrPlan, color);
+    if (color?.hdrFormat) {
+      const output = hdrPlan.toneMap
+        ? 'SDR Rec.709 (tone-mapped)'
+        : `${hdrPlan.output.toUpperCase()} 10-bit ${VIDEO_CODECS[video.codec].label}`;
+      logger.info(`\n🎨 HDR Handling:`);
+      logger.info(`  Source: ${describeColor(color)}`);
+      logger.info(`  Output: ${output} (${hdrPlan.reason})`);
+      if (options.thumbnails || hasPoster) {
+        logger.info(`  Thumbnails: SDR (tone-mapped)`);
+      }
+    }
+
+    // Audio tracks: chosen with --audio and checked against the probed streams, or the default track
+    const loudness = resolveLoudness(options.loudness ?? config.loudness.standard, options.loudnessTarget ?? config.loudness.targetLufs);
+    const audioTracks = resolveAudioTracks(options.audio || [], videoMetadata.audioStreams || null)
+      .map(track => ({ ...track, normalization: loudness, aac: profile.audio }));
+    // Bumpers need audio that fits every track's mode (fails here rather than in MediaConvert)
+    [intro, outro].filter(Boolean).forEach(bumper => matchBumperAudio(bumper, audioTracks));
+    if (options.audio?.length > 0) {
+      logger.info(`\n🔊 Audio Tracks:`);
+      audioTracks.forEach(track => {
+        const source = track.track ? `track ${track.track}` : `language ${track.sourceLanguage}`;
+        logger.info(`  ${source} → ${track.mode}${track.language ? ` [${track.language}]` : ''}`);
+      });
+      if (options.hls && audioTracks.length > 1) {
+        logger.info(`  HLS renditions carry the first track only`);
+      }
+    }
+
+    if (loudness) {
+      await printLoudnessSummary(loudness, audioTracks, localFilePath, videoMetadata.audioStreams, clip);
+    }
+
+    // Social reframing (9:16 / 1:1): --aspect or the profile's framing; 'source' keeps the aspect ratio
+    const aspect = options.aspect ?? profile.framing?.aspect ?? null;
+    let framing = null;
+    if (aspect && aspect !== 'source') {
+      framing = resolveFraming({
+        aspect,
+        mode: options.framingMode || profile.framing?.mode || config.framing.mode,
+        anchor: options.cropAnchor ?? profile.framing?.anchor ?? config.framing.anchor,
+      }, videoMetadata, video.maxLongEdge);
+
+      // Blurred bars come from a frame in the middle of the (clipped) video
+      if (framing.mode === 'blur' && !localFilePath) {
+        logger.warn(`⚠️  Blurred bars need the local video - using black bars`);
+      } else if (framing.mode === 'blur') {
+        try {
+          framing = await provisionBlurredBars(framing, localFilePath, (clip?.start || 0) + videoMetadata.durationMs / 2000);
+        } catch (error) {
+          logger.warn(`⚠️  Could not render blurred bars (${error.message}) - using black bars`);
+        }
+      }
+
+      logger.info(`\n🖼️  Framing:`);
+      logger.info(`  ${describeFraming(framing)}`);
+      logger.info(`  Output: ${framing.output.width}x${framing.output.height}`);
+      const mismatchedBumper = [intro, outro].find(bumper => bumper && (bumper.width !== videoMetadata.width || bumper.height !== videoMetadata.height));
+      if (framing.crop && mismatchedBumper) {
+        logger.warn(`  ⚠️  The crop window is in source pixels and also applies to the ${mismatchedBumper.role} (${mismatchedBumper.width}x${mismatchedBumper.height}); use bumpers of the source size or pad`);
+      }
+    }
+
+    // Calculate output resolution (scale down if long edge > the profile's cap, 1920 for web-1080)
     // MediaConvert applies rotation FIRST, then inserts watermarks on the rotated output
     // So we use the post-rotation dimensions for both output and watermark calculations
-    const outputResolution = calculateOutputResolution(videoMetadata.width, videoMetadata.height, 1920);
+    // Reframed outputs use the frame from resolveFraming() instead
+    const outputResolution = framing
+      ? framing.output
+      : calculateOutputResolution(videoMetadata.width, videoMetadata.height, video.maxLongEdge);
 
-    // Calculate output bitrate with 10 Mbps maximum
-    const scaleFactor = Math.min(outputResolution.width / videoMetadata.width, outputResolution.height / videoMetadata.height);
-    const scaledBitrate = Math.floor(videoMetadata.bitrate * scaleFactor);
-    const maxBitrate = 10000000; // 10 Mbps in bps
-    const outputBitrate = Math.min(scaledBitrate, maxBitrate);
-    
-    console.log(`\n📊 Bitrate Settings:`);
-    console.log(`  Original: ${(videoMetadata.bitrate / 1000000).toFixed(2)} Mbps`);
-    console.log(`  Scaled: ${(scaledBitrate / 1000000).toFixed(2)} Mbps (scale factor: ${scaleFactor.toFixed(3)})`);
-    console.log(`  Output: ${(outputBitrate / 1000000).toFixed(2)} Mbps (max: 10 Mbps)`);
-
-    // Calculate optimal watermark size and offset based on OUTPUT resolution
-    // MediaConvert applies rotation FIRST, then inserts watermarks on rotated video
+    // Calculate output bitrate with the profile's maximum (10 Mbps for web-1080)
+    const codecFactor = codecBitrateFactor(videoMetadata.codec, video.codec);
+    const { scaleFactor, scaledBitrate, outputBitrate } = calculateOutputBitrate(videoMetadata.bitrate, videoMetadata, outputResolution, video.maxBitrate, codecFactor);
+    const vbr = video.rateControl === 'VBR' ? vbrBitrates(outputBitrate, video.maxBitrate) : null;
     
-    // For larger video files (long edge > 1920px), use bigger watermark (18% vs 12%)
-    const longEdge = Math.max(videoMetadata.width, videoMetadata.height);
-    const watermarkPercent = longEdge > 1920 ? 18 : 12;
-    const watermarkSize = calculateWatermarkSize(outputResolution.width, outputResolution.height, watermarkPercent, 80);
-    const watermarkOffset = calculateWatermarkOffset(outputResolution.width, outputResolution.height);
+    logger.event('bitrate', {
+      originalBitrate: videoMetadata.bitrate,
+      sourceCodec: videoMetadata.codec || null,
+      codec: video.codec,
+      codecFactor,
+      scaleFactor,
+      scaledBitrate,
+      outputBitrate,
+      maxBitrate: video.maxBitrate,
+      rateControl: video.rateControl,
+      ...(vbr && { averageBitrate: vbr.average, peakBitrate: vbr.peak }),
+    }, [
+      `\n📊 Bitrate Settings:`,
+      `  Original: ${(videoMetadata.bitrate / 1000000).toFixed(2)} Mbps`,
+      `  Codec: ${videoMetadata.codec || 'h264 (assumed)'} → ${VIDEO_CODECS[video.codec].label} (efficiency factor: ${codecFactor.toFixed(2)})`,
+      `  Scaled: ${(scaledBitrate / 1000000).toFixed(2)} Mbps (scale factor: ${scaleFactor.toFixed(3)})`,
+      vbr
+        ? `  Output: ${(vbr.average / 1000000).toFixed(2)} Mbps average, ${(vbr.peak / 1000000).toFixed(2)} Mbps peak (max: ${video.maxBitrate / 1000000} Mbps, VBR)`
+        : `  Output: ${(outputBitrate / 1000000).toFixed(2)} Mbps (max: ${video.maxBitrate / 1000000} Mbps, ${video.rateControl})`,
+    ]);
 
     // Detect problem color spaces and choose appropriate watermark strategy
     // yuvj420p = full range yuv420p (full-range/0-255), known to cause MediaConvert issues
-    // yuv420p10le = 10-bit yuv420p, requires special handling
+    // yuv420p10le = 10-bit yuv420p, requires special handling when it's read as REC_709
     // yuv420p = standard limited-range yuv420p (16-235), generally works but some variants may fail
+    // HDR sources (10-bit HDR10/HLG) have their own color pipeline and keep animated watermarks
+    const isHdrSource = Boolean(color?.hdrFormat);
     const problematicColorSpaces = ['yuv420p10le', 'yuvj420p'];
-    const needsStaticWatermark = problematicColorSpaces.includes(videoMetadata.colorSpace);
+    const needsStaticWatermark = !isHdrSource && problematicColorSpaces.includes(videoMetadata.colorSpace);
     
     // For yuv420p variants, use more flexible color space handling to avoid preprocessor failures
-    const needsFlexibleColorSpace = ['yuvj420p', 'yuv420p10le'].includes(videoMetadata.colorSpace);
+    const needsFlexibleColorSpace = !isHdrSource && ['yuvj420p', 'yuv420p10le'].includes(videoMetadata.colorSpace);
+    const colorSpaceHandling = isHdrSource
+      ? `HDR (${color.hdrFormat.toUpperCase()} input)`
+      : needsFlexibleColorSpace ? 'Flexible (yuv420p compatibility)' : 'Standard';
+
+    // Calculate optimal watermark size and offset based on OUTPUT resolution
+    // MediaConvert applies rotation FIRST, then inserts watermarks on rotated video
+    const { insertableImages, watermarkSize, watermarkOffset, watermarkPercent } = buildWatermarks({
+      videoMetadata,
+      resolution: outputResolution,
+      needsStaticWatermark,
+      layout: watermarkLayout,
+      watermarkUri,
+      framing,
+    });
     
-    console.log(`\n💧 Watermark Configuration:`);
-    console.log(`  Strategy: ${needsStaticWatermark ? 'Static (color space compatibility)' : 'Animated looping'}`);
-    console.log(`  Color Space Handling: ${needsFlexibleColorSpace ? 'Flexible (yuv420p compatibility)' : 'Standard'}`);
-    console.log(`  Output Resolution: ${outputResolution.width}x${outputResolution.height}`);
-    console.log(`  Watermark Size: ${watermarkSize}x${watermarkSize}px (${watermarkPercent}% of smaller dimension)`);
-    console.log(`  Positions: Top-left + Bottom-right`);
-    console.log(`  Offset: ${watermarkOffset}px from edges`);
-    console.log(`  Opacity: ${config.mediaconvert.watermarkOpacity}%\n`);
-
-    // Generate watermark sequence based on color space
-    let watermarkSequence;
-    if (needsStaticWatermark) {
-      console.log(`⚠️  ${videoMetadata.colorSpace} color space detected - using static watermarks for compatibility`);
-      watermarkSequence = generateStaticWatermarks({
-        videoWidth: outputResolution.width,
-        videoHeight: outputResolution.height,
-        watermarkSize,
+    if (watermarkUri) {
+      logger.event('watermark', {
+        strategy: needsStaticWatermark ? 'static' : 'animated',
+        colorSpace: videoMetadata.colorSpace,
+        colorSpaceHandling,
+        width: outputResolution.width,
+        height: outputResolution.height,
+        size: watermarkSize,
+        percent: watermarkPercent,
+        image: watermarkUri,
+        layout: watermarkLayout.name,
         offset: watermarkOffset,
         opacity: config.mediaconvert.watermarkOpacity,
-        watermarkUri: `s3://${config.s3.bucket}/assets/watermark.png`,
+      }, [
+        `\n💧 Watermark Configuration:`,
+        `  Strategy: ${needsStaticWatermark ? 'Static (color space compatibility)' : 'Animated looping'}`,
+        `  Color Space Handling: ${colorSpaceHandling}`,
+        `  Output Resolution: ${outputResolution.width}x${outputResolution.height}`,
+        `  Watermark Size: ${watermarkSize}x${watermarkSize}px (${watermarkPercent}% of smaller dimension)`,
+        `  Image: ${watermarkUri}`,
+        `  Layout: ${watermarkLayout.name} (${layoutDefinition.description})`,
+        `  Offset: ${watermarkOffset}px from edges`,
+        `  Opacity: ${config.mediaconvert.watermarkOpacity}%\n`,
+        needsStaticWatermark
+          ? `⚠️  ${videoMetadata.colorSpace} color space detected - using static watermarks for compatibility`
+          : `✓ Compatible color space detected - using animated watermarks`,
+      ]);
+    } else {
+      logger.event('watermark', {
+        strategy: 'off',
+        colorSpace: videoMetadata.colorSpace,
+        colorSpaceHandling,
+        width: outputResolution.width,
+        height: outputResolution.height,
+      }, [
+        `\n💧 Watermark: off (profile ${profile.name})`,
+        `  Color Space Handling: ${colorSpaceHandling}`,
+        `  Output Resolution: ${outputResolution.width}x${outputResolution.height}\n`,
+      ]);
+    }
+
+    // One MP4 per recipient (logo + recipient text), or a single MP4 with the logo only
+    const fileOutputs = [];
+    if (recipients.length > 0) {
+      logger.info(`\n🔏 Recipient Watermarks (${recipients.length}):`);
+      const recipientImages = await provisionRecipientWatermarks(recipients, new Date(outputTimestamp));
+      const textLayer = Math.max(0, ...insertableImages.map(image => image.Layer)) + 1;
+      const picture = framingPicture(framing, outputResolution);
+
+      recipientImages.forEach((image, index) => {
+        const nameModifier = `_${outputTag}_${recipientSlug(image.recipient, index)}`;
+        logger.info(`  ${image.recipient} → ${baseName}${nameModifier}.${profile.container}`);
+        fileOutputs.push({
+          nameModifier,
+          insertableImages: [
+            ...insertableImages,
+            ...offsetImages([generateTextWatermark({
+              videoWidth: picture.width,
+              videoHeight: picture.height,
+              image,
+              offset: watermarkOffset,
+              layer: textLayer,
+              window: videoMetadata.contentWindow || null,
+            })], picture),
+          ],
+        });
       });
     } else {
-      console.log(`✓ Compatible color space detected - using animated watermarks`);
-      watermarkSequence = generateWatermarkSequence({
-        videoWidth: outputResolution.width,
-        videoHeight: outputResolution.height,
-        videoDurationMs: videoMetadata.durationMs,
-        watermarkSize,
-        offset: watermarkOffset,
-        durationMs: 5000,
-        opacity: config.mediaconvert.watermarkOpacity,
-        watermarkUri: `s3://${config.s3.bucket}/assets/watermark.png`,
+      fileOutputs.push({ nameModifier: `_${outputTag}`, insertableImages });
+    }
+
+    // MediaConvert names file and frame capture outputs after the first input, which is the
+    // intro when there is one: put the main video's name in the destination instead
+    const fileNamePrefix = intro ? baseName : '';
+
+    const outputGroups = [
+      {
+        Name: 'File Group',
+        OutputGroupSettings: {
+          Type: 'FILE_GROUP_SETTINGS',
+          FileGroupSettings: {
+            Destination: `s3://${config.s3.bucket}/${config.s3.outputFolder}/${fileNamePrefix}`,
+          },
+        },
+        Outputs: [
+          ...fileOutputs.map(output => ({
+            VideoDescription: buildVideoDescription({
+              resolution: outputResolution,
+              bitrate: outputBitrate,
+              insertableImages: output.insertableImages,
+              video,
+              colorCorrector,
+              framing,
+            }),
+            AudioDescriptions: buildAudioDescriptions(audioTracks),
+            ...(videoCaptionDescriptions.length > 0 && { CaptionDescriptions: videoCaptionDescriptions }),
+            ContainerSettings: profile.container === 'mov'
+              ? { Container: 'MOV', MovSettings: {} }
+              : { Container: 'MP4', Mp4Settings: {} },
+            NameModifier: output.nameModifier,
+          })),
+          // WebVTT sidecars next to the MP4: {name}_{timestamp}_{lang}.vtt
+          ...buildSidecarOutputs(uploadedCaptions, `_${outputTag}`),
+        ],
+      },
+    ];
+
+    // Adaptive-bitrate ladder (shared by HLS and CMAF), every rung watermarked for its own resolution
+    if (options.hls || options.cmaf) {
+      const ladder = calculateHlsLadder(videoMetadata, outputResolution, video.maxBitrate, codecFactor, Boolean(framing));
+      
+      logger.info(`\n📶 Adaptive Bitrate Ladder:`);
+      ladder.forEach(rung => {
+        logger.info(`  ${rung.width}x${rung.height} @ ${(rung.bitrate / 1000000).toFixed(2)} Mbps`);
       });
+      
+      if (options.hls) {
+        outputGroups.push(buildHlsOutputGroup({
+          destination: hlsDestination,
+          ladder,
+          video,
+          videoMetadata,
+          needsStaticWatermark,
+          layout: watermarkLayout,
+          watermarkUri,
+          audioTracks,
+          captionDescriptions: burnInCaptionDescriptions,
+          colorCorrector,
+          framing,
+        }));
+      }
+      
+      if (options.cmaf) {
+        outputGroups.push(buildCmafOutputGroup({
+          destination: cmafDestination,
+          ladder,
+          video,
+          videoMetadata,
+          needsStaticWatermark,
+          layout: watermarkLayout,
+          watermarkUri,
+          audioTracks,
+          captionDescriptions: burnInCaptionDescriptions,
+          colorCorrector,
+          framing,
+        }));
+      }
     }
-    
+
+    // Thumbnail strip and poster frame (JPEG, no watermark)
+    if (options.thumbnails || hasPoster) {
+      const intervalSeconds = options.thumbnails
+        ? Math.max(1, Math.round(options.thumbnailInterval || config.thumbnails.intervalSeconds))
+        : null;
+      let posterSeconds = hasPoster ? parseTimecode(options.poster) : null;
+      if (posterSeconds !== null && posterSeconds * 1000 >= videoMetadata.durationMs) {
+        logger.warn(`⚠️  Poster time ${posterSeconds}s is past the end of the video - using the first frame`);
+        posterSeconds = 0;
+      }
+
+      logger.info(`\n🖼️  Frame Capture:`);
+      if (intervalSeconds) {
+        logger.info(`  Thumbnails: every ${intervalSeconds}s at ${config.thumbnails.width}px wide`);
+      }
+      if (posterSeconds !== null) {
+        logger.info(`  Poster: ${posterSeconds}s (${outputResolution.width}x${outputResolution.height})`);
+      }
+
+      outputGroups.push(buildFrameCaptureOutputGroup({
+        destination: `${thumbsDestination}${fileNamePrefix}`,
+        resolution: outputResolution,
+        intervalSeconds,
+        // The poster time is relative to the main video, frame capture runs over the whole output
+        posterSeconds: posterSeconds !== null && intro ? posterSeconds + intro.durationMs / 1000 : posterSeconds,
+        // JPEG is SDR: tone-map HDR sources even when the video outputs stay HDR
+        colorCorrector: isHdrSource ? buildColorCorrector({ output: 'sdr', toneMap: true }, color) : null,
+        framing,
+      }));
+    }
+
+    // Bumper inputs get the same audio selector names (see buildBumperInput)
+    const audioSelectors = buildAudioSelectors(audioTracks);
 
     const jobSettings = {
       Role: config.mediaconvert.roleArn,
@@ -549,74 +1398,34 @@ export async function createMediaConvertJob(inputUri, localFilePath = null) {
       StatusUpdateInterval: 'SECONDS_10', // Update status every 10 seconds - 10 seconds is the minimum
       Settings: {
         Inputs: [
+          ...(intro ? [buildBumperInput(intro, audioTracks)] : []),
           {
             FileInput: inputUri,
-            VideoSelector: {
-              ColorSpace: 'REC_709',
-              Rotate: 'AUTO',
-              // Use FALLBACK for yuv420p variants to avoid preprocessor failures
-              // FALLBACK attempts REC_709 but falls back gracefully if incompatible
-              // FORCE might fail on certain yuv420p variants due to color range differences
-              ColorSpaceUsage: needsFlexibleColorSpace ? 'FALLBACK' : 'FORCE'
-            },
-            AudioSelectors: {
-              'Audio Selector 1': {
-                DefaultSelection: 'DEFAULT',
-              },
-            },
-          },
-        ],
-        OutputGroups: [
-          {
-            Name: 'File Group',
-            OutputGroupSettings: {
-              Type: 'FILE_GROUP_SETTINGS',
-              FileGroupSettings: {
-                Destination: `s3://${config.s3.bucket}/${config.s3.outputFolder}/`,
-              },
-            },
-            Outputs: [
-              {
-                VideoDescription: {
-                  Width: outputResolution.width,
-                  Height: outputResolution.height,
-                  CodecSettings: {
-                    Codec: 'H_264',
-                    H264Settings: {
-                      MaxBitrate: outputBitrate,
-                      RateControlMode: 'QVBR',
-                      QualityTuningLevel: 'SINGLE_PASS_HQ',
-                      SceneChangeDetect: 'TRANSITION_DETECTION',
-                    },
-                  },
-                  VideoPreprocessors: {
-                    ImageInserter: {
-                      InsertableImages: watermarkSequence,
-                    },
-                  },
-                },
-                AudioDescriptions: [
-                  {
-                    AudioSourceName: 'Audio Selector 1',
-                    CodecSettings: {
-                      Codec: 'AAC',
-                      AacSettings: {
-                        Bitrate: 128000,
-                        CodingMode: 'CODING_MODE_2_0',
-                        SampleRate: 48000,
-                      },
-                    },
-                  },
-                ],
-                ContainerSettings: {
-                  Container: 'MP4',
-                  Mp4Settings: {},
+            ...(inputClipping && {
+              // Clipping timecodes count from the start of the file, whatever timecode the source carries
+              TimecodeSource: 'ZEROBASED',
+              InputClippings: [inputClipping],
+            }),
+            VideoSelector: isHdrSource
+              ? {
+                  // HDR10 / HLG with the probed mastering metadata where the source lacks it
+                  ...buildHdrInputColorSettings(color),
+                  Rotate: 'AUTO',
+                }
+              : {
+                  ColorSpace: 'REC_709',
+                  Rotate: 'AUTO',
+                  // Use FALLBACK for yuv420p variants to avoid preprocessor failures
+                  // FALLBACK attempts REC_709 but falls back gracefully if incompatible
+                  // FORCE might fail on certain yuv420p variants due to color range differences
+                  ColorSpaceUsage: needsFlexibleColorSpace ? 'FALLBACK' : 'FORCE'
                 },
-                NameModifier: `_${Date.now()}`,
-              },
-            ],
+            AudioSelectors: audioSelectors,
+            ...(uploadedCaptions.length > 0 && { CaptionSelectors: buildCaptionSelectors(uploadedCaptions) }),
           },
+          ...(outro ? [buildBumperInput(outro, audioTracks)] : []),
         ],
+        OutputGroups: outputGroups,
         TimecodeConfig: {
           Source: 'ZEROBASED',
         },
@@ -626,11 +1435,15 @@ export async function createMediaConvertJob(inputUri, localFilePath = null) {
     const command = new CreateJobCommand(jobSettings);
     const response = await mediaConvertClient.send(command);
 
-    console.log(`MediaConvert job created: ${response.Job.Id}`);
+    logger.event('job.created', { jobId: response.Job.Id, profile: profile.name, inputUri, outputUri },
+      `MediaConvert job created: ${response.Job.Id}`);
+    notifyWebhooks('submitted', { jobId: response.Job.Id, inputUri, profile: profile.name });
     return response.Job.Id;
 
   } catch (error) {
-    console.error('Error creating MediaConvert job:', error.message);
+    logger.error('Error creating MediaConvert job:', error.message);
+    // No job ID: the job was rejected (CreateJob) or never submitted (validation, probing, assets)
+    notifyWebhooks('error', { jobId: null, status: null, errorCode: error.name, errorMessage: error.message });
     throw error;
   }
 }
@@ -646,105 +1459,327 @@ export async function getJobStatus(jobId) {
     const response = await mediaConvertClient.send(command);
     return response.Job;
   } catch (error) {
-    console.error('Error getting job status:', error.message);
+    logger.error('Error getting job status:', error.message);
     throw error;
   }
 }
 
+/**
+ * Resolve the S3 output URIs of a job from its settings
+ * 
+ * MediaConvert does not report output file names, so they are rebuilt from
+ * the output group destinations, the input file name and the NameModifier:
+ * - File group: {destination}/{inputBaseName}{nameModifier}.{ext}
+ * - HLS group: {destination}.m3u8 (master playlist)
+ * - CMAF group: {destination}.m3u8 (HLS) and {destination}.mpd (DASH)
+ * - Frame capture group: {destination} folder (thumbs) and the poster JPEG
+ * A file or frame capture destination that doesn't end in '/' (jobs with an
+ * intro) already carries the file name: {destination}{nameModifier}.{ext}
+ * 
+ * @param {Object} job - MediaConvert job (from getJobStatus)
+ * @returns {Object} {file, files, captions, hls, cmafHls, dash, thumbs, poster} S3 URIs (null when the job has no such output;
+ *   files lists every MP4 output, file is the first; captions lists the sidecar caption files)
+ */
+function resolveOutputUris(job) {
+  const outputUris = { file: null, files: [], captions: [], hls: null, cmafHls: null, dash: null, thumbs: null, poster: null };
+  
+  try {
+    const outputGroups = job.Settings?.OutputGroups || [];
+    const inputs = job.Settings?.Inputs || [];
+    if (inputs.length === 0) {
+      return outputUris;
+    }
+    
+    const fileName = path.basename(inputs[0].FileInput);
+    const baseName = path.basename(fileName, path.extname(fileName));
+    
+    for (const outputGroup of outputGroups) {
+      const settings = outputGroup.OutputGroupSettings;
+      
+      if (settings?.Type === 'FILE_GROUP_SETTINGS') {
+        const destination = settings.FileGroupSettings.Destination;
+        const filePrefix = destination.endsWith('/') ? `${destination}${baseName}` : destination;
+        
+        // One URI per output (several when producing per-recipient copies), in output order
+        for (const output of outputGroup.Outputs || []) {
+          const nameModifier = output.NameModifier || '';
+          
+          // Caption sidecars (RAW container) are listed separately from the videos
+          const container = output.ContainerSettings?.Container;
+          if (container === 'RAW') {
+            outputUris.captions.push(`${filePrefix}${nameModifier}.${output.Extension || 'vtt'}`);
+            continue;
+          }
+          
+          // Determine output extension from container settings
+          const extension = container === 'MOV' ? '.mov' : '.mp4';
+          
+          outputUris.files.push(`${filePrefix}${nameModifier}${extension}`);
+        }
+        outputUris.file = outputUris.files[0] || null;
+      } else if (settings?.Type === 'HLS_GROUP_SETTINGS') {
+        // A destination ending in '/' makes MediaConvert name the master after the input
+        const destination = settings.HlsGroupSettings.Destination;
+        outputUris.hls = destination.endsWith('/') ? `${destination}${baseName}.m3u8` : `${destination}.m3u8`;
+      } else if (settings?.Type === 'CMAF_GROUP_SETTINGS') {
+        const destination = settings.CmafGroupSettings.Destination;
+        const manifestBase = destination.endsWith('/') ? `${destination}${baseName}` : destination;
+        outputUris.cmafHls = `${manifestBase}.m3u8`;
+        outputUris.dash = `${manifestBase}.mpd`;
+      } else if (settings?.Type === 'FRAME_CAPTURE_GROUP_SETTINGS') {
+        const destination = settings.FrameCaptureGroupSettings.Destination;
+        const captureName = destination.endsWith('/') ? baseName : destination.slice(destination.lastIndexOf('/') + 1);
+        outputUris.thumbs = destination.slice(0, destination.lastIndexOf('/') + 1);
+        
+        // The poster is the last of its captures: {name}_poster.{MaxCaptures - 1, 7 digits}.jpg
+        const posterOutput = (outputGroup.Outputs || []).find(output => output.NameModifier === '_poster');
+        if (posterOutput) {
+          const captureIndex = posterOutput.VideoDescription.CodecSettings.FrameCaptureSettings.MaxCaptures - 1;
+          outputUris.poster = `${outputUris.thumbs}${captureName}_poster.${String(captureIndex).padStart(7, '0')}.jpg`;
+        }
+      }
+    }
+  } catch (error) {
+    // Silently handle output URI extraction errors - job is still complete
+  }
+  
+  return outputUris;
+}
+
+/**
+ * Consecutive GetJob failures tolerated while monitoring a job
+ * Transient errors (throttling, network blips) are retried; after this many in
+ * a row monitoring gives up and monitorJobProgress sends the 'error' webhook.
+ */
+const MAX_MONITOR_ERRORS = 5;
+
+/**
+ * Handle a job that reached a terminal state
+ * 
+ * Shared by polling and event-driven monitoring so both resolve the same
+ * {job, outputUri, outputUris} contract and throw the same errors.
+ * 
+ * @param {Object} job - MediaConvert job in COMPLETE, CANCELED or ERROR state (from getJobStatus)
+ * @param {string} timestamp - Local time string for the log line
+ * @param {number} elapsedSeconds - Seconds since monitoring started
+ * @returns {Object} {job, outputUri, outputUris} for COMPLETE jobs
+ * @throws {Error} 'MediaConvert job was canceled' / 'MediaConvert job failed: ...'
+ */
+function finishJob(job, timestamp, elapsedSeconds) {
+  switch (job.Status) {
+    case JobStatus.COMPLETE: {
+      const lines = [`[${timestamp}] ✅ Job completed successfully! (${elapsedSeconds}s total)`];
+      
+      // Extract output URIs from completed job
+      const outputUris = resolveOutputUris(job);
+      const outputUri = outputUris.hls || outputUris.cmafHls || outputUris.file;
+      if (outputUris.file) {
+        lines.push(`     Output file: ${outputUris.file}`);
+      }
+      if (outputUris.hls) {
+        lines.push(`     HLS master playlist: ${outputUris.hls}`);
+      }
+      if (outputUris.cmafHls) {
+        lines.push(`     CMAF HLS playlist: ${outputUris.cmafHls}`);
+        lines.push(`     CMAF DASH manifest: ${outputUris.dash}`);
+      }
+      if (!outputUri) {
+        lines.push(`     Output location: s3://${config.s3.bucket}/${config.s3.outputFolder}/`);
+      }
+      logger.event('job.complete', { jobId: job.Id, outputUri, outputUris, elapsedSeconds }, lines);
+      
+      notifyWebhooks('complete', { jobId: job.Id, outputUri, outputUris });
+      return { job, outputUri, outputUris };
+    }
+    case JobStatus.CANCELED:
+      logger.event('job.error', { jobId: job.Id, status: job.Status, errorCode: null, errorMessage: 'Job was canceled', elapsedSeconds },
+        `[${timestamp}] ❌ Job was canceled`, 'error');
+      notifyWebhooks('error', { jobId: job.Id, status: job.Status, errorCode: null, errorMessage: 'Job was canceled' });
+      throw new Error('MediaConvert job was canceled');
+    default:
+      logger.event('job.error', {
+        jobId: job.Id,
+        status: job.Status,
+        errorCode: job.ErrorCode ?? null,
+        errorMessage: job.ErrorMessage ?? null,
+        elapsedSeconds,
+      }, [
+        `[${timestamp}] ❌ Job failed`,
+        ...(job.ErrorMessage ? [`     Error: ${job.ErrorMessage}`] : []),
+        ...(job.ErrorCode ? [`     Error code: ${job.ErrorCode}`] : []),
+      ], 'error');
+      notifyWebhooks('error', {
+        jobId: job.Id,
+        status: job.Status,
+        errorCode: job.ErrorCode ?? null,
+        errorMessage: job.ErrorMessage ?? null,
+      });
+      throw new Error(`MediaConvert job failed: ${job.ErrorMessage || 'Unknown error'}`);
+  }
+}
+
+/**
+ * Monitor a job using MediaConvert state change events from SQS
+ * 
+ * Used instead of polling when config.events.queueUrl is set. GetJob is only
+ * called once up front (the job may already be finished), every
+ * reconcileIntervalMs as a safety net against lost events, and once at the end
+ * to read the job settings for the output URIs. GetJob errors are retried
+ * the same way pollJobProgress retries them (up to MAX_MONITOR_ERRORS in a row).
+ * 
+ * @param {string} jobId - The job ID to monitor
+ * @returns {Promise<Object>} Same contract as monitorJobProgress: {job, outputUri, outputUris}
+ */
+async function monitorJobEvents(jobId) {
+  const startTime = Date.now();
+  const elapsed = () => Math.floor((Date.now() - startTime) / 1000);
+  const terminalStatuses = [JobStatus.COMPLETE, JobStatus.ERROR, JobStatus.CANCELED];
+  
+  logger.info('\n📊 Monitoring transcoding progress (job events via SQS)...\n');
+  
+  // Start listening before the first check so no event is missed
+  let terminalEvent = null;
+  const notifyProgress = createProgressNotifier(jobId);
+  const eventPromise = waitForJobEvent(jobId, (detail) => {
+    const timestamp = new Date().toLocaleTimeString();
+    if (detail.status === JobStatus.PROGRESSING) {
+      logger.event('job.progress', { jobId, status: detail.status, phase: null, percentComplete: 0, elapsedSeconds: elapsed() },
+        `[${timestamp}] 🎬 Job progressing... (${elapsed()}s elapsed)`);
+      notifyProgress(0);
+    } else if (detail.status === 'STATUS_UPDATE' && detail.jobProgress) {
+      const { currentPhase, jobPercentComplete } = detail.jobProgress;
+      logger.event('job.progress', { jobId, status: JobStatus.PROGRESSING, phase: currentPhase, percentComplete: jobPercentComplete, elapsedSeconds: elapsed() },
+        `[${timestamp}] 🎬 Processing... (${elapsed()}s elapsed)\n     Phase: ${currentPhase} - ${jobPercentComplete}% complete`);
+      notifyProgress(jobPercentComplete, currentPhase);
+    }
+  }).then(detail => { terminalEvent = detail; });
+  
+  try {
+    let job = null;
+    let errorCount = 0;
+
+    // Wait for the terminal event, reconciling with GetJob now and then
+    while (!job || !terminalStatuses.includes(job.Status)) {
+      if (job) {
+        let reconcileTimeout;
+        const reconcileTimer = new Promise(resolve => {
+          reconcileTimeout = setTimeout(resolve, config.events.reconcileIntervalMs);
+        });
+        await Promise.race([eventPromise, reconcileTimer]);
+        clearTimeout(reconcileTimeout);
+      }
+
+      try {
+        job = await getJobStatus(jobId);
+        errorCount = 0;
+      } catch (error) {
+        // Retry like pollJobProgress does; keep the last known job meanwhile
+        logger.error(`Error monitoring job: ${error.message}`);
+        if (++errorCount >= MAX_MONITOR_ERRORS) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, config.mediaconvert.pollIntervalMs));
+        continue;
+      }
+
+      if (terminalEvent && !terminalStatuses.includes(job.Status)) {
+        // Event arrived before GetJob reflects it; trust the event
+        job = { ...job, Status: terminalEvent.status, ErrorCode: terminalEvent.errorCode, ErrorMessage: terminalEvent.errorMessage };
+      }
+    }
+
+    return finishJob(job, new Date().toLocaleTimeString(), elapsed());
+  } finally {
+    // Drop the SQS waiter so the process can exit, even when monitoring failed
+    if (!terminalEvent) {
+      cancelJobEventWait(jobId);
+    }
+  }
+}
+
 /**
  * Monitor job progress and display updates in the terminal
+ * 
+ * Polls GetJob every pollIntervalMs. When an SQS event queue is configured
+ * (MEDIACONVERT_EVENTS_QUEUE_URL), job state change events are consumed
+ * instead (see monitorJobEvents and events.js).
+ * 
+ * Failed and canceled jobs send the 'error' webhook in finishJob(); when
+ * monitoring itself fails (MAX_MONITOR_ERRORS GetJob errors in a row) it is
+ * sent here. SQS receive errors are retried in events.js while GetJob
+ * reconciliation keeps watching the job.
+ * 
  * @param {string} jobId - The job ID to monitor
- * @returns {Promise<Object>} Final job status
+ * @returns {Promise<Object>} Final job status {job, outputUri, outputUris}
+ *   - outputUri: HLS master playlist when the job has an HLS or CMAF group, otherwise the MP4
+ *   - outputUris: all resolved outputs (see resolveOutputUris)
  */
 export async function monitorJobProgress(jobId) {
+  try {
+    return isEventQueueConfigured() ? await monitorJobEvents(jobId) : await pollJobProgress(jobId);
+  } catch (error) {
+    if (!error.message.includes('MediaConvert job')) {
+      notifyWebhooks('error', { jobId, status: null, errorCode: error.name, errorMessage: error.message });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Monitor a job by polling GetJob every pollIntervalMs
+ * 
+ * GetJob errors are retried; MAX_MONITOR_ERRORS failures in a row end
+ * monitoring with the last error.
+ * 
+ * @param {string} jobId - The job ID to monitor
+ * @returns {Promise<Object>} Same contract as monitorJobProgress: {job, outputUri, outputUris}
+ */
+async function pollJobProgress(jobId) {
   const pollIntervalMs = config.mediaconvert.pollIntervalMs;
   const startTime = Date.now();
   let previousStatus = null;
   let lastProgressUpdate = 0;
+  let errorCount = 0;
+  const notifyProgress = createProgressNotifier(jobId);
   
-  console.log('\n📊 Monitoring transcoding progress...\n');
+  logger.info('\n📊 Monitoring transcoding progress...\n');
   
   while (true) {
     try {
       const job = await getJobStatus(jobId);
+      errorCount = 0;
       const status = job.Status;
       const currentTime = Date.now();
       const elapsedSeconds = Math.floor((currentTime - startTime) / 1000);
       const timestamp = new Date().toLocaleTimeString();
       
+      const progress = {
+        jobId,
+        status,
+        phase: job.CurrentPhase ?? null,
+        percentComplete: job.JobPercentComplete ?? null,
+        elapsedSeconds,
+      };
+      
       // Always log on status change
       if (status !== previousStatus) {
         switch (status) {
           case JobStatus.SUBMITTED:
-            console.log(`[${timestamp}] ⏳ Job submitted (${elapsedSeconds}s elapsed)`);
+            logger.event('job.progress', progress, `[${timestamp}] ⏳ Job submitted (${elapsedSeconds}s elapsed)`);
             break;
           case JobStatus.PROGRESSING:
-            console.log(`[${timestamp}] 🎬 Job progressing... (${elapsedSeconds}s elapsed)`);
-            if (job.CurrentPhase) {
-              console.log(`     Current phase: ${job.CurrentPhase}`);
-            }
+            logger.event('job.progress', progress, [
+              `[${timestamp}] 🎬 Job progressing... (${elapsedSeconds}s elapsed)`,
+              ...(job.CurrentPhase ? [`     Current phase: ${job.CurrentPhase}`] : []),
+            ]);
+            notifyProgress(job.JobPercentComplete ?? 0, job.CurrentPhase ?? null);
             break;
           case JobStatus.COMPLETE:
-            console.log(`[${timestamp}] ✅ Job completed successfully! (${elapsedSeconds}s total)`);
-            
-            // Extract output file URI from completed job
-            let outputUri = null;
-            try {
-              if (job.Settings && job.Settings.OutputGroups && job.Settings.OutputGroups.length > 0 && 
-                  job.Settings.Inputs && job.Settings.Inputs.length > 0) {
-                const outputGroup = job.Settings.OutputGroups[0];
-                const destination = outputGroup.OutputGroupSettings?.FileGroupSettings?.Destination;
-                
-                const fileName = path.basename(job.Settings.Inputs[0].FileInput);
-                const baseName = path.basename(fileName, path.extname(fileName));
-                
-                // Try to get nameModifier from output settings
-                let nameModifier = '';
-                if (outputGroup.Outputs && outputGroup.Outputs.length > 0 && outputGroup.Outputs[0].NameModifier) {
-                  nameModifier = outputGroup.Outputs[0].NameModifier;
-                } else if (outputGroup.Outputs && outputGroup.Outputs[0].NameModifier === undefined) {
-                  nameModifier = '_' + Date.now();
-                }
-                
-                // Determine output extension from container settings
-                let extension = '.mp4'; // Default to MP4
-                if (outputGroup.Outputs && outputGroup.Outputs.length > 0) {
-                  const container = outputGroup.Outputs[0].ContainerSettings?.Container;
-                  if (container === 'MP4') {
-                    extension = '.mp4';
-                  } else if (container === 'MOV') {
-                    extension = '.mov';
-                  }
-                }
-                
-                // Remove trailing slash from destination
-                const cleanDestination = destination.endsWith('/') ? destination.slice(0, -1) : destination;
-                outputUri = `${cleanDestination}/${baseName}${nameModifier}${extension}`;
-                
-                console.log(`     Output file: ${outputUri}`);
-              } else {
-                console.log(`     Output location: s3://${config.s3.bucket}/${config.s3.outputFolder}/`);
-              }
-            } catch (error) {
-              // Silently handle output URI extraction errors - job is still complete
-              console.log(`     Output location: s3://${config.s3.bucket}/${config.s3.outputFolder}/`);
-            }
-            
-            return { job, outputUri };
           case JobStatus.CANCELED:
-            console.log(`[${timestamp}] ❌ Job was canceled`);
-            throw new Error('MediaConvert job was canceled');
           case JobStatus.ERROR:
-            console.log(`[${timestamp}] ❌ Job failed`);
-            if (job.ErrorMessage) {
-              console.log(`     Error: ${job.ErrorMessage}`);
-            }
-            if (job.ErrorCode) {
-              console.log(`     Error code: ${job.ErrorCode}`);
-            }
-            throw new Error(`MediaConvert job failed: ${job.ErrorMessage || 'Unknown error'}`);
+            return finishJob(job, timestamp, elapsedSeconds);
           default:
-            console.log(`[${timestamp}] 📋 Status: ${status} (${elapsedSeconds}s elapsed)`);
+            logger.event('job.progress', progress, `[${timestamp}] 📋 Status: ${status} (${elapsedSeconds}s elapsed)`);
         }
         previousStatus = status;
       }
@@ -768,8 +1803,9 @@ export async function monitorJobProgress(jobId) {
             progressInfo += ` - ${job.JobPercentComplete}% complete`;
           }
           
-          console.log(progressInfo);
+          logger.event('job.progress', progress, progressInfo);
           lastProgressUpdate = elapsedSeconds;
+          notifyProgress(job.JobPercentComplete ?? 0, job.CurrentPhase ?? null);
         }
       }
       
@@ -785,47 +1821,11 @@ export async function monitorJobProgress(jobId) {
       if (error.message.includes('MediaConvert job')) {
         throw error;
       }
-      console.error(`Error monitoring job: ${error.message}`);
+      logger.error(`Error monitoring job: ${error.message}`);
       
-      // Break loop on repeated errors to avoid infinite loop
-      if (previousStatus === JobStatus.COMPLETE) {
-        // Get the final job status to return outputUri
-        const finalJob = await getJobStatus(jobId);
-        let outputUri = null;
-        
-        try {
-          if (finalJob.Settings && finalJob.Settings.OutputGroups && finalJob.Settings.OutputGroups.length > 0 && 
-              finalJob.Settings.Inputs && finalJob.Settings.Inputs.length > 0) {
-            const outputGroup = finalJob.Settings.OutputGroups[0];
-            const destination = outputGroup.OutputGroupSettings?.FileGroupSettings?.Destination;
-            
-            const fileName = path.basename(finalJob.Settings.Inputs[0].FileInput);
-            const baseName = path.basename(fileName, path.extname(fileName));
-            
-            let nameModifier = '';
-            if (outputGroup.Outputs && outputGroup.Outputs.length > 0 && outputGroup.Outputs[0].NameModifier) {
-              nameModifier = outputGroup.Outputs[0].NameModifier;
-            }
-            
-            // Determine output extension from container settings
-            let extension = '.mp4'; // Default to MP4
-            if (outputGroup.Outputs && outputGroup.Outputs.length > 0) {
-              const container = outputGroup.Outputs[0].ContainerSettings?.Container;
-              if (container === 'MP4') {
-                extension = '.mp4';
-              } else if (container === 'MOV') {
-                extension = '.mov';
-              }
-            }
-            
-            const cleanDestination = destination.endsWith('/') ? destination.slice(0, -1) : destination;
-            outputUri = `${cleanDestination}/${baseName}${nameModifier}${extension}`;
-          }
-        } catch (e) {
-          // Silently handle
-        }
-        
-        return { job: finalJob, outputUri };
+      // Give up on repeated errors instead of polling forever
+      if (++errorCount >= MAX_MONITOR_ERRORS) {
+        throw error;
       }
       
       await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
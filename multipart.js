@@ -0,0 +1,231 @@
+/**
+ * Multipart Module - Streaming multipart/form-data Parser
+ *
+ * This module reads a multipart/form-data request body (the HTTP API's video
+ * upload) without buffering it in memory: file parts are streamed straight to
+ * disk, text fields are collected as strings.
+ *
+ * Body layout (RFC 7578):
+ *   --{boundary}\r\n
+ *   Content-Disposition: form-data; name="file"; filename="video.mp4"\r\n
+ *   Content-Type: video/mp4\r\n
+ *   \r\n
+ *   {bytes}\r\n
+ *   --{boundary}\r\n
+ *   Content-Disposition: form-data; name="options"\r\n
+ *   \r\n
+ *   {"profile":"web-1080"}\r\n
+ *   --{boundary}--
+ *
+ * Only the last (delimiter length) bytes of a chunk are held back, since the
+ * next delimiter may start in them.
+ *
+ * Errors (malformed body, body over maxBytes, disk errors while writing a
+ * file part) leave the request stream open, so the server can still drain it
+ * and send an error response. A body over maxBytes fails with
+ * code 'BODY_TOO_LARGE'; disk errors keep their fs code (e.g. ENOSPC).
+ *
+ * Dependencies:
+ * - fs, path, events: File parts on disk, write backpressure
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+
+/**
+ * Limits: part headers, and text fields (kept in memory)
+ */
+const MAX_HEADER_BYTES = 16 * 1024;
+const MAX_FIELD_BYTES = 1024 * 1024;
+
+/**
+ * Get the boundary of a multipart/form-data Content-Type header
+ * @param {string} contentType - Content-Type request header
+ * @returns {string|null} Boundary, or null when the body isn't multipart/form-data
+ */
+export function getMultipartBoundary(contentType = '') {
+  if (!/^multipart\/form-data/i.test(contentType)) {
+    return null;
+  }
+  const match = contentType.match(/boundary=(?:"([^"]+)"|([^;\s]+))/i);
+  return match ? match[1] || match[2] : null;
+}
+
+/**
+ * Make a client file name safe to use on disk and as an S3 key
+ * @param {string} fileName - File name sent by the client
+ * @returns {string} Base name with only letters, digits, '.', '-' and '_' (e.g. 'My Video (1).mp4' → 'My_Video_1_.mp4')
+ */
+export function sanitizeFileName(fileName) {
+  const baseName = path.basename(String(fileName).replace(/\\/g, '/'));
+  const safeName = baseName.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^[._]+/, '');
+  return safeName || 'upload';
+}
+
+/**
+ * Parse the headers of one part
+ * @param {string} headerText - Header block of the part
+ * @returns {Object} {name, fileName, contentType}
+ * @throws {Error} If the part has no form-data name
+ */
+function parsePartHeaders(headerText) {
+  const headers = {};
+  for (const line of headerText.split('\r\n')) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  }
+
+  const disposition = headers['content-disposition'] || '';
+  const name = disposition.match(/\bname="([^"]*)"/i)?.[1];
+  if (!name) {
+    throw new Error('Multipart part without a form-data name');
+  }
+  const fileName = disposition.match(/\bfilename="([^"]*)"/i)?.[1];
+  return { name, fileName: fileName ?? null, contentType: headers['content-type'] || null };
+}
+
+/**
+ * Parse a multipart/form-data request, streaming file parts to disk
+ *
+ * @param {AsyncIterable<Buffer>} body - Request body (http.IncomingMessage)
+ * @param {string} boundary - Boundary from getMultipartBoundary()
+ * @param {string} fileDir - Directory for file parts (created if needed); files keep their sanitized names
+ * @param {Object} limits - Limits
+ * @param {number} limits.maxBytes - Largest body in bytes (default: no limit)
+ * @returns {Promise<Object>} {fields: {name: value}, files: [{name, fileName, contentType, path, size}]}
+ * @throws {Error} If the body is malformed, truncated or too large, or a file part can't be written
+ *   (files written so far are removed)
+ */
+export async function parseMultipart(body, boundary, fileDir, { maxBytes = Infinity } = {}) {
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  const fields = {};
+  const files = [];
+  let part = null;
+  let state = 'preamble';
+  let received = 0;
+  let writeError = null;
+  // The first boundary has no leading CRLF: add one so every boundary matches the same delimiter
+  let buffer = Buffer.from('\r\n');
+
+  const writePart = async data => {
+    if (data.length === 0) {
+      return;
+    }
+    part.size += data.length;
+    if (part.stream) {
+      if (writeError) {
+        throw writeError;
+      }
+      if (!part.stream.write(data)) {
+        await once(part.stream, 'drain');
+      }
+    } else {
+      if (part.size > MAX_FIELD_BYTES) {
+        throw new Error(`Multipart field "${part.name}" is larger than ${MAX_FIELD_BYTES} bytes`);
+      }
+      part.chunks.push(data);
+    }
+  };
+
+  const finishPart = async () => {
+    if (part.stream) {
+      if (writeError) {
+        throw writeError;
+      }
+      part.stream.end();
+      await once(part.stream, 'finish');
+      files.push({ name: part.name, fileName: part.fileName, contentType: part.contentType, path: part.path, size: part.size });
+    } else {
+      fields[part.name] = Buffer.concat(part.chunks).toString('utf8');
+    }
+    part = null;
+  };
+
+  // An http.IncomingMessage is iterated without destroying it on an error, so the response can still be sent
+  const chunks = typeof body.iterator === 'function' ? body.iterator({ destroyOnReturn: false }) : body;
+
+  try {
+    for await (const chunk of chunks) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        throw Object.assign(new Error(`Upload is larger than ${maxBytes} bytes`), { code: 'BODY_TOO_LARGE' });
+      }
+      buffer = Buffer.concat([buffer, chunk]);
+
+      while (state !== 'done') {
+        if (state === 'preamble' || state === 'body') {
+          const index = buffer.indexOf(delimiter);
+          if (index === -1) {
+            // Keep the tail: a delimiter may start in it
+            const safeLength = buffer.length - delimiter.length;
+            if (safeLength > 0) {
+              if (state === 'body') {
+                await writePart(buffer.subarray(0, safeLength));
+              }
+              buffer = buffer.subarray(safeLength);
+            }
+            break;
+          }
+          if (state === 'body') {
+            await writePart(buffer.subarray(0, index));
+            await finishPart();
+          }
+          buffer = buffer.subarray(index + delimiter.length);
+          state = 'boundary';
+        } else if (state === 'boundary') {
+          if (buffer.length < 2) {
+            break;
+          }
+          const marker = buffer.subarray(0, 2).toString();
+          if (marker === '--') {
+            state = 'done';
+          } else if (marker === '\r\n') {
+            buffer = buffer.subarray(2);
+            state = 'headers';
+          } else {
+            throw new Error('Malformed multipart body (unexpected data after a boundary)');
+          }
+        } else if (state === 'headers') {
+          const index = buffer.indexOf('\r\n\r\n');
+          if ((index === -1 ? buffer.length : index) > MAX_HEADER_BYTES) {
+            throw new Error('Malformed multipart body (part headers too large)');
+          }
+          if (index === -1) {
+            break;
+          }
+          const { name, fileName, contentType } = parsePartHeaders(buffer.subarray(0, index).toString('utf8'));
+          buffer = buffer.subarray(index + 4);
+          part = { name, fileName, contentType, size: 0, chunks: [], stream: null, path: null };
+          if (fileName !== null) {
+            fs.mkdirSync(fileDir, { recursive: true });
+            part.path = path.join(fileDir, sanitizeFileName(fileName));
+            part.stream = fs.createWriteStream(part.path);
+            // Disk errors (ENOSPC, EACCES) fail the parse instead of crashing the process
+            part.stream.on('error', error => {
+              writeError ??= error;
+            });
+          }
+          state = 'body';
+        }
+      }
+    }
+
+    if (state !== 'done') {
+      throw new Error('Multipart body ended before the closing boundary');
+    }
+    return { fields, files };
+  } catch (error) {
+    part?.stream?.destroy();
+    for (const filePath of [part?.path, ...files.map(file => file.path)].filter(Boolean)) {
+      try {
+        fs.rmSync(filePath, { force: true });
+      } catch {
+        // Not a file we wrote (e.g. the name is taken by a directory); keep the original error
+      }
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * Options Module - Job Option Validation
+ *
+ * This module checks a set of job options (the options object passed to
+ * processVideo / createMediaConvertJob) before anything is uploaded, so a
+ * typo fails in a second instead of after a long upload. It is shared by the
+ * CLI (index.js) and the HTTP API (server.js).
+ *
+ * Checks:
+ * - Profile exists, and the codec (profile or override) fits its container and HLS
+ * - HDR mode, aspect ratio, framing mode and crop anchor are known
+ * - Watermark image (when the profile has a watermark), layout and anchors
+ * - Thumbnail interval and poster time
+ * - Caption files (format, language, mode; local files exist)
+ * - Recipient watermarks only with the MP4 output
+ *
+ * Dependencies:
+ * - config.js: Defaults (watermark file, crop anchor)
+ * - profiles.js, codecs.js, hdr.js, framing.js, watermark.js, captions.js: Option rules
+ * - mediaconvert.js: Timecode parsing
+ */
+
+import { config } from './config.js';
+import { getProfile } from './profiles.js';
+import { VIDEO_CODECS, validateCodecSettings, withCodec } from './codecs.js';
+import { HDR_MODES } from './hdr.js';
+import { ASPECT_RATIOS, FRAMING_MODES, parseCropAnchor } from './framing.js';
+import { getWatermarkLayout, parseWatermarkAnchors, validateWatermarkImage } from './watermark.js';
+import { validateCaptions } from './captions.js';
+import { parseTimecode } from './mediaconvert.js';
+import { logger } from './logger.js';
+import fs from 'fs';
+
+/**
+ * Validate job options (fail fast)
+ *
+ * @param {Object} jobOptions - Job options {profile, codec, hdr, hls, cmaf, watermark, watermarkLayout,
+ *   watermarkAnchors, thumbnailInterval, poster, aspect, framingMode, cropAnchor, captions, recipients}
+ * @returns {Object} The resolved profile
+ * @throws {Error} On the first invalid option
+ */
+export function validateJobOptions(jobOptions) {
+  const profile = getProfile(jobOptions.profile || config.profiles.default);
+  if (jobOptions.codec) {
+    const codecErrors = validateCodecSettings(withCodec(profile.video, jobOptions.codec), profile.container);
+    if (codecErrors.length > 0) {
+      throw new Error(`Codec ${jobOptions.codec} with profile ${profile.name}: ${codecErrors.join('; ')}`);
+    }
+  }
+  const codec = jobOptions.codec || profile.video.codec;
+  if (jobOptions.hls && !VIDEO_CODECS[codec].hls) {
+    throw new Error(`${VIDEO_CODECS[codec].label} can't be packaged as HLS (TS segments); use CMAF instead`);
+  }
+  if (jobOptions.hdr !== undefined && !HDR_MODES.includes(jobOptions.hdr)) {
+    throw new Error(`Unknown HDR mode "${jobOptions.hdr}" (available: ${HDR_MODES.join(', ')})`);
+  }
+  if (jobOptions.aspect !== undefined && jobOptions.aspect !== 'source' && !ASPECT_RATIOS[jobOptions.aspect]) {
+    throw new Error(`Unknown aspect ratio "${jobOptions.aspect}" (available: ${Object.keys(ASPECT_RATIOS).join(', ')}, source)`);
+  }
+  if (jobOptions.framingMode !== undefined && !FRAMING_MODES.includes(jobOptions.framingMode)) {
+    throw new Error(`Unknown framing mode "${jobOptions.framingMode}" (available: ${FRAMING_MODES.join(', ')})`);
+  }
+  parseCropAnchor(jobOptions.cropAnchor ?? config.framing.anchor);
+  if ((jobOptions.framingMode || jobOptions.cropAnchor) && !jobOptions.aspect && !profile.framing) {
+    throw new Error(`Framing mode and crop anchor need an aspect ratio (${Object.keys(ASPECT_RATIOS).join(' or ')}) or a profile with framing`);
+  }
+  if (profile.watermark) {
+    validateWatermarkImage(jobOptions.watermark || config.mediaconvert.watermarkFile);
+  } else if (jobOptions.watermark) {
+    logger.warn(`⚠️  Profile ${profile.name} has no watermark - ignoring the watermark image`);
+  }
+  const watermarkLayout = jobOptions.watermarkLayout || config.mediaconvert.watermarkLayout;
+  const watermarkAnchors = jobOptions.watermarkAnchors ?? config.mediaconvert.watermarkAnchors;
+  getWatermarkLayout(watermarkLayout);
+  parseWatermarkAnchors(watermarkAnchors);
+  if (watermarkLayout === 'custom' && !watermarkAnchors) {
+    throw new Error('Watermark layout "custom" requires anchor points (--watermark-anchors or WATERMARK_ANCHORS)');
+  }
+  if (jobOptions.thumbnailInterval !== undefined
+    && !(Number.isInteger(jobOptions.thumbnailInterval) && jobOptions.thumbnailInterval >= 1)) {
+    throw new Error(`Invalid thumbnail interval "${jobOptions.thumbnailInterval}" (whole seconds, at least 1)`);
+  }
+  if (jobOptions.poster !== undefined) {
+    parseTimecode(jobOptions.poster);
+  }
+  const captions = jobOptions.captions || [];
+  validateCaptions(captions);
+  const missingCaption = captions.find(caption => !caption.file.startsWith('s3://') && !fs.existsSync(caption.file));
+  if (missingCaption) {
+    throw new Error(`Caption file not found: ${missingCaption.file}`);
+  }
+  if ((jobOptions.recipients || []).length > 0 && (jobOptions.hls || jobOptions.cmaf)) {
+    throw new Error('Recipient watermarks can only be combined with the MP4 output (not HLS/CMAF)');
+  }
+  return profile;
+}
@@ -0,0 +1,397 @@
+/**
+ * Pipeline Module - Single Video Processing
+ *
+ * This module runs the complete processing pipeline for one video:
+ * 1. Upload the local file to S3
+ * 2. Create the MediaConvert job (with metadata detection)
+ * 3. Monitor the job until completion
+ * 4. Download the processed outputs (MP4, segment trees, thumbnails) to the job's directory in outputs/
+ *    and build/upload the sprite sheets for scrub previews
+ *    (and record which copy belongs to which recipient for personalised jobs),
+ *    or, with the links option, create presigned download links instead
+ *
+ * Each step is recorded in the local state store so an interrupted run can be
+ * resumed (see state.js and --resume).
+ *
+ * It is shared by the single-file CLI and batch mode, so it never exits the
+ * process: failures are thrown to the caller, which decides whether to abort
+ * (single file) or record the failure and continue (batch).
+ *
+ * Dependencies:
+ * - upload.js: S3 upload/download
+ * - mediaconvert.js: Job creation and monitoring
+ * - state.js: Run state store
+ * - sprites.js: Sprite sheets + WebVTT from the thumbnails
+ */
+
+import { uploadToS3, downloadFromS3, downloadS3Prefix, getPresignedDownloadUrl } from './upload.js';
+import { createMediaConvertJob, monitorJobProgress } from './mediaconvert.js';
+import { createRun, updateRun, getRun } from './state.js';
+import { buildSpriteSheets, uploadSpriteSheets } from './sprites.js';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import path from 'path';
+import fs from 'fs';
+
+/**
+ * Format file size in human-readable format
+ * @param {number} bytes - File size in bytes
+ * @returns {string} Formatted file size
+ */
+export function formatFileSize(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unitIndex = 0;
+
+  while (size >= 1024 && unitIndex < units.length - 1) {
+    size /= 1024;
+    unitIndex++;
+  }
+
+  return `${size.toFixed(2)} ${units[unitIndex]}`;
+}
+
+/**
+ * Local directory for the outputs of a job: outputs/{name}_{timestamp}/
+ *
+ * The directory the segment trees and thumbnails of the job are downloaded
+ * into, so the MP4s and caption sidecars of one run sit next to them and never
+ * overwrite those of another run. Jobs without a segmented or frame capture
+ * output have no folder in S3; the name then comes from the first MP4
+ * ({name}_{timestamp}[_clipN][_{n}-{recipient}].mp4).
+ *
+ * @param {Object} outputUris - Resolved output URIs (see resolveOutputUris in mediaconvert.js)
+ * @param {Array<string>} fileUris - MP4 output URIs
+ * @returns {string} Local job directory, e.g. outputs/video_1734567890123
+ */
+function getJobOutputDir(outputUris, fileUris) {
+  const folderUri = outputUris.hls || outputUris.cmafHls || outputUris.thumbs;
+  if (folderUri) {
+    const folderKey = folderUri.replace(/^s3:\/\/[^/]+\//, '');
+    // output/{name}_{timestamp}/thumbs/ or output/{name}_{timestamp}/hls/{name}.m3u8
+    const jobDir = folderUri.endsWith('/')
+      ? path.basename(path.dirname(folderKey))
+      : path.basename(path.dirname(path.dirname(folderKey)));
+    return path.join('outputs', jobDir);
+  }
+
+  const fileName = path.parse(fileUris[0] ?? outputUris.captions?.[0] ?? '').name;
+  const jobDir = fileName.match(/^(.*_\d{13}(?:_clip\d+)?)(?:_|$)/)?.[1] ?? fileName;
+  return path.join('outputs', jobDir);
+}
+
+/**
+ * Download the segment tree (manifests + segments) that a manifest belongs to
+ *
+ * s3://bucket/output/video_123/hls/video.m3u8 → outputs/video_123/hls/
+ *
+ * @param {string} manifestUri - S3 URI of the HLS/DASH manifest
+ * @returns {Promise<string>} Local directory the tree was downloaded into
+ */
+async function downloadSegmentTree(manifestUri) {
+  const prefixUri = manifestUri.slice(0, manifestUri.lastIndexOf('/') + 1);
+  const manifestKey = manifestUri.replace(/^s3:\/\/[^/]+\//, '');
+  const groupDir = path.basename(path.dirname(manifestKey)); // 'hls' or 'cmaf'
+  const jobDir = path.basename(path.dirname(path.dirname(manifestKey))); // '{name}_{timestamp}'
+  const localDir = path.join('outputs', jobDir, groupDir);
+
+  await downloadS3Prefix(prefixUri, localDir, manifestKey);
+  return localDir;
+}
+
+/**
+ * Download the frame captures of a job to outputs/{name}_{timestamp}/thumbs/
+ *
+ * The poster output captures the first frame as well as the poster frame, so
+ * the poster is saved as poster.jpg and the other poster captures are removed.
+ *
+ * s3://bucket/output/video_123/thumbs/ → outputs/video_123/thumbs/
+ *   video_thumb.0000000.jpg, video_thumb.0000001.jpg, ..., poster.jpg
+ *
+ * @param {Object} outputUris - Resolved output URIs with thumbs (and poster)
+ * @returns {Promise<string>} Local thumbs directory
+ */
+async function downloadThumbnails(outputUris) {
+  const thumbsKey = outputUris.thumbs.replace(/^s3:\/\/[^/]+\//, '');
+  const jobDir = path.basename(path.dirname(thumbsKey)); // '{name}_{timestamp}'
+  const localDir = path.join('outputs', jobDir, 'thumbs');
+  const posterKey = outputUris.poster?.replace(/^s3:\/\/[^/]+\//, '');
+
+  const localPaths = await downloadS3Prefix(outputUris.thumbs, localDir, posterKey);
+
+  if (outputUris.poster) {
+    const posterFileName = path.basename(outputUris.poster);
+    const posterPrefix = posterFileName.slice(0, posterFileName.indexOf('.'));
+    fs.renameSync(path.join(localDir, posterFileName), path.join(localDir, 'poster.jpg'));
+    localPaths
+      .filter(localPath => path.basename(localPath).startsWith(`${posterPrefix}.`) && fs.existsSync(localPath))
+      .forEach(localPath => fs.rmSync(localPath));
+    logger.info(`🖼️  Poster saved: ${path.join(localDir, 'poster.jpg')}`);
+  }
+
+  return localDir;
+}
+
+/**
+ * Write the recipient → output mapping of a personalised job
+ *
+ * outputs/{name}_recipients_{jobId}.json:
+ * { jobId, source, createdAt, recipients: [{recipient, outputUri, localPath}] }
+ * (with links instead of downloads: [{recipient, outputUri, localPath: null, url, expiresAt}])
+ *
+ * @param {string} source - Local path or S3 URI of the source video
+ * @param {string} jobId - MediaConvert job ID
+ * @param {Array<Object>} recipients - [{recipient, outputUri, localPath}]
+ * @returns {string} Path of the manifest file
+ */
+function writeRecipientsManifest(source, jobId, recipients) {
+  const manifestPath = path.join('outputs', `${path.parse(source).name}_recipients_${jobId}.json`);
+  const manifest = {
+    jobId,
+    source: source.startsWith('s3://') ? source : path.resolve(source),
+    createdAt: new Date().toISOString(),
+    recipients,
+  };
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+
+  logger.info('\n🔏 Recipient copies:');
+  recipients.forEach(({ recipient, outputUri, localPath }) => logger.info(`  ${recipient} → ${localPath ?? outputUri}`));
+  logger.info(`  Mapping saved: ${manifestPath}`);
+  return manifestPath;
+}
+
+/**
+ * Create presigned download links for the outputs of a job (instead of downloading them)
+ *
+ * Covers the MP4s, caption sidecars and the poster. Segmented outputs (HLS/CMAF)
+ * and the thumbnail strip stay in S3 and are only listed.
+ *
+ * @param {Object} outputUris - Resolved output URIs (see resolveOutputUris in mediaconvert.js)
+ * @param {Array<string>} fileUris - MP4 output URIs
+ * @returns {Promise<Array<Object>>} Links [{uri, url, expiresAt}]
+ */
+async function createOutputLinks(outputUris, fileUris) {
+  const uris = [...fileUris, ...(outputUris.captions || []), outputUris.poster].filter(Boolean);
+  const links = [];
+  for (const uri of uris) {
+    links.push(await getPresignedDownloadUrl(uri));
+  }
+
+  logger.info(`\n🔗 Download links (valid until ${links[0]?.expiresAt ?? '-'}):`);
+  links.forEach(link => logger.info(`  ${path.basename(link.uri)}\n    ${link.url}`));
+  [outputUris.hls, outputUris.cmafHls, outputUris.dash, outputUris.thumbs]
+    .filter(Boolean)
+    .forEach(uri => logger.info(`  ${uri} (in S3, not linked)`));
+  return links;
+}
+
+/**
+ * Process a single video: upload → transcode → download
+ *
+ * Every completed step is recorded in the local state store (state.js).
+ * When called with the ID of an interrupted run, completed steps are skipped:
+ * - uploaded:   the S3 source is reused, no new upload
+ * - submitted:  the existing MediaConvert job is reattached via getJobStatus
+ * - transcoded: the recorded outputs are downloaded without polling again
+ *
+ * Sources that are already in S3 (watch mode) have no local file: their run is
+ * created at stage 'uploaded' with inputUri and initialFileSize, and the source
+ * is probed through a presigned URL.
+ *
+ * @param {string} filePath - Local path to the video file (null: source already in S3, see runId)
+ * @param {Object} options - Job options passed to createMediaConvertJob (hls, cmaf, watermarkLayout, ...)
+ * @param {string} runId - ID of an existing run to resume (optional)
+ * @returns {Promise<Object>} Result record:
+ *   {runId, filePath, jobId, outputUri, outputUris, localOutputPath, initialFileSize, completedFileSize, compressionRatio}
+ *   plus {captionPaths}, {recipients, recipientsManifest} for per-recipient jobs, {thumbsPath} with frame capture
+ *   and {sprites: {vttPath, sheetPaths, vtt, sheets}} with sprite sheets; with options.links nothing is downloaded
+ *   and {links: [{uri, url, expiresAt}]} holds presigned download links instead
+ * @throws {Error} If any step fails (the error is also recorded on the run)
+ */
+export async function processVideo(filePath, options = {}, runId = null) {
+  let run = runId ? getRun(runId) : createRun(filePath, options);
+  if (!run) {
+    throw new Error(`Run not found: ${runId}`);
+  }
+
+  const result = {
+    runId: run.id,
+    filePath,
+    jobId: run.jobId,
+    outputUri: run.outputUri,
+    outputUris: run.outputUris,
+    localOutputPath: null,
+    initialFileSize: run.initialFileSize ?? null,
+    completedFileSize: null,
+    compressionRatio: null,
+  };
+
+  // (watch mode creates its runs up front and logs resumes itself)
+  if (runId && run.origin !== 'watch') {
+    logger.info(`🔁 Resuming run ${run.id} (stage: ${run.stage})\n`);
+  }
+
+  try {
+    // Log initial file size (recorded so a resumed run doesn't need the source file after upload)
+    if (result.initialFileSize === null) {
+      const initialFileStats = fs.statSync(filePath);
+      result.initialFileSize = initialFileStats.size;
+      run = updateRun(run.id, { initialFileSize: result.initialFileSize });
+    }
+    const initialFileSize = result.initialFileSize;
+    logger.info(`📁 Initial file size: ${formatFileSize(initialFileSize)} (${initialFileSize.toLocaleString()} bytes)\n`);
+
+    // Step 1: Upload video to S3
+    let s3Uri = run.inputUri;
+    if (s3Uri) {
+      logger.info(`⏭️  Upload already done: ${s3Uri}`);
+    } else {
+      s3Uri = await uploadToS3(filePath);
+      run = updateRun(run.id, { stage: 'uploaded', inputUri: s3Uri });
+    }
+
+    // Step 2: Create MediaConvert job (pass local file path, or a presigned URL, for metadata detection)
+    let jobId = run.jobId;
+    if (jobId) {
+      logger.info(`⏭️  Reattaching to MediaConvert job: ${jobId}`);
+    } else {
+      const probeSource = filePath ?? (await getPresignedDownloadUrl(s3Uri)).url;
+      jobId = await createMediaConvertJob(s3Uri, probeSource, options);
+      run = updateRun(run.id, { stage: 'submitted', jobId });
+    }
+    result.jobId = jobId;
+
+    // Step 3: Monitor job progress until completion (getJobStatus picks up existing jobs)
+    if (run.stage !== 'transcoded') {
+      const { outputUri, outputUris } = await monitorJobProgress(jobId);
+      run = updateRun(run.id, { stage: 'transcoded', outputUri, outputUris });
+    }
+    const { outputUri, outputUris } = run;
+    result.outputUri = outputUri;
+    result.outputUris = outputUris;
+
+    logger.info('\n=== Processing Complete ===');
+    logger.info(`S3 Output Location: ${outputUri}`);
+
+    // (runs recorded before per-recipient outputs only have outputUris.file)
+    const fileUris = outputUris.files?.length ? outputUris.files : [outputUris.file].filter(Boolean);
+
+    // Links instead of downloads: share the outputs straight from S3
+    const recipients = options.recipients || [];
+    if (options.links) {
+      result.links = await createOutputLinks(outputUris, fileUris);
+      if (recipients.length > 0) {
+        result.recipients = recipients.map((recipient, index) => {
+          const link = result.links.find(({ uri }) => uri === fileUris[index]);
+          return { recipient, outputUri: fileUris[index], localPath: null, url: link?.url ?? null, expiresAt: link?.expiresAt ?? null };
+        });
+        result.recipientsManifest = writeRecipientsManifest(filePath ?? s3Uri, jobId, result.recipients);
+      }
+      updateRun(run.id, { stage: 'downloaded', links: result.links, lastError: null });
+      return result;
+    }
+
+    // Step 4: Download the processed MP4(s) to the job's directory in outputs/
+    const jobOutputDir = getJobOutputDir(outputUris, fileUris);
+    const localFilePaths = [];
+    for (const fileUri of fileUris) {
+      // Extract filename from S3 URI
+      const localFilePath = path.join(jobOutputDir, path.basename(fileUri));
+
+      // Download file from S3
+      await downloadFromS3(fileUri, localFilePath);
+      localFilePaths.push(localFilePath);
+    }
+
+    if (localFilePaths.length > 0) {
+      const localOutputPath = localFilePaths[0];
+      result.localOutputPath = localOutputPath;
+
+      // Log completed file size
+      if (fs.existsSync(localOutputPath)) {
+        const completedFileStats = fs.statSync(localOutputPath);
+        const completedFileSize = completedFileStats.size;
+        logger.info(`\n📁 Completed file size: ${formatFileSize(completedFileSize)} (${completedFileSize.toLocaleString()} bytes)`);
+
+        // Calculate compression ratio
+        const compressionRatio = ((1 - completedFileSize / initialFileSize) * 100).toFixed(1);
+        logger.info(`📊 Compression ratio: ${compressionRatio}% smaller`);
+
+        result.completedFileSize = completedFileSize;
+        result.compressionRatio = compressionRatio;
+      }
+    }
+
+    // Caption sidecars (WebVTT) next to the MP4
+    result.captionPaths = [];
+    for (const captionUri of outputUris.captions || []) {
+      const captionPath = path.join(jobOutputDir, path.basename(captionUri));
+      await downloadFromS3(captionUri, captionPath);
+      result.captionPaths.push(captionPath);
+    }
+
+    // Per-recipient copies: record which output belongs to which recipient
+    if (recipients.length > 0) {
+      result.recipients = recipients.map((recipient, index) => ({
+        recipient,
+        outputUri: fileUris[index],
+        localPath: localFilePaths[index],
+      }));
+      result.recipientsManifest = writeRecipientsManifest(filePath ?? s3Uri, jobId, result.recipients);
+    }
+
+    // Step 5: Download segmented outputs (HLS/CMAF) as whole trees
+    if (outputUris.hls) {
+      await downloadSegmentTree(outputUris.hls);
+    }
+    if (outputUris.cmafHls) {
+      await downloadSegmentTree(outputUris.cmafHls);
+    }
+
+    // Step 6: Download thumbnails and poster
+    if (outputUris.thumbs) {
+      result.thumbsPath = await downloadThumbnails(outputUris);
+    }
+
+    // Step 7: Build scrub-preview sprite sheets from the thumbnails and upload them next to the MP4
+    if (options.sprites && result.thumbsPath) {
+      const thumbPaths = fs.readdirSync(result.thumbsPath)
+        .filter(name => /_thumb\.\d{7}\.jpg$/.test(name))
+        .sort()
+        .map(name => path.join(result.thumbsPath, name));
+      const jobDir = path.dirname(result.thumbsPath); // outputs/{name}_{timestamp}
+      const sprites = await buildSpriteSheets({
+        thumbPaths,
+        intervalSeconds: Math.max(1, Math.round(options.thumbnailInterval || config.thumbnails.intervalSeconds)),
+        outputDir: jobDir,
+        name: path.basename(jobDir),
+      });
+      result.sprites = { ...sprites, ...(await uploadSpriteSheets(sprites)) };
+    }
+
+    updateRun(run.id, {
+      stage: 'downloaded',
+      localOutputPath: result.localOutputPath,
+      ...(result.recipients && { recipients: result.recipients }),
+      ...(result.sprites && { sprites: { vtt: result.sprites.vtt, sheets: result.sprites.sheets } }),
+      lastError: null,
+    });
+
+    if (fileUris.length > 0 || outputUris.hls || outputUris.cmafHls) {
+      logger.info('\n🎉 All done! Processed video saved locally.');
+    }
+
+    return result;
+
+  } catch (error) {
+    // Keep the stage reached so far; --resume continues from there.
+    // A failed or canceled job can't be reattached, so resuming submits a new one.
+    const jobFailed = /^MediaConvert job (failed|was canceled)/.test(error.message);
+    updateRun(run.id, {
+      lastError: error.message,
+      ...(jobFailed && { stage: 'uploaded', jobId: null }),
+    });
+    throw error;
+  }
+}
@@ -0,0 +1,220 @@
+/**
+ * Profiles Module - Named Encoding Profiles
+ *
+ * This module loads the encoding profiles (web-1080, social-vertical,
+ * archive-hq, preview-480, ...) from a JSON file and validates them against
+ * PROFILE_SCHEMA when the module loads. Like config.js, an invalid file stops
+ * the application immediately instead of failing halfway through a job.
+ *
+ * A profile controls:
+ * - video: codec, resolution cap (long edge), bitrate cap, rate control
+ * - audio: AAC bitrate and sample rate of stereo tracks
+ * - container: mp4 or mov for the file output
+ * - watermark: whether the logo watermark is inserted
+ * - framing: optional 9:16 / 1:1 reframing {aspect, mode, anchor} (see framing.js)
+ *
+ * Profile file format (profiles.json, or PROFILES_FILE):
+ * {
+ *   "web-1080": {
+ *     "description": "Web playback up to 1080p",
+ *     "video": { "codec": "h264", "maxLongEdge": 1920, "maxBitrate": 10000000,
+ *                "rateControl": "QVBR", "qualityTuningLevel": "SINGLE_PASS_HQ" },
+ *     "audio": { "codec": "aac", "bitrate": 128000, "sampleRate": 48000 },
+ *     "container": "mp4",
+ *     "watermark": true
+ *   }
+ * }
+ *
+ * Dependencies:
+ * - config.js: Profile file path and default profile
+ * - codecs.js: Codec-specific rules (rate control, quality tuning, containers)
+ * - framing.js: Aspect ratios, framing modes and crop anchors
+ */
+
+import { config } from './config.js';
+import { VIDEO_CODECS, validateCodecSettings } from './codecs.js';
+import { ASPECT_RATIOS, FRAMING_MODES, CROP_ANCHORS } from './framing.js';
+import fs from 'fs';
+
+/**
+ * Profile schema
+ *
+ * Each field has a type ('string', 'integer', 'boolean' or 'object' with
+ * nested properties), optional enum/min/max constraints and is required
+ * unless marked optional. Codec-specific rules (e.g. AV1 is QVBR-only) are
+ * checked afterwards by validateCodecSettings() in codecs.js.
+ */
+const PROFILE_SCHEMA = {
+  description: { type: 'string', optional: true },
+  video: {
+    type: 'object',
+    properties: {
+      codec: { type: 'string', enum: Object.keys(VIDEO_CODECS) },
+      maxLongEdge: { type: 'integer', min: 128, max: 4096 },
+      maxBitrate: { type: 'integer', min: 100000, max: 100000000 },
+      rateControl: { type: 'string', enum: ['QVBR', 'VBR', 'CBR'] },
+      qualityTuningLevel: { type: 'string', enum: ['SINGLE_PASS', 'SINGLE_PASS_HQ', 'MULTI_PASS_HQ'], optional: true },
+      qvbrQualityLevel: { type: 'integer', min: 1, max: 10, optional: true },
+    },
+  },
+  audio: {
+    type: 'object',
+    properties: {
+      codec: { type: 'string', enum: ['aac'] },
+      bitrate: { type: 'integer', min: 64000, max: 320000 },
+      sampleRate: { type: 'integer', enum: [44100, 48000] },
+    },
+  },
+  container: { type: 'string', enum: ['mp4', 'mov'] },
+  watermark: { type: 'boolean' },
+  framing: {
+    type: 'object',
+    optional: true,
+    properties: {
+      aspect: { type: 'string', enum: Object.keys(ASPECT_RATIOS) },
+      mode: { type: 'string', enum: FRAMING_MODES },
+      anchor: { type: 'string', enum: Object.keys(CROP_ANCHORS), optional: true },
+    },
+  },
+};
+
+/**
+ * Validate a value against a schema field
+ *
+ * @param {*} value - Value from the profile file
+ * @param {Object} field - Schema field {type, enum, min, max, properties, optional}
+ * @param {string} fieldPath - Dotted path for error messages (e.g. 'web-1080.video.maxBitrate')
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validateField(value, field, fieldPath) {
+  if (value === undefined) {
+    return field.optional ? [] : [`${fieldPath} is required`];
+  }
+
+  const isType = {
+    string: typeof value === 'string',
+    integer: Number.isInteger(value),
+    boolean: typeof value === 'boolean',
+    object: typeof value === 'object' && value !== null && !Array.isArray(value),
+  }[field.type];
+  if (!isType) {
+    const article = ['integer', 'object'].includes(field.type) ? 'an' : 'a';
+    return [`${fieldPath} must be ${article} ${field.type}`];
+  }
+
+  if (field.enum && !field.enum.includes(value)) {
+    return [`${fieldPath} must be one of ${field.enum.join(', ')} (got ${JSON.stringify(value)})`];
+  }
+  if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+    return [`${fieldPath} must be between ${field.min} and ${field.max} (got ${value})`];
+  }
+
+  if (field.type === 'object') {
+    return validateObject(value, field.properties, fieldPath);
+  }
+  return [];
+}
+
+/**
+ * Validate an object against a set of schema properties (unknown keys are errors)
+ *
+ * @param {Object} object - Object from the profile file
+ * @param {Object} properties - Schema properties
+ * @param {string} objectPath - Dotted path for error messages
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validateObject(object, properties, objectPath) {
+  const errors = Object.keys(object)
+    .filter(key => !properties[key])
+    .map(key => `${objectPath}.${key} is not a known setting (known: ${Object.keys(properties).join(', ')})`);
+
+  for (const [key, field] of Object.entries(properties)) {
+    errors.push(...validateField(object[key], field, `${objectPath}.${key}`));
+  }
+  return errors;
+}
+
+/**
+ * Validate a parsed profile file
+ *
+ * @param {Object} profiles - Parsed JSON {name: profile}
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateProfiles(profiles) {
+  if (typeof profiles !== 'object' || profiles === null || Array.isArray(profiles)) {
+    return ['the file must contain an object of named profiles'];
+  }
+  if (Object.keys(profiles).length === 0) {
+    return ['the file defines no profiles'];
+  }
+
+  const errors = [];
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+      errors.push(`"${name}" is not a valid profile name (lowercase letters, digits and dashes)`);
+    }
+    const profileErrors = validateField(profile, { type: 'object', properties: PROFILE_SCHEMA }, name);
+    if (profileErrors.length === 0) {
+      profileErrors.push(...validateCodecSettings(profile.video, profile.container).map(error => `${name}.video: ${error}`));
+    }
+    errors.push(...profileErrors);
+  }
+  return errors;
+}
+
+/**
+ * Load and validate the profile file
+ *
+ * Exits the process with the list of problems when the file is missing,
+ * isn't JSON, doesn't match the schema or lacks the default profile.
+ *
+ * @param {string} filePath - Path to the profile file
+ * @returns {Object} Profiles by name
+ */
+function loadProfiles(filePath) {
+  let profiles;
+  try {
+    profiles = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`Error: Could not load encoding profiles from ${filePath}`);
+    console.error(`  ${error.message}`);
+    process.exit(1);
+  }
+
+  const errors = validateProfiles(profiles);
+  if (errors.length === 0 && !profiles[config.profiles.default]) {
+    errors.push(`default profile "${config.profiles.default}" (DEFAULT_PROFILE) is not defined`);
+  }
+  if (errors.length > 0) {
+    console.error(`Error: Invalid encoding profiles in ${filePath}`);
+    errors.forEach(error => console.error(`  - ${error}`));
+    process.exit(1);
+  }
+
+  return profiles;
+}
+
+/**
+ * Profiles by name, validated on module load (fail-fast)
+ */
+const profiles = loadProfiles(config.profiles.file);
+
+/**
+ * Names of the available profiles
+ */
+export const PROFILE_NAMES = Object.keys(profiles);
+
+/**
+ * Get a profile by name
+ *
+ * @param {string} name - Profile name (default: config.profiles.default)
+ * @returns {Object} Profile {name, description, video, audio, container, watermark, framing?}
+ * @throws {Error} If the profile doesn't exist
+ */
+export function getProfile(name = config.profiles.default) {
+  const profile = profiles[name];
+  if (!profile) {
+    throw new Error(`Unknown profile "${name}" (available: ${PROFILE_NAMES.join(', ')})`);
+  }
+  return { name, description: '', ...profile };
+}
@@ -0,0 +1,778 @@
+#!/usr/bin/env node
+
+/**
+ * Server Module - HTTP API
+ *
+ * This module exposes the processing pipeline over HTTP so other services
+ * (e.g. the web app) can submit videos without shelling out to index.js.
+ *
+ * Endpoints:
+ * - POST /jobs                  Submit a video: multipart/form-data with a `file` part (and an
+ *                               optional `options` JSON field), or a JSON body
+ *                               {"inputUri": "s3://bucket/key.mp4", "options": {...}}
+ * - GET  /jobs                  Past jobs, newest first (?limit=N, default 50)
+ * - GET  /jobs/:id              Job status, with live MediaConvert progress while transcoding
+ * - GET  /jobs/:id/download     Download an output once the job is complete (?output=N, default 0)
+ * - GET  /jobs/:id/links        Presigned download links for the outputs (?expires=seconds)
+ * - POST /uploads               Start a browser upload straight to S3: {"fileName", "size"} →
+ *                               presigned part URLs
+ * - POST /uploads/complete      Finish it: {"key", "uploadId", "parts": [{"partNumber", "etag"}]} →
+ *                               {"inputUri"}, which is then submitted to POST /jobs
+ * - POST /uploads/abort         Cancel it: {"key", "uploadId"}
+ *
+ * A submitted job answers 202 right away and runs in the background:
+ * upload to S3 → create the MediaConvert job → monitor it until it completes.
+ * Every step is recorded in the run state store (state.js, origin 'api'), so
+ * a restarted server lists past jobs and resumes unfinished ones.
+ *
+ * Errors are JSON: {"error": {"code": "invalid_options", "message": "..."}}
+ *
+ * Dependencies:
+ * - upload.js: S3 upload/download
+ * - mediaconvert.js: Job creation, status and monitoring
+ * - state.js: Run state store
+ * - options.js: Job option validation (shared with the CLI)
+ * - multipart.js: Streaming multipart/form-data parser
+ */
+
+import {
+  uploadToS3, downloadFromS3, isSupportedVideoFile,
+  createPresignedUpload, completePresignedUpload, abortPresignedUpload, getPresignedDownloadUrl,
+} from './upload.js';
+import { createMediaConvertJob, getJobStatus, monitorJobProgress, parseTimecode, parseClipRange } from './mediaconvert.js';
+import { createRun, updateRun, getRun, listRuns } from './state.js';
+import { validateJobOptions } from './options.js';
+import { parseCaptionArgument } from './captions.js';
+import { parseAudioArgument } from './audio.js';
+import { resolveLoudness } from './loudness.js';
+import { getMultipartBoundary, parseMultipart, sanitizeFileName } from './multipart.js';
+import { flushWebhooks } from './webhooks.js';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import http from 'http';
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Largest JSON request body (bytes)
+ */
+const MAX_JSON_BYTES = 1024 * 1024;
+
+/**
+ * Default and maximum number of jobs returned by GET /jobs
+ */
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 500;
+
+/**
+ * Content-Type of job outputs by file extension (anything else is sent as application/octet-stream)
+ */
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.mpd': 'application/dash+xml',
+  '.ts': 'video/mp2t',
+  '.m4s': 'video/iso.segment',
+  '.vtt': 'text/vtt',
+  '.srt': 'application/x-subrip',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+};
+
+/**
+ * Create an API error that is sent as {"error": {code, message}} with an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine-readable error code (e.g. 'not_found')
+ * @param {string} message - Human-readable message
+ * @returns {Error} Error with status and code
+ */
+function apiError(status, code, message) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body, null, 2);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+  });
+  res.end(payload);
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ * @throws {Error} 413 if the body is too large, 400 if it isn't a JSON object
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  // Not destroyed on an error: the error handler drains the rest and answers
+  for await (const chunk of req.iterator({ destroyOnReturn: false })) {
+    size += chunk.length;
+    if (size > MAX_JSON_BYTES) {
+      throw apiError(413, 'payload_too_large', `JSON body is larger than ${MAX_JSON_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return parseJsonObject(Buffer.concat(chunks).toString('utf8') || '{}', 'Request body');
+}
+
+/**
+ * Parse a JSON object (request body or the multipart `options` field)
+ * @param {string} text - JSON text
+ * @param {string} label - What is parsed (for the error message)
+ * @returns {Object} Parsed object
+ * @throws {Error} 400 if the text isn't a JSON object
+ */
+function parseJsonObject(text, label) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    throw apiError(400, 'invalid_request', `${label} is not valid JSON: ${error.message}`);
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw apiError(400, 'invalid_request', `${label} must be a JSON object`);
+  }
+  return value;
+}
+
+/**
+ * Turn API options into job options (see createMediaConvertJob)
+ *
+ * Accepted options mirror the CLI flags in camelCase: profile, codec, hdr, hls, cmaf,
+ * watermarkLayout, watermarkAnchors, thumbnails, thumbnailInterval, poster, start, end,
+ * clip ('<start>-<end>'), aspect, framing, cropAnchor, intro, outro, captions, audio,
+ * loudness, loudnessTarget, recipients. Captions and audio use the CLI syntax
+ * ('s3://bucket/subs.vtt:spa:burn', '2:spa:ac3').
+ *
+ * Files on the server are never read on a client's behalf: captions and bumpers
+ * must be s3:// URIs, and the watermark image is the server's default.
+ *
+ * @param {Object} apiOptions - Options from the request
+ * @returns {Object} Validated job options
+ * @throws {Error} 400 (invalid_options) on an unknown or invalid option
+ */
+function buildJobOptions(apiOptions = {}) {
+  const known = ['profile', 'codec', 'hdr', 'hls', 'cmaf', 'watermarkLayout', 'watermarkAnchors', 'thumbnails',
+    'thumbnailInterval', 'poster', 'start', 'end', 'clip', 'aspect', 'framing', 'cropAnchor', 'intro', 'outro',
+    'captions', 'audio', 'loudness', 'loudnessTarget', 'recipients'];
+  const unknown = Object.keys(apiOptions).filter(key => !known.includes(key));
+  if (unknown.length > 0) {
+    throw apiError(400, 'invalid_options', `Unknown option(s): ${unknown.join(', ')} (available: ${known.join(', ')})`);
+  }
+
+  try {
+    const list = (value, name) => {
+      if (value === undefined) {
+        return [];
+      }
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        throw new Error(`${name} must be an array of strings`);
+      }
+      return value;
+    };
+    const s3Only = (value, name) => {
+      if (value && value !== 'none' && !String(value).startsWith('s3://')) {
+        throw new Error(`${name} must be an s3:// URI (server files can't be used)`);
+      }
+      return value;
+    };
+    const bumper = (value, name) => (value === undefined ? undefined : (s3Only(value, name) && value !== 'none' ? value : null));
+
+    const jobOptions = {
+      profile: apiOptions.profile || config.profiles.default,
+      codec: apiOptions.codec?.toLowerCase(),
+      hdr: (apiOptions.hdr || config.hdr.mode).toLowerCase(),
+      hls: Boolean(apiOptions.hls),
+      cmaf: Boolean(apiOptions.cmaf),
+      watermarkLayout: apiOptions.watermarkLayout || config.mediaconvert.watermarkLayout,
+      watermarkAnchors: apiOptions.watermarkAnchors ?? config.mediaconvert.watermarkAnchors,
+      recipients: list(apiOptions.recipients, 'recipients').map(recipient => recipient.trim()).filter(Boolean),
+      thumbnails: Boolean(apiOptions.thumbnails || apiOptions.thumbnailInterval),
+      thumbnailInterval: apiOptions.thumbnailInterval !== undefined ? Number(apiOptions.thumbnailInterval) : undefined,
+      poster: apiOptions.poster !== undefined ? String(apiOptions.poster) : undefined,
+      aspect: apiOptions.aspect,
+      framingMode: apiOptions.framing?.toLowerCase(),
+      cropAnchor: apiOptions.cropAnchor,
+      intro: bumper(apiOptions.intro, 'intro'),
+      outro: bumper(apiOptions.outro, 'outro'),
+      captions: list(apiOptions.captions, 'captions').map(value => parseCaptionArgument(s3Only(value, 'captions'))),
+      audio: list(apiOptions.audio, 'audio').map(parseAudioArgument),
+      loudness: apiOptions.loudness ?? config.loudness.standard,
+      loudnessTarget: apiOptions.loudnessTarget ?? config.loudness.targetLufs,
+    };
+
+    const duplicate = jobOptions.recipients.find((recipient, index) => jobOptions.recipients.indexOf(recipient) !== index);
+    if (duplicate) {
+      throw new Error(`Recipient "${duplicate}" is listed twice`);
+    }
+
+    // One job per request: a single range (clip, or start/end)
+    if (apiOptions.clip !== undefined && (apiOptions.start !== undefined || apiOptions.end !== undefined)) {
+      throw new Error('clip can\'t be combined with start/end');
+    }
+    if (apiOptions.clip !== undefined) {
+      jobOptions.clip = parseClipRange(apiOptions.clip);
+    } else if (apiOptions.start !== undefined || apiOptions.end !== undefined) {
+      jobOptions.clip = {
+        start: apiOptions.start !== undefined ? parseTimecode(apiOptions.start) : 0,
+        end: apiOptions.end !== undefined ? parseTimecode(apiOptions.end) : null,
+      };
+      if (jobOptions.clip.end !== null && jobOptions.clip.end <= jobOptions.clip.start) {
+        throw new Error(`end (${apiOptions.end}) must be after start (${apiOptions.start ?? 0})`);
+      }
+    }
+
+    validateJobOptions(jobOptions);
+    if (!resolveLoudness(jobOptions.loudness, jobOptions.loudnessTarget) && apiOptions.loudnessTarget !== undefined) {
+      throw new Error('loudnessTarget needs a loudness standard (ebu-r128 or atsc-a85)');
+    }
+    return jobOptions;
+  } catch (error) {
+    throw error.status ? error : apiError(400, 'invalid_options', error.message);
+  }
+}
+
+/**
+ * Map a run's stage to the job status reported by the API
+ * @param {Object} run - Run record
+ * @returns {string} uploading, submitting, transcoding, complete or failed
+ */
+function runStatus(run) {
+  if (run.lastError) {
+    return 'failed';
+  }
+  return {
+    started: 'uploading',
+    uploaded: 'submitting',
+    submitted: 'transcoding',
+    transcoded: 'complete',
+    downloaded: 'complete',
+  }[run.stage];
+}
+
+/**
+ * Public view of a run
+ * @param {Object} run - Run record
+ * @returns {Object} {id, status, stage, source, inputUri, jobId, options, outputUri, outputs, error, createdAt, updatedAt}
+ */
+function describeRun(run) {
+  const outputUris = run.outputUris || {};
+  return {
+    id: run.id,
+    status: runStatus(run),
+    stage: run.stage,
+    source: run.fileName || run.inputUri,
+    inputUri: run.inputUri,
+    jobId: run.jobId,
+    options: run.options,
+    outputUri: run.outputUri,
+    outputs: outputUris.files?.length ? outputUris.files : [outputUris.file].filter(Boolean),
+    outputUris: run.outputUris,
+    error: run.lastError,
+    createdAt: run.createdAt,
+    updatedAt: run.updatedAt,
+  };
+}
+
+/**
+ * Get the path FFprobe/FFmpeg read a run's source from for metadata detection
+ *
+ * Uploaded files are kept until the MediaConvert job is created. Sources that
+ * are already in S3 (S3 URIs, browser uploads) are read over HTTPS through a
+ * presigned URL, so the server never copies the whole file.
+ *
+ * @param {Object} run - Run record
+ * @returns {Promise<string>} Local path or presigned URL
+ */
+async function getProbeSource(run) {
+  if (run.filePath && fs.existsSync(run.filePath)) {
+    return run.filePath;
+  }
+  try {
+    return (await getPresignedDownloadUrl(run.inputUri)).url;
+  } catch (error) {
+    throw new Error(`Could not read source ${run.inputUri}: ${error.message}`);
+  }
+}
+
+/**
+ * Remove a run's uploaded file (and its folder) once it is no longer needed
+ * @param {Object} run - Run record
+ */
+function removeUploadedFile(run) {
+  if (run.filePath?.startsWith(path.resolve(config.server.uploadDir) + path.sep)) {
+    fs.rmSync(path.dirname(run.filePath), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Jobs running in this process (run ID → promise), so a run is never started twice
+ */
+const activeJobs = new Map();
+
+/**
+ * Run an API job in the background: upload → create job → monitor
+ *
+ * Like processVideo (pipeline.js), completed steps are skipped when a run is
+ * resumed, and a failure is recorded on the run instead of being thrown. API
+ * jobs end at 'transcoded'; outputs are downloaded on request.
+ *
+ * @param {string} runId - Run ID
+ * @returns {Promise<void>}
+ */
+function runApiJob(runId) {
+  if (!activeJobs.has(runId)) {
+    const job = processApiJob(runId)
+      // processApiJob records its own failures; never leave a rejection unhandled
+      .catch(error => logger.error(`❌ API job ${runId} failed: ${error.message}`))
+      .finally(() => activeJobs.delete(runId));
+    activeJobs.set(runId, job);
+  }
+  return activeJobs.get(runId);
+}
+
+/**
+ * Process an API job (see runApiJob)
+ * @param {string} runId - Run ID
+ * @returns {Promise<void>}
+ */
+async function processApiJob(runId) {
+  let run = { id: runId };
+  try {
+    run = updateRun(runId, { lastError: null });
+
+    // Step 1: Upload the submitted file to S3
+    if (!run.inputUri) {
+      const inputUri = await uploadToS3(run.filePath);
+      run = updateRun(run.id, { stage: 'uploaded', inputUri });
+    }
+
+    // Step 2: Create the MediaConvert job (the source is probed for its metadata)
+    if (!run.jobId) {
+      const jobId = await createMediaConvertJob(run.inputUri, await getProbeSource(run), run.options);
+      run = updateRun(run.id, { stage: 'submitted', jobId });
+      removeUploadedFile(run);
+    }
+
+    // Step 3: Monitor the job until it completes
+    if (run.stage === 'submitted') {
+      const { outputUri, outputUris } = await monitorJobProgress(run.jobId);
+      run = updateRun(run.id, { stage: 'transcoded', outputUri, outputUris });
+    }
+    logger.info(`✅ API job ${run.id} complete: ${run.outputUri}`);
+
+  } catch (error) {
+    // A failed or canceled job can't be reattached: a retry submits a new one
+    const jobFailed = /^MediaConvert job (failed|was canceled)/.test(error.message);
+    logger.error(`❌ API job ${run.id} failed: ${error.message}`);
+    try {
+      updateRun(run.id, {
+        lastError: error.message,
+        ...(jobFailed && { stage: 'uploaded', jobId: null }),
+      });
+    } catch (stateError) {
+      logger.error(`⚠️  Could not record the failure of API job ${run.id}: ${stateError.message}`);
+    }
+  }
+}
+
+/**
+ * POST /jobs - Submit a video (multipart upload or S3 URI)
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function submitJob(req, res) {
+  const contentType = req.headers['content-type'] || '';
+  const boundary = getMultipartBoundary(contentType);
+  let run;
+
+  if (boundary) {
+    const maxBytes = config.server.maxUploadMb * 1024 * 1024;
+    if (Number(req.headers['content-length']) > maxBytes) {
+      throw apiError(413, 'payload_too_large', `Upload is larger than ${config.server.maxUploadMb} MB`);
+    }
+    const uploadDir = path.resolve(config.server.uploadDir, crypto.randomUUID());
+    let form;
+    try {
+      form = await parseMultipart(req, boundary, uploadDir, { maxBytes });
+    } catch (error) {
+      fs.rmSync(uploadDir, { recursive: true, force: true });
+      if (error.code === 'BODY_TOO_LARGE') {
+        throw apiError(413, 'payload_too_large', `Upload is larger than ${config.server.maxUploadMb} MB`);
+      }
+      if (error.syscall) {
+        throw error; // Disk errors (ENOSPC, EACCES) are the server's: 500
+      }
+      throw apiError(400, 'invalid_request', error.message);
+    }
+
+    const discard = () => fs.rmSync(uploadDir, { recursive: true, force: true });
+    try {
+      const file = form.files.find(part => part.name === 'file');
+      if (!file || form.files.length > 1) {
+        throw apiError(400, 'invalid_request', 'Expected exactly one file part named "file"');
+      }
+      if (!isSupportedVideoFile(file.path)) {
+        throw apiError(400, 'invalid_request', `Unsupported video file "${file.fileName}"`);
+      }
+      if (file.size === 0) {
+        throw apiError(400, 'invalid_request', `Uploaded file "${file.fileName}" is empty`);
+      }
+      const jobOptions = buildJobOptions(form.fields.options ? parseJsonObject(form.fields.options, 'options field') : {});
+      run = createRun(file.path, jobOptions, { origin: 'api', fileName: file.fileName, initialFileSize: file.size });
+    } catch (error) {
+      discard();
+      throw error;
+    }
+
+  } else if (/^application\/json/i.test(contentType)) {
+    const body = await readJsonBody(req);
+    const inputUri = body.inputUri;
+    if (typeof inputUri !== 'string' || !/^s3:\/\/[^/]+\/.+/.test(inputUri)) {
+      throw apiError(400, 'invalid_request', 'inputUri must be an S3 URI (s3://bucket/key)');
+    }
+    if (!isSupportedVideoFile(inputUri)) {
+      throw apiError(400, 'invalid_request', `Unsupported video file "${path.basename(inputUri)}"`);
+    }
+    if (body.options !== undefined && (typeof body.options !== 'object' || Array.isArray(body.options) || !body.options)) {
+      throw apiError(400, 'invalid_options', 'options must be a JSON object');
+    }
+    const jobOptions = buildJobOptions(body.options);
+    run = createRun(null, jobOptions, { origin: 'api', inputUri, stage: 'uploaded' });
+
+  } else {
+    throw apiError(415, 'unsupported_media_type', 'Send multipart/form-data (file upload) or application/json (inputUri)');
+  }
+
+  logger.info(`📥 API job ${run.id} submitted: ${run.fileName || run.inputUri}`);
+  runApiJob(run.id);
+  res.setHeader('Location', `/jobs/${run.id}`);
+  sendJson(res, 202, describeRun(run));
+}
+
+/**
+ * GET /jobs - List past jobs, newest first
+ * @param {URL} url - Request URL (?limit=N)
+ * @param {http.ServerResponse} res - Response
+ */
+function listJobs(url, res) {
+  const limitParam = url.searchParams.get('limit');
+  const limit = limitParam === null ? DEFAULT_LIST_LIMIT : Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+    throw apiError(400, 'invalid_request', `limit must be a whole number from 1 to ${MAX_LIST_LIMIT}`);
+  }
+  const runs = listRuns('api').reverse();
+  sendJson(res, 200, { total: runs.length, jobs: runs.slice(0, limit).map(describeRun) });
+}
+
+/**
+ * Get an API run or fail with 404
+ * @param {string} id - Run ID
+ * @returns {Object} Run record
+ * @throws {Error} 404 if there is no API job with this ID
+ */
+function requireRun(id) {
+  const run = getRun(id);
+  if (!run || run.origin !== 'api') {
+    throw apiError(404, 'not_found', `Job not found: ${id}`);
+  }
+  return run;
+}
+
+/**
+ * GET /jobs/:id - Job status, with live MediaConvert progress while transcoding
+ * @param {string} id - Run ID
+ * @param {http.ServerResponse} res - Response
+ */
+async function getJob(id, res) {
+  const run = requireRun(id);
+  const job = describeRun(run);
+
+  if (job.status === 'transcoding') {
+    try {
+      const mediaConvertJob = await getJobStatus(run.jobId);
+      job.progress = {
+        status: mediaConvertJob.Status,
+        percentComplete: mediaConvertJob.JobPercentComplete ?? null,
+        phase: mediaConvertJob.CurrentPhase ?? null,
+      };
+    } catch (error) {
+      job.progress = { status: 'UNKNOWN', error: error.message };
+    }
+  } else if (job.status === 'complete') {
+    job.progress = { status: 'COMPLETE', percentComplete: 100 };
+  }
+
+  sendJson(res, 200, job);
+}
+
+/**
+ * Output downloads from S3 in progress, by local path
+ * Concurrent requests for the same output wait for one download.
+ */
+const outputDownloads = new Map();
+
+/**
+ * Download a job output into the local cache unless it's already there
+ *
+ * The file is written under a temporary name and renamed when complete, so a
+ * failed or interrupted download never leaves a truncated file to be served.
+ *
+ * @param {string} outputUri - S3 URI of the output
+ * @param {string} localPath - Cache path (outputs/{runId}/{file name})
+ * @returns {Promise<string>} localPath
+ */
+function fetchJobOutput(outputUri, localPath) {
+  if (fs.existsSync(localPath)) {
+    return Promise.resolve(localPath);
+  }
+
+  let download = outputDownloads.get(localPath);
+  if (!download) {
+    const tempPath = `${localPath}.${crypto.randomUUID()}.part`;
+    download = downloadFromS3(outputUri, tempPath)
+      .then(() => {
+        fs.renameSync(tempPath, localPath);
+        return localPath;
+      })
+      .catch(error => {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+      })
+      .finally(() => outputDownloads.delete(localPath));
+    outputDownloads.set(localPath, download);
+  }
+  return download;
+}
+
+/**
+ * GET /jobs/:id/download - Stream an output of a complete job
+ *
+ * The output is downloaded from S3 into outputs/{runId}/ on first request and
+ * served from there afterwards.
+ *
+ * @param {string} id - Run ID
+ * @param {URL} url - Request URL (?output=N, index into the job's outputs)
+ * @param {http.ServerResponse} res - Response
+ */
+async function downloadJobOutput(id, url, res) {
+  const run = requireRun(id);
+  const job = describeRun(run);
+  if (job.status !== 'complete') {
+    throw apiError(409, 'job_not_complete', `Job ${id} is ${job.status}; outputs are available once it is complete`);
+  }
+
+  const index = Number(url.searchParams.get('output') ?? 0);
+  const outputUri = job.outputs[index];
+  if (!Number.isInteger(index) || !outputUri) {
+    throw apiError(404, 'not_found', `Job ${id} has no output ${url.searchParams.get('output')} (outputs: 0-${job.outputs.length - 1})`);
+  }
+
+  const localPath = await fetchJobOutput(outputUri, path.join('outputs', run.id, path.basename(outputUri)));
+
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[path.extname(localPath).toLowerCase()] || 'application/octet-stream',
+    'Content-Length': fs.statSync(localPath).size,
+    'Content-Disposition': `attachment; filename="${sanitizeFileName(path.basename(localPath))}"`,
+  });
+  try {
+    await pipeline(fs.createReadStream(localPath), res);
+  } catch (error) {
+    // The client went away mid-download: nothing to report
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * GET /jobs/:id/links - Presigned download links for the outputs of a complete job
+ *
+ * Links cover the MP4s, caption sidecars and the poster (see getPresignedDownloadUrl).
+ *
+ * @param {string} id - Run ID
+ * @param {URL} url - Request URL (?expires=seconds, default config.s3.presignExpiresSeconds)
+ * @param {http.ServerResponse} res - Response
+ */
+async function getJobLinks(id, url, res) {
+  const run = requireRun(id);
+  const job = describeRun(run);
+  if (job.status !== 'complete') {
+    throw apiError(409, 'job_not_complete', `Job ${id} is ${job.status}; links are available once it is complete`);
+  }
+
+  const expiresIn = Number(url.searchParams.get('expires') ?? config.s3.presignExpiresSeconds);
+  const uris = [...job.outputs, ...(run.outputUris.captions || []), run.outputUris.poster].filter(Boolean);
+  const links = [];
+  try {
+    for (const uri of uris) {
+      links.push(await getPresignedDownloadUrl(uri, expiresIn));
+    }
+  } catch (error) {
+    throw apiError(400, 'invalid_request', error.message);
+  }
+  sendJson(res, 200, { id, links });
+}
+
+/**
+ * Run a presigned upload call, answering 400 when the request or S3 rejects it
+ * @param {Function} action - Async call to upload.js
+ * @returns {Promise<*>} Result of the call
+ * @throws {Error} 400 (invalid_request / upload_rejected) for client errors, otherwise the original error
+ */
+async function uploadAction(action) {
+  try {
+    return await action();
+  } catch (error) {
+    const s3Status = error.$metadata?.httpStatusCode;
+    if (s3Status === undefined) {
+      throw apiError(400, 'invalid_request', error.message);
+    }
+    if (s3Status < 500) {
+      throw apiError(400, 'upload_rejected', `S3 rejected the upload: ${error.name}: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * POST /uploads, /uploads/complete, /uploads/abort - Browser uploads straight to S3
+ *
+ * The browser PUTs each part of its file to the part URLs, collects the ETag
+ * response header of every part (the bucket's CORS rules must expose ETag),
+ * completes the upload and submits the returned inputUri to POST /jobs.
+ *
+ * @param {string} action - null (start), 'complete' or 'abort'
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleUpload(action, req, res) {
+  const body = await readJsonBody(req);
+
+  if (!action) {
+    const upload = await uploadAction(() => createPresignedUpload(body.fileName ?? '', body.size));
+    sendJson(res, 201, upload);
+  } else if (action === 'complete') {
+    const inputUri = await uploadAction(() => completePresignedUpload(body.key, body.uploadId, body.parts));
+    sendJson(res, 200, { inputUri });
+  } else {
+    await uploadAction(() => abortPresignedUpload(body.key, body.uploadId));
+    res.writeHead(204).end();
+  }
+}
+
+/**
+ * Route a request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+  if (config.server.apiKey) {
+    const expected = Buffer.from(`Bearer ${config.server.apiKey}`);
+    const given = Buffer.from(req.headers.authorization || '');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw apiError(401, 'unauthorized', 'Missing or invalid API key (Authorization: Bearer <key>)');
+    }
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  const segments = url.pathname.split('/').filter(Boolean);
+
+  if (segments[0] === 'jobs' && segments.length === 1) {
+    if (req.method === 'POST') {
+      return submitJob(req, res);
+    }
+    if (req.method === 'GET') {
+      return listJobs(url, res);
+    }
+  } else if (segments[0] === 'jobs' && segments.length === 2 && req.method === 'GET') {
+    return getJob(segments[1], res);
+  } else if (segments[0] === 'jobs' && segments.length === 3 && segments[2] === 'download' && req.method === 'GET') {
+    return downloadJobOutput(segments[1], url, res);
+  } else if (segments[0] === 'jobs' && segments.length === 3 && segments[2] === 'links' && req.method === 'GET') {
+    return getJobLinks(segments[1], url, res);
+  } else if (segments[0] === 'uploads' && req.method === 'POST'
+    && (segments.length === 1 || (segments.length === 2 && ['complete', 'abort'].includes(segments[1])))) {
+    return handleUpload(segments[1] || null, req, res);
+  } else if (url.pathname === '/health' && req.method === 'GET') {
+    return sendJson(res, 200, { status: 'ok' });
+  }
+
+  throw apiError(404, 'not_found', `No route for ${req.method} ${url.pathname}`);
+}
+
+/**
+ * Resume API jobs that were still running when the server stopped
+ *
+ * Failed jobs are left as they are; they stay listed with their error.
+ */
+function resumeApiJobs() {
+  const runs = listRuns('api').filter(run => !run.lastError && run.stage !== 'transcoded' && run.stage !== 'downloaded');
+  if (runs.length > 0) {
+    logger.info(`🔁 Resuming ${runs.length} unfinished API job(s)`);
+    runs.forEach(run => runApiJob(run.id));
+  }
+}
+
+function main() {
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      const status = error.status || 500;
+      if (status >= 500) {
+        logger.error(`❌ ${req.method} ${req.url}: ${error.message}`);
+      }
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      // Drain whatever is left of the request body so the response can be read;
+      // after a 413 the connection is closed rather than reading the rest of a huge body
+      req.resume();
+      if (status === 413) {
+        res.setHeader('Connection', 'close');
+      }
+      sendJson(res, status, {
+        error: {
+          code: error.code && status < 500 ? error.code : 'internal_error',
+          message: error.message,
+        },
+      });
+    });
+  });
+
+  server.listen(config.server.port, config.server.host, () => {
+    logger.info('=== AWS MediaConvert API ===\n');
+    logger.info(`🌐 Listening on http://${config.server.host}:${config.server.port}`);
+    if (!config.server.apiKey) {
+      logger.warn('⚠️  API_KEY is not set: the API accepts requests without authentication');
+    }
+    resumeApiJobs();
+  });
+
+  // Stop accepting requests and finish webhook deliveries; unfinished jobs are resumed on the next start
+  const shutdown = async () => {
+    logger.info('\n🛑 Shutting down (unfinished jobs resume on the next start)');
+    server.close();
+    server.closeAllConnections();
+    await flushWebhooks();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+// Run the server
+main();
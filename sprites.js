@@ -0,0 +1,164 @@
+/**
+ * Sprites Module - WebVTT Sprite Sheets for Player Scrub Previews
+ *
+ * This module turns the thumbnail strip captured by the FRAME_CAPTURE output
+ * group into sprite sheets plus a WebVTT file that maps time ranges to
+ * regions of the sheets, the format most web players use for scrub previews:
+ *
+ *   WEBVTT
+ *
+ *   00:00:00.000 --> 00:00:10.000
+ *   video_123_sprite.jpg#xywh=0,0,320,180
+ *
+ * How it works:
+ * - Thumbnails are tiled locally with FFmpeg's tile filter
+ *   (SPRITE_COLUMNS × SPRITE_ROWS thumbnails per sheet; long videos get
+ *   several sheets: _sprite.jpg, _sprite_1.jpg, ...)
+ * - Cue i covers [i × interval, (i + 1) × interval)
+ * - Sheets and the VTT are uploaded next to the MP4 in config.s3.outputFolder;
+ *   the VTT references the sheets by file name, so they stay valid side by side
+ *
+ * Dependencies:
+ * - fluent-ffmpeg: Tiling and thumbnail probing
+ * - upload.js: Uploading the sheets and the VTT
+ */
+
+import { uploadFileToS3 } from './upload.js';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import ffmpeg from 'fluent-ffmpeg';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Format seconds as a WebVTT timestamp
+ * @param {number} totalSeconds - Time in seconds
+ * @returns {string} HH:MM:SS.mmm (e.g. 75.5 → '00:01:15.500')
+ */
+function formatVttTime(totalSeconds) {
+  const totalMs = Math.round(totalSeconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const seconds = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+}
+
+/**
+ * Read the dimensions of an image with FFprobe
+ * @param {string} imagePath - Local path to the image
+ * @returns {Promise<Object>} {width, height}
+ */
+function getImageSize(imagePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(imagePath, (err, metadata) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      const stream = metadata.streams.find(s => s.codec_type === 'video');
+      if (!stream) {
+        reject(new Error(`No image found in ${imagePath}`));
+        return;
+      }
+      resolve({ width: stream.width, height: stream.height });
+    });
+  });
+}
+
+/**
+ * Tile a run of numbered thumbnails into one sheet
+ *
+ * @param {string} pattern - Image sequence pattern, e.g. 'outputs/video_123/thumbs/video_thumb.%07d.jpg'
+ * @param {number} startNumber - Number of the first thumbnail in the sheet
+ * @param {number} columns - Thumbnails per row
+ * @param {number} rows - Rows in this sheet
+ * @param {string} outputPath - Where to write the sheet JPEG
+ * @returns {Promise<void>}
+ */
+function tileThumbnails(pattern, startNumber, columns, rows, outputPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg()
+      .input(pattern)
+      .inputOptions(['-f image2', `-start_number ${startNumber}`])
+      .videoFilters(`tile=${columns}x${rows}`)
+      .outputOptions(['-frames:v 1', '-q:v 3'])
+      .output(outputPath)
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+}
+
+/**
+ * Build sprite sheets and the WebVTT file from a thumbnail strip
+ *
+ * @param {Object} options - Sprite options
+ * @param {Array<string>} options.thumbPaths - Local thumbnails in capture order ({name}_thumb.0000000.jpg, ...)
+ * @param {number} options.intervalSeconds - Seconds between thumbnails
+ * @param {string} options.outputDir - Local directory for the sheets and VTT
+ * @param {string} options.name - Base file name, e.g. 'video_123' → video_123_sprite.jpg / video_123_sprite.vtt
+ * @returns {Promise<Object>} {vttPath, sheetPaths}
+ * @throws {Error} If there are no thumbnails or FFmpeg fails
+ */
+export async function buildSpriteSheets({ thumbPaths, intervalSeconds, outputDir, name }) {
+  if (thumbPaths.length === 0) {
+    throw new Error('No thumbnails to build a sprite sheet from');
+  }
+
+  const { columns, rows } = config.sprites;
+  const perSheet = columns * rows;
+  const { width, height } = await getImageSize(thumbPaths[0]);
+
+  // Thumbnails are numbered from 0 in capture order: {name}_thumb.0000000.jpg
+  const pattern = thumbPaths[0].replace(/\.\d{7}\.jpg$/, '.%07d.jpg');
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const sheetPaths = [];
+  const cues = ['WEBVTT', ''];
+  for (let start = 0; start < thumbPaths.length; start += perSheet) {
+    const count = Math.min(perSheet, thumbPaths.length - start);
+    const sheetIndex = sheetPaths.length;
+    const sheetName = sheetIndex === 0 ? `${name}_sprite.jpg` : `${name}_sprite_${sheetIndex}.jpg`;
+    const sheetPath = path.join(outputDir, sheetName);
+
+    await tileThumbnails(pattern, start, columns, Math.ceil(count / columns), sheetPath);
+    sheetPaths.push(sheetPath);
+
+    for (let i = 0; i < count; i++) {
+      const index = start + i;
+      const cueStart = index * intervalSeconds;
+      const cueEnd = cueStart + intervalSeconds;
+      const x = (i % columns) * width;
+      const y = Math.floor(i / columns) * height;
+
+      cues.push(`${formatVttTime(cueStart)} --> ${formatVttTime(cueEnd)}`);
+      cues.push(`${sheetName}#xywh=${x},${y},${width},${height}`);
+      cues.push('');
+    }
+  }
+
+  const vttPath = path.join(outputDir, `${name}_sprite.vtt`);
+  fs.writeFileSync(vttPath, cues.join('\n'));
+
+  logger.info(`🧩 Sprite sheets: ${sheetPaths.length} sheet(s), ${thumbPaths.length} thumbnails (${width}x${height}) → ${vttPath}`);
+  return { vttPath, sheetPaths };
+}
+
+/**
+ * Upload sprite sheets and their VTT next to the MP4
+ *
+ * @param {Object} sprites - {vttPath, sheetPaths} from buildSpriteSheets()
+ * @returns {Promise<Object>} {vtt, sheets} S3 URIs in s3://{bucket}/{outputFolder}/
+ */
+export async function uploadSpriteSheets({ vttPath, sheetPaths }) {
+  const destination = `s3://${config.s3.bucket}/${config.s3.outputFolder}`;
+
+  const sheets = [];
+  for (const sheetPath of sheetPaths) {
+    sheets.push(await uploadFileToS3(sheetPath, `${destination}/${path.basename(sheetPath)}`, 'image/jpeg'));
+  }
+  const vtt = await uploadFileToS3(vttPath, `${destination}/${path.basename(vttPath)}`, 'text/vtt');
+
+  return { vtt, sheets };
+}
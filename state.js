@@ -0,0 +1,198 @@
+/**
+ * State Module - Local Run State Store
+ *
+ * This module records the progress of every pipeline run in a local JSON file
+ * so interrupted work can be resumed without uploading or transcoding again.
+ *
+ * Run stages (in order):
+ * - started:     run created, nothing uploaded yet
+ * - uploaded:    source is in S3 (inputUri recorded)
+ * - submitted:   MediaConvert job created (jobId recorded)
+ * - transcoded:  job completed (outputUri / outputUris recorded)
+ * - downloaded:  outputs downloaded locally (run finished)
+ *
+ * Origins:
+ * - cli: runs started from index.js (resumed with --resume)
+ * - api: jobs submitted to the HTTP API (resumed by server.js on start); they
+ *   finish at 'transcoded', outputs are downloaded on request
+ * - watch: videos picked up by watch mode (resumed by the next --watch of the
+ *   same source); watchStatus is processing, processed or failed
+ *
+ * Storage:
+ * - File: config.state.file (default: .mediaconvert/state.json)
+ * - Writes go to a temp file that is renamed over the old one, so a crash
+ *   mid-write never leaves a truncated state file behind
+ * - All reads/writes are synchronous, so concurrent batch workers in the same
+ *   process never interleave a read-modify-write
+ * - createRun/updateRun hold a lock file ({file}.lock) for their
+ *   read-modify-write, so the CLI, --watch and the API server can share one
+ *   state file without dropping each other's runs; a lock left behind by a
+ *   crashed process is removed once it is older than LOCK_STALE_MS
+ */
+
+import { config } from './config.js';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Ordered list of run stages (see module header)
+ */
+export const RUN_STAGES = ['started', 'uploaded', 'submitted', 'transcoded', 'downloaded'];
+
+/**
+ * State file lock: retry interval, age after which a lock counts as left
+ * behind, and how long to wait before giving up (ms)
+ */
+const LOCK_RETRY_MS = 10;
+const LOCK_STALE_MS = 10000;
+const LOCK_TIMEOUT_MS = 30000;
+
+/**
+ * Read the whole state file
+ * @returns {Object} State {runs: {[id]: run}} (empty when the file doesn't exist yet)
+ */
+function readState() {
+  if (!fs.existsSync(config.state.file)) {
+    return { runs: {} };
+  }
+  return JSON.parse(fs.readFileSync(config.state.file, 'utf8'));
+}
+
+/**
+ * Write the whole state file atomically (temp file + rename)
+ * @param {Object} state - State {runs: {[id]: run}}
+ */
+function writeState(state) {
+  fs.mkdirSync(path.dirname(config.state.file), { recursive: true });
+  const tempFile = `${config.state.file}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(state, null, 2));
+  fs.renameSync(tempFile, config.state.file);
+}
+
+/**
+ * Run a read-modify-write of the state file while holding its lock file
+ *
+ * Waits synchronously (like every state access) while another process holds
+ * the lock; the lock is only held for a read and a write, so waits are short.
+ *
+ * @param {Function} update - Synchronous function doing the read-modify-write
+ * @returns {*} Result of update
+ * @throws {Error} If the lock can't be taken within LOCK_TIMEOUT_MS
+ */
+function withStateLock(update) {
+  const lockFile = `${config.state.file}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  fs.mkdirSync(path.dirname(config.state.file), { recursive: true });
+
+  while (true) {
+    try {
+      fs.closeSync(fs.openSync(lockFile, 'wx'));
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+    try {
+      if (Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS) {
+        fs.rmSync(lockFile, { force: true });
+        continue;
+      }
+    } catch {
+      continue; // Released since the open attempt
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`State file is locked by another process: ${lockFile} (delete it if no other run is active)`);
+    }
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, LOCK_RETRY_MS);
+  }
+
+  try {
+    return update();
+  } finally {
+    fs.rmSync(lockFile, { force: true });
+  }
+}
+
+/**
+ * Create a new run record in stage 'started'
+ *
+ * @param {string} filePath - Local path to the source video (null: source already in S3)
+ * @param {Object} options - Job options the run was started with
+ * @param {Object} fields - Extra fields {origin, inputUri, stage, ...} (default: a CLI run)
+ * @returns {Object} The new run record
+ */
+export function createRun(filePath, options = {}, fields = {}) {
+  return withStateLock(() => {
+    const state = readState();
+    const now = new Date().toISOString();
+    const run = {
+      id: crypto.randomUUID(),
+      origin: 'cli',
+      filePath: filePath ? path.resolve(filePath) : null,
+      options,
+      stage: 'started',
+      initialFileSize: null,
+      inputUri: null,
+      jobId: null,
+      outputUri: null,
+      outputUris: null,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+      ...fields,
+    };
+    state.runs[run.id] = run;
+    writeState(state);
+    return run;
+  });
+}
+
+/**
+ * Update a run record
+ *
+ * @param {string} id - Run ID
+ * @param {Object} changes - Fields to merge into the run (e.g. {stage: 'uploaded', inputUri})
+ * @returns {Object} The updated run record
+ * @throws {Error} If the run doesn't exist
+ */
+export function updateRun(id, changes) {
+  return withStateLock(() => {
+    const state = readState();
+    if (!state.runs[id]) {
+      throw new Error(`Run not found: ${id}`);
+    }
+    state.runs[id] = { ...state.runs[id], ...changes, updatedAt: new Date().toISOString() };
+    writeState(state);
+    return state.runs[id];
+  });
+}
+
+/**
+ * Get a run record
+ * @param {string} id - Run ID
+ * @returns {Object|null} The run record, or null if it doesn't exist
+ */
+export function getRun(id) {
+  return readState().runs[id] || null;
+}
+
+/**
+ * List all run records of an origin, oldest first
+ * @param {string} origin - 'cli', 'api' or 'watch' (runs recorded before origins existed are CLI runs)
+ * @returns {Array<Object>} Run records
+ */
+export function listRuns(origin = 'cli') {
+  return Object.values(readState().runs)
+    .filter(run => (run.origin || 'cli') === origin)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * List CLI runs that have not reached the final 'downloaded' stage
+ * @returns {Array<Object>} Interrupted or failed run records, oldest first
+ */
+export function listIncompleteRuns() {
+  return listRuns('cli').filter(run => run.stage !== 'downloaded');
+}
@@ -0,0 +1,56 @@
+/**
+ * Caption argument tests (captions.js parseCaptionArgument, validateCaptions)
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// config.js exits without these; the tests never call AWS
+process.env.AWS_ACCESS_KEY_ID ||= 'test';
+process.env.AWS_SECRET_ACCESS_KEY ||= 'test';
+process.env.S3_BUCKET ||= 'test-bucket';
+process.env.MEDIACONVERT_ROLE_ARN ||= 'arn:aws:iam::000000000000:role/test';
+
+const { parseCaptionArgument, validateCaptions } = await import('../captions.js');
+const { config } = await import('../config.js');
+
+test('parses file, language and mode', () => {
+  assert.deepEqual(parseCaptionArgument('subs.es.vtt:SPA:Burn'), { file: 'subs.es.vtt', language: 'spa', mode: 'burn' });
+  assert.deepEqual(parseCaptionArgument('subs.srt:fra'), { file: 'subs.srt', language: 'fra', mode: config.captions.defaultMode });
+  assert.deepEqual(parseCaptionArgument('subs.scc'), {
+    file: 'subs.scc',
+    language: config.captions.defaultLanguage,
+    mode: config.captions.defaultMode,
+  });
+});
+
+test('keeps the scheme of s3:// URIs', () => {
+  assert.deepEqual(parseCaptionArgument('s3://bucket/subs/en.vtt:eng:embed'), { file: 's3://bucket/subs/en.vtt', language: 'eng', mode: 'embed' });
+});
+
+test('rejects unsupported files, languages and modes', () => {
+  assert.throws(() => parseCaptionArgument('subs.txt'), /Unsupported caption file "subs.txt"/);
+  assert.throws(() => parseCaptionArgument('subs.srt:en'), /Invalid caption language "en"/);
+  assert.throws(() => parseCaptionArgument('subs.srt:eng:overlay'), /Invalid caption mode "overlay"/);
+});
+
+test('rejects a language given twice', () => {
+  const captions = [
+    { file: 'a.srt', language: 'eng', mode: 'sidecar' },
+    { file: 'b.vtt', language: 'eng', mode: 'embed' },
+  ];
+  assert.throws(() => validateCaptions(captions), /Caption language "eng" given more than once/);
+});
+
+test('allows one burned-in language and up to four embedded ones', () => {
+  const track = (language, mode) => ({ file: `${language}.srt`, language, mode });
+
+  assert.doesNotThrow(() => validateCaptions([track('eng', 'burn'), ...['spa', 'fra', 'deu', 'ita'].map(language => track(language, 'embed'))]));
+  assert.throws(() => validateCaptions([track('eng', 'burn'), track('spa', 'burn')]), /Only one caption language can be burned in/);
+  assert.throws(
+    () => validateCaptions(['eng', 'spa', 'fra', 'deu', 'ita'].map(language => track(language, 'embed'))),
+    /At most 4 caption languages can be embedded/,
+  );
+});
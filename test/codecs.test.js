@@ -0,0 +1,56 @@
+/**
+ * Codec settings tests (codecs.js codecBitrateFactor, vbrBitrates, buildVideoCodecSettings, withCodec)
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { codecBitrateFactor, vbrBitrates, buildVideoCodecSettings, withCodec, validateCodecSettings } from '../codecs.js';
+
+const h264 = { codec: 'h264', maxBitrate: 10000000, rateControl: 'QVBR', qualityTuningLevel: 'SINGLE_PASS_HQ' };
+
+test('bitrate factor is the output efficiency relative to the source', () => {
+  assert.equal(codecBitrateFactor('h264', 'h264'), 1);
+  assert.equal(codecBitrateFactor('h264', 'h265'), 0.6);
+  assert.equal(codecBitrateFactor('h264', 'av1'), 0.5);
+  assert.equal(codecBitrateFactor('hevc', 'h264'), 1 / 0.6);
+  assert.equal(codecBitrateFactor('mpeg2video', 'h265'), 0.3);
+  // Unknown source codecs count as H.264
+  assert.equal(codecBitrateFactor('prores', 'h265'), 0.6);
+});
+
+test('VBR peaks at 1.5x the average within the cap', () => {
+  assert.deepEqual(vbrBitrates(4000000, 10000000), { average: 4000000, peak: 6000000 });
+  // Near the cap the average drops so the peak still has room
+  assert.deepEqual(vbrBitrates(9000000, 10000000), { average: 6666667, peak: 10000000 });
+});
+
+test('rate control settings follow the profile', () => {
+  assert.equal(buildVideoCodecSettings(h264, 5000000).H264Settings.MaxBitrate, 5000000);
+  const vbr = buildVideoCodecSettings({ ...h264, rateControl: 'VBR' }, 5000000).H264Settings;
+  assert.deepEqual([vbr.RateControlMode, vbr.Bitrate, vbr.MaxBitrate], ['VBR', 5000000, 7500000]);
+  const cbr = buildVideoCodecSettings({ ...h264, rateControl: 'CBR' }, 5000000).H264Settings;
+  assert.deepEqual([cbr.RateControlMode, cbr.Bitrate, cbr.MaxBitrate], ['CBR', 5000000, undefined]);
+  assert.deepEqual(buildVideoCodecSettings({ ...h264, qvbrQualityLevel: 8 }, 5000000).H264Settings.QvbrSettings, { QvbrQualityLevel: 8 });
+});
+
+test('HEVC is tagged hvc1 in MP4 packaging only and uses Main10 for 10-bit', () => {
+  const h265 = withCodec(h264, 'h265');
+  assert.equal(buildVideoCodecSettings(h265, 5000000).H265Settings.WriteMp4PackagingType, 'HVC1');
+  assert.equal(buildVideoCodecSettings(h265, 5000000, { mp4Packaging: false }).H265Settings.WriteMp4PackagingType, undefined);
+  assert.equal(buildVideoCodecSettings(h265, 5000000).H265Settings.CodecProfile, 'MAIN_MAIN');
+  assert.equal(buildVideoCodecSettings({ ...h265, bitDepth: 10 }, 5000000).H265Settings.CodecProfile, 'MAIN10_MAIN');
+});
+
+test('switching codecs adjusts the quality tuning level', () => {
+  const av1 = withCodec(h264, 'av1');
+  assert.equal(av1.codec, 'av1');
+  assert.equal('qualityTuningLevel' in av1, false);
+  assert.deepEqual(validateCodecSettings(av1, 'mp4'), []);
+  assert.equal(withCodec({ ...av1, codec: 'av1' }, 'h265').qualityTuningLevel, 'SINGLE_PASS_HQ');
+  assert.deepEqual(buildVideoCodecSettings({ ...av1, bitDepth: 10 }, 5000000), {
+    Codec: 'AV1',
+    Av1Settings: { MaxBitrate: 5000000, RateControlMode: 'QVBR', BitDepth: 'BIT_10' },
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Reframing tests (framing.js resolveFraming, parseCropAnchor, buildFramingSettings)
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// config.js exits without these; the tests never call AWS
+process.env.AWS_ACCESS_KEY_ID ||= 'test';
+process.env.AWS_SECRET_ACCESS_KEY ||= 'test';
+process.env.S3_BUCKET ||= 'test-bucket';
+process.env.MEDIACONVERT_ROLE_ARN ||= 'arn:aws:iam::000000000000:role/test';
+
+const { resolveFraming, parseCropAnchor, buildFramingSettings, framingPicture, describeFraming } = await import('../framing.js');
+
+const landscape = { width: 1920, height: 1080 };
+const portrait = { width: 1080, height: 1920 };
+
+test('parses named and numeric crop anchors', () => {
+  assert.equal(parseCropAnchor('center'), 0.5);
+  assert.equal(parseCropAnchor(' Right '), 1);
+  assert.equal(parseCropAnchor('0.3'), 0.3);
+  assert.equal(parseCropAnchor(0), 0);
+  assert.throws(() => parseCropAnchor('middle'), /Invalid crop anchor "middle"/);
+  assert.throws(() => parseCropAnchor('1.2'), /Invalid crop anchor "1.2"/);
+  assert.throws(() => parseCropAnchor(''), /Invalid crop anchor ""/);
+});
+
+test('9:16 crop of a landscape source keeps the full height at the anchor', () => {
+  const plan = resolveFraming({ aspect: '9:16', mode: 'crop' }, landscape, 1920);
+  assert.deepEqual(plan.crop, { X: 656, Y: 0, Width: 606, Height: 1080 });
+  assert.deepEqual(plan.output, { width: 606, height: 1080 });
+  assert.equal(describeFraming(plan), '9:16 vertical, crop 606x1080 at 656,0 (anchor 0.5)');
+
+  assert.equal(resolveFraming({ aspect: '9:16', mode: 'crop', anchor: 'left' }, landscape, 1920).crop.X, 0);
+  assert.equal(resolveFraming({ aspect: '9:16', mode: 'crop', anchor: 'right' }, landscape, 1920).crop.X, 1314);
+});
+
+test('1:1 crop of a portrait source moves along the height', () => {
+  const crop = anchor => resolveFraming({ aspect: '1:1', mode: 'crop', anchor }, portrait, 1920).crop;
+  assert.deepEqual(crop('top'), { X: 0, Y: 0, Width: 1080, Height: 1080 });
+  assert.deepEqual(crop('bottom'), { X: 0, Y: 840, Width: 1080, Height: 1080 });
+  assert.equal(crop(0.3).Y, 252);
+});
+
+test('crop output is capped at the profile long edge', () => {
+  const plan = resolveFraming({ aspect: '1:1', mode: 'crop' }, { width: 3840, height: 2160 }, 1280);
+  assert.deepEqual(plan.crop, { X: 840, Y: 0, Width: 2160, Height: 2160 });
+  assert.deepEqual(plan.output, { width: 1280, height: 1280 });
+});
+
+test('pad fits the picture inside the frame with centred bars', () => {
+  const plan = resolveFraming({ aspect: '9:16', mode: 'pad' }, landscape, 1920);
+  assert.deepEqual(plan.output, { width: 1080, height: 1920 });
+  assert.deepEqual(plan.picture, { x: 0, y: 656, width: 1080, height: 606 });
+  assert.equal(plan.crop, null);
+
+  const blur = resolveFraming({ aspect: '1:1', mode: 'blur' }, portrait, 1080);
+  assert.deepEqual(blur.picture, { x: 236, y: 0, width: 606, height: 1080 });
+});
+
+test('pad never upscales a small source', () => {
+  const plan = resolveFraming({ aspect: '9:16', mode: 'pad' }, { width: 640, height: 360 }, 1920);
+  assert.deepEqual(plan.output, { width: 640, height: 1136 });
+  assert.deepEqual(plan.picture, { x: 0, y: 388, width: 640, height: 360 });
+});
+
+test('framing settings scale to smaller renditions', () => {
+  const pad = resolveFraming({ aspect: '9:16', mode: 'pad' }, landscape, 1920);
+  assert.deepEqual(buildFramingSettings(pad, { width: 540, height: 960 }), { Position: { X: 0, Y: 328, Width: 540, Height: 302 } });
+  assert.deepEqual(framingPicture(null, { width: 1280, height: 720 }), { x: 0, y: 0, width: 1280, height: 720 });
+  assert.deepEqual(buildFramingSettings(null, { width: 1280, height: 720 }), {});
+
+  const crop = resolveFraming({ aspect: '9:16', mode: 'crop' }, landscape, 1920);
+  assert.deepEqual(buildFramingSettings(crop, crop.output), { Crop: crop.crop });
+});
+
+test('rejects unknown aspect ratios and modes', () => {
+  assert.throws(() => resolveFraming({ aspect: '4:5', mode: 'crop' }, landscape, 1920), /Unknown aspect ratio "4:5"/);
+  assert.throws(() => resolveFraming({ aspect: '9:16', mode: 'stretch' }, landscape, 1920), /Unknown framing mode "stretch"/);
+});
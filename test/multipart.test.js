@@ -0,0 +1,117 @@
+/**
+ * Multipart parser tests (multipart.js parseMultipart)
+ *
+ * Bodies are fed as arrays of Buffer chunks, split at awkward places the way
+ * a socket may deliver them.
+ *
+ * Run with: npm test
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseMultipart } from '../multipart.js';
+
+const BOUNDARY = '----test-boundary-1234';
+
+let fileDir;
+
+beforeEach(() => {
+  fileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(fileDir, { recursive: true, force: true });
+});
+
+/**
+ * Build a multipart body
+ * @param {Array<Object>} parts - [{headers: 'Content-Disposition: ...', data: string|Buffer}]
+ * @returns {Buffer} Body with the closing boundary
+ */
+function buildBody(parts) {
+  return Buffer.concat([
+    ...parts.flatMap(part => [
+      Buffer.from(`--${BOUNDARY}\r\n${part.headers}\r\n\r\n`),
+      Buffer.from(part.data),
+      Buffer.from('\r\n'),
+    ]),
+    Buffer.from(`--${BOUNDARY}--\r\n`),
+  ]);
+}
+
+/**
+ * Split a buffer into chunks at the given offsets
+ * @param {Buffer} body - Whole body
+ * @param {Array<number>} offsets - Split positions, ascending
+ * @returns {Array<Buffer>} Chunks
+ */
+function splitAt(body, offsets) {
+  return [0, ...offsets].map((start, index) => body.subarray(start, offsets[index] ?? body.length));
+}
+
+const videoBytes = Buffer.from(Array.from({ length: 5000 }, (_, index) => index % 251));
+const formBody = buildBody([
+  { headers: 'Content-Disposition: form-data; name="options"', data: '{"profile":"web-1080"}' },
+  { headers: 'Content-Disposition: form-data; name="file"; filename="My Video.mp4"\r\nContent-Type: video/mp4', data: videoBytes },
+]);
+
+test('parses a field and a file part delivered in one chunk', async () => {
+  const form = await parseMultipart([formBody], BOUNDARY, fileDir);
+  assert.deepEqual(form.fields, { options: '{"profile":"web-1080"}' });
+  assert.equal(form.files.length, 1);
+  assert.equal(form.files[0].fileName, 'My Video.mp4');
+  assert.equal(form.files[0].contentType, 'video/mp4');
+  assert.equal(form.files[0].size, videoBytes.length);
+  assert.equal(path.basename(form.files[0].path), 'My_Video.mp4');
+  assert.deepEqual(fs.readFileSync(form.files[0].path), videoBytes);
+});
+
+test('finds a boundary split across chunks', async () => {
+  // Split in the middle of the delimiter that ends the file part
+  const delimiterStart = formBody.lastIndexOf(Buffer.from(`\r\n--${BOUNDARY}--`));
+  for (const offset of [1, 2, 5, BOUNDARY.length]) {
+    const chunks = splitAt(formBody, [10, delimiterStart - 3, delimiterStart + offset]);
+    const form = await parseMultipart(chunks, BOUNDARY, fileDir);
+    assert.deepEqual(fs.readFileSync(form.files[0].path), videoBytes, `split ${offset} bytes into the delimiter`);
+  }
+});
+
+test('parses a body delivered one byte at a time', async () => {
+  const chunks = splitAt(formBody, Array.from({ length: formBody.length - 1 }, (_, index) => index + 1));
+  const form = await parseMultipart(chunks, BOUNDARY, fileDir);
+  assert.equal(form.fields.options, '{"profile":"web-1080"}');
+  assert.deepEqual(fs.readFileSync(form.files[0].path), videoBytes);
+});
+
+test('rejects a truncated body and removes the partial file', async () => {
+  const truncated = formBody.subarray(0, formBody.length - 200);
+  await assert.rejects(parseMultipart(splitAt(truncated, [300]), BOUNDARY, fileDir), /ended before the closing boundary/);
+  assert.deepEqual(fs.readdirSync(fileDir), []);
+});
+
+test('rejects a part without a form-data name', async () => {
+  const body = buildBody([{ headers: 'Content-Disposition: form-data; filename="video.mp4"', data: 'abc' }]);
+  await assert.rejects(parseMultipart([body], BOUNDARY, fileDir), /without a form-data name/);
+});
+
+test('rejects oversized part headers', async () => {
+  const body = buildBody([{ headers: `Content-Disposition: form-data; name="file"\r\nX-Padding: ${'a'.repeat(20000)}`, data: 'abc' }]);
+  await assert.rejects(parseMultipart(splitAt(body, [8000, 16000]), BOUNDARY, fileDir), /part headers too large/);
+});
+
+test('rejects a body larger than maxBytes with BODY_TOO_LARGE', async () => {
+  await assert.rejects(
+    parseMultipart(splitAt(formBody, [1000, 3000]), BOUNDARY, fileDir, { maxBytes: 2000 }),
+    error => error.code === 'BODY_TOO_LARGE',
+  );
+  assert.deepEqual(fs.readdirSync(fileDir), []);
+});
+
+test('rejects when a file part can\'t be written', async () => {
+  // A directory where the file should go: the write stream fails with EISDIR
+  fs.mkdirSync(path.join(fileDir, 'My_Video.mp4'));
+  await assert.rejects(parseMultipart(splitAt(formBody, [500, 2000]), BOUNDARY, fileDir), error => error.code === 'EISDIR');
+});
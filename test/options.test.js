@@ -0,0 +1,76 @@
+/**
+ * Job option validation tests (options.js validateJobOptions)
+ *
+ * Profiles come from the repo's profiles.json; archive-hq has no watermark,
+ * so most cases don't depend on the watermark image.
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+
+// config.js exits without these; the tests never call AWS
+process.env.AWS_ACCESS_KEY_ID ||= 'test';
+process.env.AWS_SECRET_ACCESS_KEY ||= 'test';
+process.env.S3_BUCKET ||= 'test-bucket';
+process.env.MEDIACONVERT_ROLE_ARN ||= 'arn:aws:iam::000000000000:role/test';
+
+const { validateJobOptions } = await import('../options.js');
+
+/**
+ * Validate options on top of the archive-hq profile with the default watermark layout
+ * @param {Object} options - Job options
+ * @returns {Object} Resolved profile
+ */
+function validate(options) {
+  return validateJobOptions({ profile: 'archive-hq', watermarkLayout: 'two-corners', ...options });
+}
+
+test('returns the resolved profile for valid options', () => {
+  assert.equal(validateJobOptions({ profile: 'web-1080', watermark: fileURLToPath(new URL('../watermark.png', import.meta.url)) }).name, 'web-1080');
+  assert.equal(validate({ hdr: 'tonemap', aspect: '9:16', framingMode: 'blur', cropAnchor: 'left', thumbnailInterval: 5, poster: '00:00:03' }).name, 'archive-hq');
+  assert.throws(() => validate({ profile: 'web-8k' }), /Unknown profile "web-8k"/);
+});
+
+test('checks the codec against the profile container and HLS', () => {
+  assert.throws(() => validate({ codec: 'av1' }), /Codec av1 with profile archive-hq: AV1 can't be written to mov/);
+  assert.throws(() => validateJobOptions({ profile: 'web-av1', hls: true }), /AV1 can't be packaged as HLS/);
+  assert.equal(validate({ codec: 'h265', hls: true }).name, 'archive-hq');
+});
+
+test('rejects unknown HDR modes, aspect ratios and framing modes', () => {
+  assert.throws(() => validate({ hdr: 'hdr10' }), /Unknown HDR mode "hdr10"/);
+  assert.throws(() => validate({ aspect: '4:3' }), /Unknown aspect ratio "4:3"/);
+  assert.throws(() => validate({ aspect: '1:1', framingMode: 'zoom' }), /Unknown framing mode "zoom"/);
+  assert.throws(() => validate({ aspect: '1:1', cropAnchor: 'middle' }), /Invalid crop anchor "middle"/);
+});
+
+test('framing options need an aspect ratio', () => {
+  assert.throws(() => validate({ framingMode: 'pad' }), /need an aspect ratio/);
+  assert.equal(validate({ aspect: 'source' }).name, 'archive-hq');
+});
+
+test('checks the watermark image, layout and anchors', () => {
+  assert.throws(() => validateJobOptions({ profile: 'web-1080', watermark: '/nonexistent/logo.png' }), /Watermark file not found/);
+  assert.throws(() => validate({ watermarkLayout: 'diagonal' }), /Unknown watermark layout "diagonal"/);
+  assert.throws(() => validate({ watermarkLayout: 'custom', watermarkAnchors: '' }), /requires anchor points/);
+  assert.throws(() => validate({ watermarkLayout: 'custom', watermarkAnchors: '2,0' }), /Invalid watermark anchor "2,0"/);
+});
+
+test('rejects invalid thumbnail intervals and poster times', () => {
+  assert.throws(() => validate({ thumbnailInterval: 0 }), /Invalid thumbnail interval "0"/);
+  assert.throws(() => validate({ thumbnailInterval: 2.5 }), /Invalid thumbnail interval "2.5"/);
+  assert.throws(() => validate({ poster: 'soon' }), /Invalid time "soon"/);
+});
+
+test('local caption files must exist, S3 ones are checked by MediaConvert', () => {
+  assert.throws(() => validate({ captions: [{ file: '/nonexistent/subs.srt', language: 'eng', mode: 'sidecar' }] }), /Caption file not found: \/nonexistent\/subs.srt/);
+  assert.equal(validate({ captions: [{ file: 's3://bucket/subs.srt', language: 'eng', mode: 'sidecar' }] }).name, 'archive-hq');
+});
+
+test('recipient watermarks only with the MP4 output', () => {
+  assert.throws(() => validate({ recipients: ['jane@example.com'], cmaf: true }), /Recipient watermarks can only be combined with the MP4 output/);
+  assert.equal(validate({ recipients: ['jane@example.com'] }).name, 'archive-hq');
+});
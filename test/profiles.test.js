@@ -0,0 +1,69 @@
+/**
+ * Encoding profile tests (profiles.js validateProfiles, getProfile)
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// config.js exits without these; the tests never call AWS
+process.env.AWS_ACCESS_KEY_ID ||= 'test';
+process.env.AWS_SECRET_ACCESS_KEY ||= 'test';
+process.env.S3_BUCKET ||= 'test-bucket';
+process.env.MEDIACONVERT_ROLE_ARN ||= 'arn:aws:iam::000000000000:role/test';
+
+const { validateProfiles, getProfile, PROFILE_NAMES } = await import('../profiles.js');
+
+/**
+ * A valid profile, with overrides merged into its sections
+ * @param {Object} overrides - {video, audio, ...} fields to replace
+ * @returns {Object} Profile
+ */
+function profile(overrides = {}) {
+  return {
+    description: 'Test profile',
+    container: 'mp4',
+    watermark: true,
+    ...overrides,
+    video: { codec: 'h264', maxLongEdge: 1920, maxBitrate: 10000000, rateControl: 'QVBR', qualityTuningLevel: 'SINGLE_PASS_HQ', ...overrides.video },
+    audio: { codec: 'aac', bitrate: 128000, sampleRate: 48000, ...overrides.audio },
+  };
+}
+
+test('the shipped profiles are valid', () => {
+  assert.ok(PROFILE_NAMES.includes('web-1080'));
+  assert.equal(getProfile('web-1080').name, 'web-1080');
+  assert.throws(() => getProfile('web-8k'), /Unknown profile "web-8k"/);
+});
+
+test('accepts a complete profile with optional framing', () => {
+  assert.deepEqual(validateProfiles({ web: profile() }), []);
+  assert.deepEqual(validateProfiles({ 'social-1': profile({ framing: { aspect: '9:16', mode: 'crop', anchor: 'center' } }) }), []);
+});
+
+test('reports missing, mistyped and out-of-range fields with their path', () => {
+  const { watermark, ...withoutWatermark } = profile();
+  assert.deepEqual(validateProfiles({ web: withoutWatermark }), ['web.watermark is required']);
+  assert.deepEqual(validateProfiles({ web: profile({ video: { maxBitrate: '10M' } }) }), ['web.video.maxBitrate must be an integer']);
+  assert.deepEqual(validateProfiles({ web: profile({ video: { maxLongEdge: 8192 } }) }), ['web.video.maxLongEdge must be between 128 and 4096 (got 8192)']);
+  assert.deepEqual(validateProfiles({ web: profile({ audio: { sampleRate: 22050 } }) }), ['web.audio.sampleRate must be one of 44100, 48000 (got 22050)']);
+  assert.deepEqual(validateProfiles({ web: profile({ container: 'mkv' }) }), ['web.container must be one of mp4, mov (got "mkv")']);
+});
+
+test('rejects unknown settings and invalid profile names', () => {
+  assert.match(validateProfiles({ web: profile({ video: { preset: 'fast' } }) })[0], /^web\.video\.preset is not a known setting/);
+  assert.match(validateProfiles({ Web_HD: profile() })[0], /"Web_HD" is not a valid profile name/);
+});
+
+test('checks codec rules once the schema passes', () => {
+  const av1 = { codec: 'av1', rateControl: 'CBR', qualityTuningLevel: undefined };
+  assert.deepEqual(validateProfiles({ web: profile({ video: av1 }) }), ['web.video: AV1 supports rate control QVBR (got CBR)']);
+  assert.deepEqual(validateProfiles({ web: profile({ video: { ...av1, rateControl: 'QVBR' }, container: 'mov' }) }), ['web.video: AV1 can\'t be written to mov (use mp4)']);
+  assert.deepEqual(validateProfiles({ web: profile({ video: { codec: 'h265', qualityTuningLevel: undefined } }) }), ['web.video: H.265/HEVC needs a qualityTuningLevel']);
+});
+
+test('rejects files that are not an object of profiles', () => {
+  assert.deepEqual(validateProfiles([]), ['the file must contain an object of named profiles']);
+  assert.deepEqual(validateProfiles({}), ['the file defines no profiles']);
+});
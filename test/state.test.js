@@ -0,0 +1,95 @@
+/**
+ * State file lock tests (state.js createRun/updateRun)
+ *
+ * Every test works on a state file in a temp directory; concurrent writers are
+ * separate Node processes sharing that file.
+ *
+ * Run with: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// config.js exits without these; the tests never call AWS
+process.env.AWS_ACCESS_KEY_ID ||= 'test';
+process.env.AWS_SECRET_ACCESS_KEY ||= 'test';
+process.env.S3_BUCKET ||= 'test-bucket';
+process.env.MEDIACONVERT_ROLE_ARN ||= 'arn:aws:iam::000000000000:role/test';
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-test-'));
+const stateFile = path.join(stateDir, 'state.json');
+const lockFile = `${stateFile}.lock`;
+process.env.STATE_FILE = stateFile;
+
+const { createRun, updateRun, getRun, listRuns } = await import('../state.js');
+
+before(() => {
+  fs.rmSync(stateFile, { force: true });
+});
+
+after(() => {
+  fs.rmSync(stateDir, { recursive: true, force: true });
+});
+
+/**
+ * Run a script in a child Node process that shares the state file
+ * @param {string} script - ES module source
+ * @returns {Promise<void>} Resolves when the process exits with code 0
+ */
+function runChild(script) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['--input-type=module', '-e', script], { env: process.env, stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`Child exited with ${code}: ${stderr}`))));
+  });
+}
+
+test('concurrent processes never drop each other\'s runs', async () => {
+  const stateModule = JSON.stringify(new URL('../state.js', import.meta.url).href);
+  const writers = Array.from({ length: 3 }, (_, writer) => runChild(`
+    const { createRun, updateRun } = await import(${stateModule});
+    for (let index = 0; index < 20; index++) {
+      const run = createRun('writer${writer}-' + index + '.mp4');
+      updateRun(run.id, { stage: 'uploaded' });
+    }
+  `));
+  await Promise.all(writers);
+
+  const runs = listRuns('cli');
+  assert.equal(runs.length, 60);
+  assert.ok(runs.every(run => run.stage === 'uploaded'));
+  assert.equal(fs.existsSync(lockFile), false);
+});
+
+test('a lock left behind by a crashed process is taken over once stale', () => {
+  fs.writeFileSync(lockFile, '');
+  const staleTime = new Date(Date.now() - 60000);
+  fs.utimesSync(lockFile, staleTime, staleTime);
+
+  const run = createRun('stale.mp4');
+  assert.equal(getRun(run.id).stage, 'started');
+  assert.equal(fs.existsSync(lockFile), false);
+});
+
+test('waits for a held lock to be released', async () => {
+  const run = createRun('waiting.mp4');
+  fs.writeFileSync(lockFile, '');
+  // Another process releases the lock; updateRun blocks until then
+  const release = runChild(`
+    import fs from 'fs';
+    setTimeout(() => fs.rmSync(${JSON.stringify(lockFile)}), 300);
+  `);
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  const started = Date.now();
+  updateRun(run.id, { stage: 'submitted' });
+  assert.ok(Date.now() - started >= 50, 'updateRun should have waited for the lock');
+  assert.equal(getRun(run.id).stage, 'submitted');
+  await release;
+});
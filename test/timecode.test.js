@@ -0,0 +1,35 @@
+/**
+ * Clipping timecode tests (mediaconvert.js toClippingTimecode)
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// config.js exits without these; the tests never call AWS
+process.env.AWS_ACCESS_KEY_ID ||= 'test';
+process.env.AWS_SECRET_ACCESS_KEY ||= 'test';
+process.env.S3_BUCKET ||= 'test-bucket';
+process.env.MEDIACONVERT_ROLE_ARN ||= 'arn:aws:iam::000000000000:role/test';
+
+const { toClippingTimecode } = await import('../mediaconvert.js');
+
+test('25 fps: whole and fractional seconds', () => {
+  assert.equal(toClippingTimecode(0, 25), '00:00:00:00');
+  assert.equal(toClippingTimecode(75.4, 25), '00:01:15:10');
+  assert.equal(toClippingTimecode(3661.96, 25), '01:01:01:24');
+});
+
+test('29.97 fps: frame number counted in 30-frame timecode seconds', () => {
+  // 60 s = 1798.2 frames → frame 1798 = 59 × 30 + 28
+  assert.equal(toClippingTimecode(60, 30000 / 1001), '00:00:59:28');
+  // 10 min = 17982 frames = 599 × 30 + 12
+  assert.equal(toClippingTimecode(600, 30000 / 1001), '00:09:59:12');
+  assert.equal(toClippingTimecode(1001 / 30000, 30000 / 1001), '00:00:00:01');
+});
+
+test('rounds to the nearest frame, carrying into the next second', () => {
+  assert.equal(toClippingTimecode(9.99, 25), '00:00:10:00');
+  assert.equal(toClippingTimecode(9.97, 25), '00:00:09:24');
+});
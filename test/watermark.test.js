@@ -0,0 +1,169 @@
+/**
+ * Watermark tests (watermark.js): layout positions and sequences, PNG validation
+ *
+ * PNGs are built by hand: validateWatermarkImage only reads the header and the
+ * chunk list, so the chunks carry no real image data or CRCs.
+ *
+ * Run with: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// config.js exits without these; the tests never call AWS
+process.env.AWS_ACCESS_KEY_ID ||= 'test';
+process.env.AWS_SECRET_ACCESS_KEY ||= 'test';
+process.env.S3_BUCKET ||= 'test-bucket';
+process.env.MEDIACONVERT_ROLE_ARN ||= 'arn:aws:iam::000000000000:role/test';
+
+const {
+  generateWatermarkSequence, generateStaticWatermarks, parseWatermarkAnchors, getWatermarkLayout, validateWatermarkImage,
+} = await import('../watermark.js');
+
+// 1920x1080 frame, 100px watermark, 50px from the edges: positions range over 50-1770 x 50-930
+const frame = { videoWidth: 1920, videoHeight: 1080, watermarkSize: 100, offset: 50, opacity: 50, watermarkUri: 's3://bucket/wm.png' };
+
+/**
+ * Positions of static watermarks as [x, y] pairs
+ * @param {Object} options - generateStaticWatermarks options
+ * @returns {Array<Array<number>>} [[x, y], ...]
+ */
+function staticPositions(options) {
+  return generateStaticWatermarks({ ...frame, ...options }).map(watermark => [watermark.ImageX, watermark.ImageY]);
+}
+
+test('corner and center layouts stay inside the offset box', () => {
+  assert.deepEqual(staticPositions({ layout: 'two-corners' }), [[50, 50], [1770, 930]]);
+  assert.deepEqual(staticPositions({ layout: 'four-corners' }), [[50, 50], [1770, 50], [1770, 930], [50, 930]]);
+  assert.deepEqual(staticPositions({ layout: 'center' }), [[910, 490]]);
+});
+
+test('custom anchors are fractions of the offset box', () => {
+  assert.deepEqual(parseWatermarkAnchors('0.5,0;0.5,1'), [{ x: 0.5, y: 0 }, { x: 0.5, y: 1 }]);
+  assert.deepEqual(staticPositions({ layout: 'custom', anchors: parseWatermarkAnchors('0.5,0;0.5,1') }), [[910, 50], [910, 930]]);
+  assert.throws(() => staticPositions({ layout: 'custom', anchors: [] }), /requires anchor points/);
+  assert.throws(() => parseWatermarkAnchors('0.5,1.5'), /Invalid watermark anchor "0.5,1.5"/);
+  assert.throws(() => parseWatermarkAnchors('0.5'), /Invalid watermark anchor "0.5"/);
+});
+
+test('random positions are repeatable per seed and stay inside the box', () => {
+  const first = staticPositions({ layout: 'random', seed: 42 });
+  assert.equal(first.length, 4);
+  assert.deepEqual(staticPositions({ layout: 'random', seed: 42 }), first);
+  assert.notDeepEqual(staticPositions({ layout: 'random', seed: 43 }), first);
+  first.forEach(([x, y]) => assert.ok(x >= 50 && x <= 1770 && y >= 50 && y <= 930, `${x},${y} outside the box`));
+});
+
+test('tile fills the frame with at most 20 images', () => {
+  const tiles = staticPositions({ layout: 'tile' });
+  assert.ok(tiles.length > 1 && tiles.length <= 20, `${tiles.length} tiles`);
+  tiles.forEach(([x, y]) => assert.ok(x + 100 <= 1920 && y + 100 <= 1080, `${x},${y} outside the frame`));
+
+  // A small watermark on a 4K frame needs wider spacing to stay under the limit
+  assert.ok(generateStaticWatermarks({ ...frame, videoWidth: 3840, videoHeight: 2160, watermarkSize: 80, layout: 'tile' }).length <= 20);
+});
+
+test('positions are never negative when the watermark is larger than the box', () => {
+  assert.deepEqual(staticPositions({ layout: 'four-corners', videoWidth: 120, videoHeight: 120 }), [[50, 50], [0, 50], [0, 0], [50, 0]]);
+});
+
+test('the sequence cycles through the positions and shortens the last slot', () => {
+  const watermarks = generateWatermarkSequence({ ...frame, layout: 'two-corners', videoDurationMs: 12000, durationMs: 5000 });
+  assert.deepEqual(watermarks.map(watermark => [watermark.ImageX, watermark.StartTime, watermark.Duration]), [
+    [50, '00:00:00:00', 5000],
+    [1770, '00:00:05:00', 5000],
+    [50, '00:00:10:00', 2000],
+  ]);
+  assert.deepEqual(watermarks.map(watermark => watermark.Layer), [0, 1, 2]);
+});
+
+test('the sequence is shifted into the main content window', () => {
+  const watermarks = generateWatermarkSequence({ ...frame, layout: 'center', videoDurationMs: 8000, durationMs: 5000, window: { startMs: 4000, durationMs: 8000 } });
+  assert.deepEqual(watermarks.map(watermark => watermark.StartTime), ['00:00:04:00', '00:00:09:00']);
+  assert.deepEqual(
+    generateStaticWatermarks({ ...frame, layout: 'center', window: { startMs: 4000, durationMs: 8000 } }).map(({ StartTime, Duration }) => [StartTime, Duration]),
+    [['00:00:04:00', 8000]],
+  );
+});
+
+test('simultaneous layouts are static even as a sequence', () => {
+  assert.equal(getWatermarkLayout('tile').simultaneous, true);
+  const sequence = generateWatermarkSequence({ ...frame, layout: 'tile', videoDurationMs: 60000 });
+  assert.deepEqual(sequence, generateStaticWatermarks({ ...frame, layout: 'tile' }));
+  assert.throws(() => getWatermarkLayout('diagonal'), /Unknown watermark layout "diagonal"/);
+});
+
+let pngDir;
+
+before(() => {
+  pngDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watermark-test-'));
+});
+
+after(() => {
+  fs.rmSync(pngDir, { recursive: true, force: true });
+});
+
+/**
+ * Build a PNG chunk (CRC left as zeros)
+ * @param {string} type - Chunk type, e.g. 'IHDR'
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} length + type + data + CRC
+ */
+function pngChunk(type, data = Buffer.alloc(0)) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+}
+
+/**
+ * Write a PNG with the given header to the temp directory
+ * @param {string} name - File name
+ * @param {Object} options - {width, height, colorType (6: RGBA, 2: RGB), extraChunks: ['tRNS', ...]}
+ * @returns {string} File path
+ */
+function writePng(name, { width = 256, height = 256, colorType = 6, extraChunks = [] } = {}) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = colorType;
+  const filePath = path.join(pngDir, name);
+  fs.writeFileSync(filePath, Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    ...extraChunks.map(type => pngChunk(type, Buffer.alloc(6))),
+    pngChunk('IDAT', Buffer.alloc(10)),
+    pngChunk('IEND'),
+  ]));
+  return filePath;
+}
+
+test('accepts an RGBA PNG and an RGB PNG with a tRNS chunk', () => {
+  const rgba = writePng('rgba.png', { width: 300, height: 256 });
+  assert.deepEqual(validateWatermarkImage(rgba), { width: 300, height: 256, size: fs.statSync(rgba).size });
+  assert.equal(validateWatermarkImage(writePng('rgb-trns.png', { colorType: 2, extraChunks: ['PLTE', 'tRNS'] })).width, 256);
+});
+
+test('rejects files that are missing or not PNGs', () => {
+  assert.throws(() => validateWatermarkImage(path.join(pngDir, 'missing.png')), /Watermark file not found/);
+  const jpeg = path.join(pngDir, 'logo.png');
+  fs.writeFileSync(jpeg, Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(60)]));
+  assert.throws(() => validateWatermarkImage(jpeg), /is not a PNG image/);
+});
+
+test('rejects a PNG without transparency', () => {
+  assert.throws(() => validateWatermarkImage(writePng('rgb.png', { colorType: 2 })), /has no alpha channel/);
+  // tRNS only counts before the image data
+  const late = writePng('late-trns.png', { colorType: 2 });
+  fs.appendFileSync(late, pngChunk('tRNS', Buffer.alloc(6)));
+  assert.throws(() => validateWatermarkImage(late), /has no alpha channel/);
+});
+
+test('rejects images that are too small, too large or not square enough', () => {
+  assert.throws(() => validateWatermarkImage(writePng('tiny.png', { width: 32, height: 32 })), /is 32x32px \(allowed: 64-2048px per side\)/);
+  assert.throws(() => validateWatermarkImage(writePng('huge.png', { width: 4096, height: 4096 })), /is 4096x4096px/);
+  assert.throws(() => validateWatermarkImage(writePng('wide.png', { width: 512, height: 256 })), /aspect ratio must be at most 1.25:1/);
+});
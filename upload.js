@@ -3,12 +3,19 @@
  * 
  * This module handles all S3 file operations including:
  * - Uploading videos to S3 with progress tracking
+ * - Skipping uploads when an identical object is already in S3
+ * - Sharing one upload between concurrent runs of the same file (e.g. clip ranges)
  * - Downloading processed videos from S3
+ * - Downloading whole output trees (HLS/CMAF segments) from S3
+ * - Presigned multipart upload URLs for browsers (direct to the input folder)
+ * - Presigned download links for outputs
+ * - Listing and moving objects in a folder (watch mode)
  * - Video metadata extraction using FFprobe
  * - Waiting for files to appear in S3 (MediaConvert timing issue)
  * 
  * Key Features:
  * - Multipart upload support for large files
+ * - Content-addressed input keys (SHA-256) so same-named files never collide
  * - Real-time progress tracking
  * - Automatic retry mechanism for S3 file availability
  * - Video bitrate extraction using FFprobe
@@ -16,14 +23,26 @@
  * Dependencies:
  * - @aws-sdk/client-s3: S3 client and commands
  * - @aws-sdk/lib-storage: Multipart upload support
+ * - @aws-sdk/s3-request-presigner: Presigned upload/download URLs
+ * - multipart.js: File name sanitizing for direct upload keys
+ * - logger.js: Upload/download progress (human or JSON)
  * - fluent-ffmpeg: Video metadata extraction via FFprobe
  */
 
-import { S3Client, GetObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3';
+import {
+  S3Client, GetObjectCommand, HeadObjectCommand, ListObjectsV2Command,
+  CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand,
+  CopyObjectCommand, UploadPartCopyCommand, DeleteObjectCommand,
+} from '@aws-sdk/client-s3';
 import { Upload } from '@aws-sdk/lib-storage';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import { config } from './config.js';
+import { sanitizeFileName } from './multipart.js';
+import { logger } from './logger.js';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
 import ffmpeg from 'fluent-ffmpeg';
 
 /**
@@ -80,6 +99,49 @@ async function getVideoBitrate(videoPath) {
   });
 }
 
+/**
+ * Calculate the SHA-256 hash of a file
+ * 
+ * Streams the file so large videos are never loaded into memory.
+ * 
+ * @param {string} filePath - Local path to the file
+ * @returns {Promise<string>} Hex-encoded SHA-256 digest
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * Check whether an identical object already exists in S3
+ * 
+ * Compares the sha256 metadata written by uploadToS3 and the object size
+ * using a HEAD request (no object data is downloaded).
+ * 
+ * @param {string} key - S3 object key
+ * @param {string} sha256 - Expected SHA-256 of the content
+ * @param {number} size - Expected size in bytes
+ * @returns {Promise<boolean>} True if the object exists with the same hash and size
+ */
+async function isIdenticalObject(key, sha256, size) {
+  try {
+    const head = await s3Client.send(new HeadObjectCommand({ Bucket: config.s3.bucket, Key: key }));
+    return head.Metadata?.sha256 === sha256 && head.ContentLength === size;
+  } catch (error) {
+    if (error.name === 'NotFound' || error.name === 'NoSuchKey') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Uploads in progress by absolute file path, so runs of the same file that
+ * start at the same time (one per clip range) wait for a single upload
+ */
+const uploadsInFlight = new Map();
+
 /**
  * Upload a video file to S3
  * 
@@ -87,11 +149,18 @@ async function getVideoBitrate(videoPath) {
  * Automatically determines the content type based on file extension.
  * Shows real-time upload progress in the terminal.
  * 
- * S3 Path Structure: s3://{bucket}/{inputFolder}/{filename}
- * Example: s3://my-bucket/input/video.mp4
+ * Keys are content-addressed: the first 16 hex characters of the file's SHA-256
+ * become a folder, so two different 'clip.mp4' files never overwrite each other
+ * while the file name (used by MediaConvert to name outputs) is preserved.
+ * If an object with the same hash and size is already at that key, the upload
+ * is skipped. A second call for a file that is still uploading gets the same
+ * upload instead of starting another one.
+ * 
+ * S3 Path Structure: s3://{bucket}/{inputFolder}/{sha256[0:16]}/{filename}
+ * Example: s3://my-bucket/input/9f86d081884c7d65/video.mp4
  * 
  * @param {string} filePath - Local path to the video file
- * @returns {Promise<string>} S3 URI of the uploaded file (e.g., 's3://bucket/input/file.mp4')
+ * @returns {Promise<string>} S3 URI of the uploaded file (e.g., 's3://bucket/input/9f86d081884c7d65/file.mp4')
  * @throws {Error} If file doesn't exist or upload fails
  * 
  * Progress Events:
@@ -99,27 +168,52 @@ async function getVideoBitrate(videoPath) {
  * - Logs video bitrate before upload
  * - Final S3 URI is returned upon completion
  */
-export async function uploadToS3(filePath) {
+export function uploadToS3(filePath) {
+  const key = path.resolve(filePath);
+  if (!uploadsInFlight.has(key)) {
+    uploadsInFlight.set(key, uploadVideo(filePath).finally(() => uploadsInFlight.delete(key)));
+  }
+  return uploadsInFlight.get(key);
+}
+
+/**
+ * Upload a video file to S3 (see uploadToS3)
+ * 
+ * @param {string} filePath - Local path to the video file
+ * @returns {Promise<string>} S3 URI of the uploaded file
+ * @throws {Error} If file doesn't exist or upload fails
+ */
+async function uploadVideo(filePath) {
   try {
     // Validate file exists
     if (!fs.existsSync(filePath)) {
       throw new Error(`File not found: ${filePath}`);
     }
 
-    // Extract filename and construct S3 key
+    // Hash the content and construct a collision-safe S3 key
     const fileName = path.basename(filePath);
-    const s3Key = `${config.s3.inputFolder}/${fileName}`;
+    const fileSize = fs.statSync(filePath).size;
+    const sha256 = await hashFile(filePath);
+    const s3Key = `${config.s3.inputFolder}/${sha256.slice(0, 16)}/${fileName}`;
+    const s3Uri = `s3://${config.s3.bucket}/${s3Key}`;
+
+    // Skip the upload when the exact same content is already in S3
+    if (await isIdenticalObject(s3Key, sha256, fileSize)) {
+      logger.event('upload.complete', { file: filePath, uri: s3Uri, skipped: true },
+        `⏭️  Identical file already in S3, skipping upload: ${s3Uri}`);
+      return s3Uri;
+    }
 
     // Attempt to log video bitrate (graceful failure if FFprobe unavailable)
     try {
       const bitrate = await getVideoBitrate(filePath);
       // Convert bits per second to Mbps for display
-      console.log(`📊 Original video bitrate: ${(bitrate / 1000000).toFixed(2)} Mbps`);
-      console.log(`Uploading ${fileName} to S3...`);
+      logger.info(`📊 Original video bitrate: ${(bitrate / 1000000).toFixed(2)} Mbps`);
+      logger.info(`Uploading ${fileName} to S3...`);
     } catch (error) {
       // Continue with upload even if bitrate extraction fails
-      console.log(`Uploading ${fileName} to S3...`);
-      console.warn(`Could not read video bitrate: ${error.message}`);
+      logger.info(`Uploading ${fileName} to S3...`);
+      logger.warn(`Could not read video bitrate: ${error.message}`);
     }
 
     // Create multipart upload instance
@@ -132,6 +226,8 @@ export async function uploadToS3(filePath) {
         // Stream the file to avoid loading entire file into memory
         Body: fs.createReadStream(filePath),
         ContentType: getContentType(filePath),
+        // Stored so later uploads can detect identical content with a HEAD request
+        Metadata: { sha256 },
       },
     });
 
@@ -139,24 +235,292 @@ export async function uploadToS3(filePath) {
     upload.on('httpUploadProgress', (progress) => {
       const percentage = Math.round((progress.loaded / progress.total) * 100);
       // Overwrite the same line for progress updates
-      process.stdout.write(`\rUpload progress: ${percentage}%`);
+      logger.progress('upload.progress', { file: filePath, loaded: progress.loaded, total: progress.total, percent: percentage },
+        `Upload progress: ${percentage}%`);
     });
 
     // Wait for upload to complete
-    const result = await upload.done();
+    await upload.done();
     
-    // Construct full S3 URI for MediaConvert job
-    const s3Uri = `s3://${config.s3.bucket}/${s3Key}`;
-    
-    console.log(`\nUpload complete: ${s3Uri}`);
+    logger.event('upload.complete', { file: filePath, uri: s3Uri, skipped: false }, `\nUpload complete: ${s3Uri}`);
     return s3Uri;
 
   } catch (error) {
-    console.error('Error uploading to S3:', error.message);
+    logger.error('Error uploading to S3:', error.message);
     throw error;
   }
 }
 
+/**
+ * Upload an asset (e.g. a watermark image or caption file) under a content-versioned key
+ *
+ * Asset keys are versioned by content like input keys, so a changed file gets
+ * a new key and jobs that are already queued keep using the version they were
+ * created with. An identical asset that is already in S3 is not uploaded again,
+ * which also provisions a missing default asset on first use.
+ *
+ * S3 Path Structure: s3://{bucket}/{folder}/{sha256[0:16]}/{filename}
+ * Example: s3://my-bucket/assets/2c26b46b68ffc68f/watermark.png
+ *
+ * @param {string} filePath - Local path to the asset
+ * @param {string} contentType - MIME type of the asset (e.g. 'image/png')
+ * @param {string} folder - S3 folder (default: config.s3.assetsFolder)
+ * @returns {Promise<string>} S3 URI of the asset
+ * @throws {Error} If the file doesn't exist or the upload fails
+ */
+export async function uploadAsset(filePath, contentType, folder = config.s3.assetsFolder) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  const fileName = path.basename(filePath);
+  const fileSize = fs.statSync(filePath).size;
+  const sha256 = await hashFile(filePath);
+  const s3Key = `${folder}/${sha256.slice(0, 16)}/${fileName}`;
+  const s3Uri = `s3://${config.s3.bucket}/${s3Key}`;
+
+  if (await isIdenticalObject(s3Key, sha256, fileSize)) {
+    return s3Uri;
+  }
+
+  logger.info(`Uploading asset ${fileName} to S3...`);
+  const upload = new Upload({
+    client: s3Client,
+    params: {
+      Bucket: config.s3.bucket,
+      Key: s3Key,
+      Body: fs.createReadStream(filePath),
+      ContentType: contentType,
+      Metadata: { sha256 },
+    },
+  });
+  await upload.done();
+
+  logger.info(`Asset uploaded: ${s3Uri}`);
+  return s3Uri;
+}
+
+/**
+ * Upload a local file to an exact S3 location
+ *
+ * Used for files produced locally after a job (e.g. sprite sheets) that belong
+ * next to the MediaConvert outputs.
+ *
+ * @param {string} filePath - Local path to the file
+ * @param {string} s3Uri - Destination S3 URI (e.g. 's3://bucket/output/video_123_sprite.vtt')
+ * @param {string} contentType - MIME type of the file
+ * @returns {Promise<string>} The destination S3 URI
+ * @throws {Error} If the file doesn't exist or the upload fails
+ */
+export async function uploadFileToS3(filePath, s3Uri, contentType) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  const { bucket, key } = parseS3Uri(s3Uri);
+  const upload = new Upload({
+    client: s3Client,
+    params: {
+      Bucket: bucket,
+      Key: key,
+      Body: fs.createReadStream(filePath),
+      ContentType: contentType,
+    },
+  });
+  await upload.done();
+
+  logger.info(`Uploaded: ${s3Uri}`);
+  return s3Uri;
+}
+
+/**
+ * S3 multipart limits: smallest part (except the last) and most parts per upload
+ */
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PARTS = 10000;
+
+/**
+ * Longest validity of a presigned URL signed with access keys (7 days)
+ */
+const MAX_PRESIGN_SECONDS = 7 * 24 * 3600;
+
+/**
+ * Check a presigned URL lifetime
+ * @param {number} expiresIn - Seconds the URL stays valid
+ * @returns {number} The lifetime
+ * @throws {Error} If it is not a whole number from 1 to 7 days
+ */
+function validateExpiry(expiresIn) {
+  if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > MAX_PRESIGN_SECONDS) {
+    throw new Error(`Invalid presigned URL expiry ${expiresIn} (whole seconds, 1 to ${MAX_PRESIGN_SECONDS})`);
+  }
+  return expiresIn;
+}
+
+/**
+ * Check that a key is a direct upload key under the input folder
+ * @param {string} key - S3 object key
+ * @throws {Error} If the key is outside {inputFolder}/{id}/{filename}
+ */
+function validateInputKey(key) {
+  const prefix = `${config.s3.inputFolder}/`;
+  if (typeof key !== 'string' || !key.startsWith(prefix) || !/^[0-9a-f]{16}\/[^/]+$/.test(key.slice(prefix.length))) {
+    throw new Error(`Not a direct upload key: ${key}`);
+  }
+}
+
+/**
+ * Start a browser (direct-to-S3) multipart upload with presigned part URLs
+ *
+ * Large files don't have to pass through our server: the browser PUTs each
+ * part straight to S3 with the presigned URL, keeps the ETag response header
+ * of every part, and finishes with completePresignedUpload(). The returned S3
+ * URI can then be used to create the job.
+ *
+ * The browser can't hash the file up front, so the key folder is random
+ * instead of content-addressed; the file name is kept for output naming.
+ *
+ * S3 Path Structure: s3://{bucket}/{inputFolder}/{random 16 hex}/{filename}
+ * Example: s3://my-bucket/input/5e0b1c2d3a4f6789/video.mp4
+ *
+ * @param {string} fileName - Name of the browser's file (sanitized for the key)
+ * @param {number} fileSize - Size in bytes (sets the number of parts)
+ * @param {Object} options - {partSize, expiresIn}
+ * @param {number} options.partSize - Part size in bytes (default: config.s3.uploadPartSizeMb;
+ *   raised when the file would need more than 10,000 parts)
+ * @param {number} options.expiresIn - Seconds the part URLs stay valid (default: config.s3.presignExpiresSeconds)
+ * @returns {Promise<Object>} {uploadId, key, s3Uri, partSize, expiresAt, parts: [{partNumber, url}]}
+ * @throws {Error} If the file type, size or expiry is invalid, or S3 refuses the upload
+ */
+export async function createPresignedUpload(fileName, fileSize, {
+  partSize = config.s3.uploadPartSizeMb * 1024 * 1024,
+  expiresIn = config.s3.presignExpiresSeconds,
+} = {}) {
+  const safeName = sanitizeFileName(fileName);
+  if (!isSupportedVideoFile(safeName)) {
+    throw new Error(`Unsupported video file "${fileName}" (supported: ${Object.keys(VIDEO_CONTENT_TYPES).join(', ')})`);
+  }
+  if (!Number.isInteger(fileSize) || fileSize < 1) {
+    throw new Error(`Invalid file size ${fileSize} (bytes, at least 1)`);
+  }
+  validateExpiry(expiresIn);
+
+  const size = Math.max(partSize, MIN_PART_SIZE, Math.ceil(fileSize / MAX_PARTS));
+  const partCount = Math.ceil(fileSize / size);
+  const key = `${config.s3.inputFolder}/${crypto.randomBytes(8).toString('hex')}/${safeName}`;
+
+  const { UploadId: uploadId } = await s3Client.send(new CreateMultipartUploadCommand({
+    Bucket: config.s3.bucket,
+    Key: key,
+    ContentType: getContentType(safeName),
+  }));
+
+  const parts = [];
+  for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+    const url = await getSignedUrl(s3Client, new UploadPartCommand({
+      Bucket: config.s3.bucket,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+    }), { expiresIn });
+    parts.push({ partNumber, url });
+  }
+
+  logger.info(`🔗 Presigned upload for ${safeName}: ${partCount} part(s) of ${size} bytes, valid ${expiresIn}s`);
+  return {
+    uploadId,
+    key,
+    s3Uri: `s3://${config.s3.bucket}/${key}`,
+    partSize: size,
+    expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+    parts,
+  };
+}
+
+/**
+ * Complete a browser multipart upload started with createPresignedUpload()
+ *
+ * @param {string} key - Object key returned by createPresignedUpload()
+ * @param {string} uploadId - Upload ID returned by createPresignedUpload()
+ * @param {Array<Object>} parts - Uploaded parts [{partNumber, etag}] (ETag response header of each part PUT)
+ * @returns {Promise<string>} S3 URI of the uploaded video
+ * @throws {Error} If the key is not a direct upload key, parts are missing, or S3 rejects the parts
+ */
+export async function completePresignedUpload(key, uploadId, parts) {
+  validateInputKey(key);
+  if (!Array.isArray(parts) || parts.length === 0 || parts.some(part => !Number.isInteger(part?.partNumber) || !part.etag)) {
+    throw new Error('parts must list every uploaded part as {partNumber, etag}');
+  }
+
+  await s3Client.send(new CompleteMultipartUploadCommand({
+    Bucket: config.s3.bucket,
+    Key: key,
+    UploadId: uploadId,
+    MultipartUpload: {
+      Parts: [...parts]
+        .sort((a, b) => a.partNumber - b.partNumber)
+        .map(part => ({ PartNumber: part.partNumber, ETag: part.etag })),
+    },
+  }));
+
+  const s3Uri = `s3://${config.s3.bucket}/${key}`;
+  logger.info(`Upload complete: ${s3Uri}`);
+  return s3Uri;
+}
+
+/**
+ * Abort a browser multipart upload (S3 drops the parts uploaded so far)
+ *
+ * @param {string} key - Object key returned by createPresignedUpload()
+ * @param {string} uploadId - Upload ID returned by createPresignedUpload()
+ * @returns {Promise<void>}
+ * @throws {Error} If the key is not a direct upload key or S3 refuses
+ */
+export async function abortPresignedUpload(key, uploadId) {
+  validateInputKey(key);
+  await s3Client.send(new AbortMultipartUploadCommand({ Bucket: config.s3.bucket, Key: key, UploadId: uploadId }));
+}
+
+/**
+ * Create a time-limited download link for an output
+ *
+ * Lets users share or fetch an output straight from S3 instead of
+ * downloading it locally with downloadFromS3(). The link makes browsers save
+ * the file under its own name.
+ *
+ * Segmented outputs (HLS/CMAF) can't be shared this way: their manifests
+ * reference segments that would need links of their own.
+ *
+ * @param {string} s3Uri - S3 URI of the output (e.g. 's3://bucket/output/video_123.mp4')
+ * @param {number} expiresIn - Seconds the link stays valid (default: config.s3.presignExpiresSeconds)
+ * @returns {Promise<Object>} {uri, url, expiresAt}
+ * @throws {Error} If the URI or expiry is invalid
+ */
+export async function getPresignedDownloadUrl(s3Uri, expiresIn = config.s3.presignExpiresSeconds) {
+  const { bucket, key } = parseS3Uri(s3Uri);
+  validateExpiry(expiresIn);
+
+  const url = await getSignedUrl(s3Client, new GetObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    ResponseContentDisposition: `attachment; filename="${sanitizeFileName(path.basename(key))}"`,
+  }), { expiresIn });
+
+  return { uri: s3Uri, url, expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString() };
+}
+
+/**
+ * Video file extensions and their MIME types
+ */
+const VIDEO_CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.avi': 'video/x-msvideo',
+  '.mkv': 'video/x-matroska',
+  '.webm': 'video/webm',
+  '.flv': 'video/x-flv',
+};
+
 /**
  * Determine content type based on file extension
  * 
@@ -175,18 +539,22 @@ export async function uploadToS3(filePath) {
  * - FLV: video/x-flv
  * - Default: video/mp4
  */
-function getContentType(filePath) {
+export function getContentType(filePath) {
   const ext = path.extname(filePath).toLowerCase();
-  const contentTypes = {
-    '.mp4': 'video/mp4',
-    '.mov': 'video/quicktime',
-    '.avi': 'video/x-msvideo',
-    '.mkv': 'video/x-matroska',
-    '.webm': 'video/webm',
-    '.flv': 'video/x-flv',
-  };
   // Return content type or default to MP4
-  return contentTypes[ext] || 'video/mp4';
+  return VIDEO_CONTENT_TYPES[ext] || 'video/mp4';
+}
+
+/**
+ * Check whether a file has a supported video extension
+ * 
+ * Used by batch mode to pick video files out of a directory.
+ * 
+ * @param {string} filePath - Path to the file
+ * @returns {boolean} True for the extensions listed in VIDEO_CONTENT_TYPES
+ */
+export function isSupportedVideoFile(filePath) {
+  return Object.hasOwn(VIDEO_CONTENT_TYPES, path.extname(filePath).toLowerCase());
 }
 
 /**
@@ -213,25 +581,25 @@ function getContentType(filePath) {
  * - Logs each attempt for transparency
  */
 async function waitForS3Object(bucket, key, maxAttempts = 12, delayMs = 5000) {
-  console.log(`⏳ Waiting for file to appear in S3...`);
+  logger.info(`⏳ Waiting for file to appear in S3...`);
   
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
     try {
       // Use HEAD request to check if file exists (more efficient than GET)
       const headCommand = new HeadObjectCommand({ Bucket: bucket, Key: key });
       await s3Client.send(headCommand);
-      console.log(`✅ File found in S3 (attempt ${attempt})`);
+      logger.info(`✅ File found in S3 (attempt ${attempt})`);
       return true;
     } catch (error) {
       // Handle "file not found" errors - this is expected while waiting
       if (error.name === 'NotFound' || error.name === 'NoSuchKey') {
         if (attempt < maxAttempts) {
           // Log progress and wait before next attempt
-          console.log(`   Attempt ${attempt}/${maxAttempts}: File not ready yet, waiting ${delayMs/1000}s...`);
+          logger.info(`   Attempt ${attempt}/${maxAttempts}: File not ready yet, waiting ${delayMs/1000}s...`);
           await new Promise(resolve => setTimeout(resolve, delayMs));
         } else {
           // Final attempt failed
-          console.error(`   File still not found after ${maxAttempts} attempts`);
+          logger.error(`   File still not found after ${maxAttempts} attempts`);
           return false;
         }
       } else {
@@ -280,7 +648,7 @@ export async function downloadFromS3(s3Uri, localOutputPath) {
     const bucket = match[1];
     const key = match[2];
     
-    console.log(`\n📥 Downloading ${path.basename(key)} from S3...`);
+    logger.info(`\n📥 Downloading ${path.basename(key)} from S3...`);
     
     // Wait for file to appear in S3 (MediaConvert completion doesn't guarantee immediate availability)
     const fileExists = await waitForS3Object(bucket, key, 12, 5000);
@@ -304,6 +672,7 @@ export async function downloadFromS3(s3Uri, localOutputPath) {
     
     // Track download progress
     let downloadedBytes = 0;
+    let lastPercentage = null;
     const totalBytes = response.ContentLength || 0;
     
     // Collect chunks from the stream with progress tracking
@@ -313,11 +682,14 @@ export async function downloadFromS3(s3Uri, localOutputPath) {
       chunks.push(chunk);
       downloadedBytes += chunk.length;
       
-      // Update progress if we know the total size
+      // Update progress if we know the total size (once per percent)
       if (totalBytes > 0) {
         const percentage = Math.round((downloadedBytes / totalBytes) * 100);
-        // Overwrite the same line for progress updates
-        process.stdout.write(`\rDownload progress: ${percentage}%`);
+        if (percentage !== lastPercentage) {
+          lastPercentage = percentage;
+          // Overwrite the same line for progress updates
+          logger.progress('download.progress', { uri: s3Uri, percent: percentage }, `Download progress: ${percentage}%`);
+        }
       }
     }
     
@@ -325,11 +697,221 @@ export async function downloadFromS3(s3Uri, localOutputPath) {
     const buffer = Buffer.concat(chunks);
     fs.writeFileSync(localOutputPath, buffer);
     
-    console.log(`\n✅ Download complete: ${localOutputPath}`);
+    logger.event('download.complete', { uri: s3Uri, path: localOutputPath }, `\n✅ Download complete: ${localOutputPath}`);
     return localOutputPath;
     
   } catch (error) {
-    console.error('Error downloading from S3:', error.message);
+    logger.error('Error downloading from S3:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Download every object under an S3 prefix to a local directory
+ * 
+ * Used for segmented outputs (HLS/CMAF) where a job writes a manifest plus
+ * many segment files. The directory structure below the prefix is preserved.
+ * 
+ * @param {string} s3PrefixUri - S3 URI of the prefix, e.g. 's3://bucket/output/video_123/hls/'
+ * @param {string} localDir - Local directory to download into (e.g., 'outputs/video_123/hls')
+ * @param {string} waitForKey - Object key to wait for before listing, usually the manifest (optional)
+ * @returns {Promise<Array<string>>} Local paths of the downloaded files
+ * @throws {Error} If the prefix is invalid, empty, or a download fails
+ * 
+ * Example:
+ * - Input: 's3://bucket/output/video_123/hls/', 'outputs/video_123/hls'
+ * - Output: ['outputs/video_123/hls/video.m3u8', 'outputs/video_123/hls/video_1080p00001.ts', ...]
+ */
+export async function downloadS3Prefix(s3PrefixUri, localDir, waitForKey = null) {
+  try {
+    const { bucket, key: prefix } = parseS3Uri(s3PrefixUri);
+    
+    logger.info(`\n📥 Downloading ${s3PrefixUri} from S3...`);
+    
+    // Manifests are written last, so once the manifest exists the segments do too
+    if (waitForKey) {
+      const fileExists = await waitForS3Object(bucket, waitForKey, 12, 5000);
+      if (!fileExists) {
+        throw new Error('Manifest not found in S3 after waiting for MediaConvert to complete');
+      }
+    }
+    
+    // List all objects under the prefix (paginated, 1000 keys per page)
+    const keys = [];
+    let continuationToken;
+    do {
+      const response = await s3Client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        ContinuationToken: continuationToken,
+      }));
+      (response.Contents || []).forEach(object => keys.push(object.Key));
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+    
+    if (keys.length === 0) {
+      throw new Error(`No objects found under ${s3PrefixUri}`);
+    }
+    
+    // Stream each object straight to disk (segment trees can be large)
+    const localPaths = [];
+    for (const key of keys) {
+      const localPath = path.join(localDir, key.slice(prefix.length));
+      fs.mkdirSync(path.dirname(localPath), { recursive: true });
+      
+      const response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      await pipeline(response.Body, fs.createWriteStream(localPath));
+      localPaths.push(localPath);
+      
+      // Overwrite the same line for progress updates
+      logger.progress('download.progress', { uri: s3PrefixUri, files: localPaths.length, totalFiles: keys.length },
+        `Download progress: ${localPaths.length}/${keys.length} files`);
+    }
+    
+    logger.event('download.complete', { uri: s3PrefixUri, path: localDir, files: localPaths.length },
+      `\n✅ Download complete: ${localDir} (${localPaths.length} files)`);
+    return localPaths;
+    
+  } catch (error) {
+    logger.error('Error downloading from S3:', error.message);
     throw error;
   }
 }
+
+/**
+ * List the objects directly in an S3 folder (objects in subfolders are left out)
+ *
+ * @param {string} s3FolderUri - S3 URI of the folder, e.g. 's3://bucket/input/'
+ * @returns {Promise<Array<Object>>} [{uri, key, size, etag, lastModified}]
+ * @throws {Error} If the URI is invalid or the listing fails
+ */
+export async function listS3Folder(s3FolderUri) {
+  const { bucket, key } = parseS3Uri(s3FolderUri);
+  const prefix = key && !key.endsWith('/') ? `${key}/` : key;
+
+  const objects = [];
+  let continuationToken;
+  do {
+    const response = await s3Client.send(new ListObjectsV2Command({
+      Bucket: bucket,
+      Prefix: prefix,
+      Delimiter: '/',
+      ContinuationToken: continuationToken,
+    }));
+    (response.Contents || [])
+      .filter(object => object.Key !== prefix)
+      .forEach(object => objects.push({
+        uri: `s3://${bucket}/${object.Key}`,
+        key: object.Key,
+        size: object.Size,
+        etag: object.ETag,
+        lastModified: object.LastModified,
+      }));
+    continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+  } while (continuationToken);
+
+  return objects;
+}
+
+/**
+ * Largest object a single CopyObject request can copy (5 GB); larger objects are copied in parts
+ */
+const MAX_COPY_OBJECT_SIZE = 5 * 1024 * 1024 * 1024;
+const COPY_PART_SIZE = 512 * 1024 * 1024;
+
+/**
+ * Move an S3 object within its bucket (copy, then delete the original)
+ *
+ * An object that already exists at the destination is kept: the moved object
+ * gets a timestamp suffix instead (video.mp4 → video_1736937000000.mp4).
+ *
+ * @param {string} sourceUri - S3 URI of the object
+ * @param {string} destinationUri - S3 URI to move it to
+ * @returns {Promise<string>} S3 URI the object ended up at
+ * @throws {Error} If the copy or delete fails (the original is only deleted after a successful copy)
+ */
+export async function moveS3Object(sourceUri, destinationUri) {
+  const source = parseS3Uri(sourceUri);
+  let destination = parseS3Uri(destinationUri);
+  const copySource = `${source.bucket}/${source.key.split('/').map(encodeURIComponent).join('/')}`;
+
+  if (await headS3Object(destination.bucket, destination.key)) {
+    const { dir, name, ext } = path.posix.parse(destination.key);
+    destination = { bucket: destination.bucket, key: `${dir}/${name}_${Date.now()}${ext}` };
+  }
+
+  const head = await headS3Object(source.bucket, source.key);
+  if (!head) {
+    throw new Error(`Object not found: ${sourceUri}`);
+  }
+
+  if (head.ContentLength <= MAX_COPY_OBJECT_SIZE) {
+    await s3Client.send(new CopyObjectCommand({ Bucket: destination.bucket, Key: destination.key, CopySource: copySource }));
+  } else {
+    // Multipart copy: CopyObject is limited to 5 GB
+    const { UploadId: uploadId } = await s3Client.send(new CreateMultipartUploadCommand({
+      Bucket: destination.bucket,
+      Key: destination.key,
+      ContentType: head.ContentType,
+      Metadata: head.Metadata,
+    }));
+    try {
+      const parts = [];
+      for (let start = 0, partNumber = 1; start < head.ContentLength; start += COPY_PART_SIZE, partNumber++) {
+        const end = Math.min(start + COPY_PART_SIZE, head.ContentLength) - 1;
+        const response = await s3Client.send(new UploadPartCopyCommand({
+          Bucket: destination.bucket,
+          Key: destination.key,
+          UploadId: uploadId,
+          PartNumber: partNumber,
+          CopySource: copySource,
+          CopySourceRange: `bytes=${start}-${end}`,
+        }));
+        parts.push({ PartNumber: partNumber, ETag: response.CopyPartResult.ETag });
+      }
+      await s3Client.send(new CompleteMultipartUploadCommand({
+        Bucket: destination.bucket,
+        Key: destination.key,
+        UploadId: uploadId,
+        MultipartUpload: { Parts: parts },
+      }));
+    } catch (error) {
+      await s3Client.send(new AbortMultipartUploadCommand({ Bucket: destination.bucket, Key: destination.key, UploadId: uploadId }));
+      throw error;
+    }
+  }
+
+  await s3Client.send(new DeleteObjectCommand({ Bucket: source.bucket, Key: source.key }));
+  return `s3://${destination.bucket}/${destination.key}`;
+}
+
+/**
+ * Read an object's metadata
+ * @param {string} bucket - S3 bucket name
+ * @param {string} key - S3 object key
+ * @returns {Promise<Object|null>} HeadObject response, or null if the object doesn't exist
+ */
+async function headS3Object(bucket, key) {
+  try {
+    return await s3Client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+  } catch (error) {
+    if (error.name === 'NotFound' || error.name === 'NoSuchKey') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Parse an S3 URI into bucket and key
+ * @param {string} s3Uri - S3 URI in format 's3://bucket/key'
+ * @returns {Object} {bucket, key}
+ * @throws {Error} If the URI is not a valid S3 URI
+ */
+function parseS3Uri(s3Uri) {
+  const match = s3Uri.match(/^s3:\/\/([^/]+)\/(.*)$/);
+  if (!match) {
+    throw new Error(`Invalid S3 URI format: ${s3Uri}`);
+  }
+  return { bucket: match[1], key: match[2] };
+}
@@ -0,0 +1,271 @@
+/**
+ * Watch Module - Process Videos Dropped Into a Folder
+ *
+ * This module keeps running and sends every new video that appears in a local
+ * folder, or directly under the S3 input folder, through the full pipeline
+ * (upload → transcode → download).
+ *
+ * Local folder (--watch ./incoming):
+ * - A video is picked up once its size and modification time haven't changed
+ *   for config.watch.stableMs, so files still being copied are left alone
+ * - It is claimed by moving it to incoming/processing/, then processed
+ * - The original ends up in incoming/processed/ or incoming/failed/
+ *
+ * S3 input folder (--watch s3):
+ * - Objects directly under s3://{bucket}/{inputFolder}/ are picked up
+ *   (S3 objects only become visible once fully uploaded; the hash folders
+ *   written by uploads and the processed/failed folders are not watched)
+ * - The original ends up in {inputFolder}/processed/ or {inputFolder}/failed/
+ *
+ * Names already taken in processed/ or failed/ get a timestamp suffix.
+ * Every video is a run in the state store (origin 'watch'): videos still
+ * processing when the watcher stopped are resumed by the next --watch of the
+ * same source. Ctrl+C stops picking up new videos and waits for the ones in
+ * progress; a second Ctrl+C exits immediately.
+ *
+ * Dependencies:
+ * - pipeline.js: processVideo()
+ * - upload.js: Video file check, S3 folder listing and moves
+ * - state.js: Watch runs
+ * - logger.js: Per-video results (human or JSON)
+ */
+
+import { processVideo } from './pipeline.js';
+import { isSupportedVideoFile, listS3Folder, moveS3Object } from './upload.js';
+import { createRun, updateRun, listRuns } from './state.js';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Resolve a --watch argument
+ *
+ * @param {string} target - Local directory, or 's3' for the S3 input folder
+ * @returns {Object} {type: 'local'|'s3', id} where id is the absolute directory or the folder's S3 URI
+ * @throws {Error} If the directory doesn't exist
+ */
+export function resolveWatchSource(target) {
+  if (target === 's3') {
+    return { type: 's3', id: `s3://${config.s3.bucket}/${config.s3.inputFolder}/` };
+  }
+  if (!fs.existsSync(target) || !fs.statSync(target).isDirectory()) {
+    throw new Error(`--watch directory not found: ${target}`);
+  }
+  return { type: 'local', id: path.resolve(target) };
+}
+
+/**
+ * Move a local file into a subfolder of its watch directory
+ *
+ * @param {string} filePath - File to move
+ * @param {string} dir - Destination directory (created if needed)
+ * @returns {string} New path (with a timestamp suffix when the name is taken)
+ */
+function moveLocalFile(filePath, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  let destination = path.join(dir, path.basename(filePath));
+  if (fs.existsSync(destination)) {
+    const { name, ext } = path.parse(destination);
+    destination = path.join(dir, `${name}_${Date.now()}${ext}`);
+  }
+  fs.renameSync(filePath, destination);
+  return destination;
+}
+
+/**
+ * Find the videos in a local watch directory that are no longer being written
+ *
+ * Every scan records each file's size and modification time; a file is ready
+ * once both stayed the same for config.watch.stableMs.
+ *
+ * @param {string} dir - Watch directory
+ * @param {Map} observed - File name → {size, mtimeMs, since}, kept between scans
+ * @returns {Array<string>} Names of ready files, oldest first
+ */
+function findStableFiles(dir, observed) {
+  const now = Date.now();
+  const names = fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && !entry.name.startsWith('.') && isSupportedVideoFile(entry.name))
+    .map(entry => entry.name);
+
+  for (const name of observed.keys()) {
+    if (!names.includes(name)) {
+      observed.delete(name);
+    }
+  }
+
+  const ready = [];
+  for (const name of names) {
+    let stats;
+    try {
+      stats = fs.statSync(path.join(dir, name));
+    } catch {
+      continue; // Removed since the directory was read
+    }
+    const previous = observed.get(name);
+    if (!previous || previous.size !== stats.size || previous.mtimeMs !== stats.mtimeMs) {
+      observed.set(name, { size: stats.size, mtimeMs: stats.mtimeMs, since: now });
+    } else if (now - previous.since >= config.watch.stableMs) {
+      ready.push(name);
+    }
+  }
+  return ready.sort((a, b) => observed.get(a).mtimeMs - observed.get(b).mtimeMs);
+}
+
+/**
+ * Move a watch run's original to processed/ or failed/ and record where it went
+ *
+ * @param {Object} source - Watch source from resolveWatchSource()
+ * @param {Object} run - Watch run
+ * @param {string} status - 'processed' or 'failed'
+ * @returns {Promise<string|null>} New location, or null when the original is gone
+ * @throws {Error} If the move fails
+ */
+async function moveOriginal(source, run, status) {
+  let destination = null;
+  if (source.type === 's3') {
+    destination = await moveS3Object(run.inputUri, `${source.id}${status}/${path.posix.basename(run.inputUri)}`);
+  } else if (fs.existsSync(run.filePath)) {
+    destination = moveLocalFile(run.filePath, path.join(source.id, status));
+  }
+  updateRun(run.id, { watchStatus: status, watchFile: destination });
+  return destination;
+}
+
+/**
+ * Watch a local folder or the S3 input folder and process every new video
+ *
+ * Runs until interrupted (Ctrl+C / SIGTERM).
+ *
+ * @param {Object} source - Watch source from resolveWatchSource()
+ * @param {Object} options - Job options applied to every video (see createMediaConvertJob)
+ * @param {number} concurrency - Maximum number of videos processed at once
+ * @returns {Promise<void>} Resolves once stopped and the videos in progress are done
+ */
+export async function watchFolder(source, options, concurrency = config.batch.concurrency) {
+  // S3 URI or processing path → promise of the videos being processed
+  const active = new Map();
+  // S3 objects that couldn't be moved after processing (not picked up again by this watcher)
+  const skipped = new Set();
+  const observed = new Map();
+  let stopping = false;
+  let wake = null;
+
+  // Videos still processing when the last watcher of this source stopped
+  const pending = listRuns('watch').filter(run => run.watchSource === source.id && run.watchStatus === 'processing');
+
+  const start = (run, resumed = false) => {
+    const key = source.type === 's3' ? run.inputUri : run.filePath;
+    const name = path.basename(run.filePath || run.inputUri);
+
+    const task = (async () => {
+      logger.info(`\n${resumed ? `🔁 ${name}: resuming (stage: ${run.stage})` : `▶️  ${name}: starting`}`);
+      let status = 'processed';
+      let result;
+      try {
+        result = await processVideo(run.filePath, run.options, run.id);
+        logger.info(`\n✅ ${name}: complete`);
+      } catch (error) {
+        logger.error(`\n❌ ${name}: failed - ${error.message}`);
+        status = 'failed';
+        result = { runId: run.id, error: error.message };
+      }
+      let destination = null;
+      try {
+        destination = await moveOriginal(source, run, status);
+        if (destination) {
+          logger.info(`📂 ${name} → ${destination}`);
+        }
+      } catch (error) {
+        logger.warn(`⚠️  Could not move ${name} to ${status}/: ${error.message}`);
+        skipped.add(key);
+        updateRun(run.id, { watchStatus: status, watchFile: null });
+      }
+      logger.event('watch.video', { name, status, destination, result });
+    })();
+    active.set(key, task.finally(() => active.delete(key)));
+  };
+
+  // Pick up new videos, as many as there are free slots
+  const poll = async () => {
+    while (pending.length > 0 && active.size < concurrency) {
+      start(pending.shift(), true);
+    }
+    if (active.size >= concurrency) {
+      return;
+    }
+
+    if (source.type === 's3') {
+      const objects = (await listS3Folder(source.id))
+        .filter(object => isSupportedVideoFile(object.key) && !active.has(object.uri) && !skipped.has(object.uri))
+        .sort((a, b) => a.lastModified - b.lastModified);
+      for (const object of objects.slice(0, concurrency - active.size)) {
+        start(createRun(null, options, {
+          origin: 'watch',
+          stage: 'uploaded',
+          inputUri: object.uri,
+          initialFileSize: object.size,
+          watchSource: source.id,
+          watchStatus: 'processing',
+        }));
+      }
+      return;
+    }
+
+    for (const name of findStableFiles(source.id, observed).slice(0, concurrency - active.size)) {
+      let filePath;
+      try {
+        filePath = moveLocalFile(path.join(source.id, name), path.join(source.id, 'processing'));
+      } catch {
+        continue; // Claimed by another watcher or removed in the meantime
+      }
+      observed.delete(name);
+      start(createRun(filePath, options, {
+        origin: 'watch',
+        watchSource: source.id,
+        watchStatus: 'processing',
+      }));
+    }
+  };
+
+  // First signal: finish the videos in progress; second signal: exit now (they resume on the next start)
+  const stop = () => {
+    if (stopping) {
+      logger.info('\n🛑 Exiting now (unfinished videos resume on the next --watch)');
+      process.exit(1);
+    }
+    stopping = true;
+    logger.info(`\n🛑 Stopping: waiting for ${active.size} video(s) in progress (Ctrl+C again to exit now)`);
+    wake?.();
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  logger.info(`👀 Watching ${source.id} (every ${config.watch.intervalMs / 1000}s, concurrency ${concurrency})`);
+  if (pending.length > 0) {
+    logger.info(`🔁 ${pending.length} video(s) from the last watch still to finish`);
+  }
+
+  try {
+    while (!stopping) {
+      try {
+        await poll();
+      } catch (error) {
+        // Listing errors (network, permissions) are retried on the next poll
+        logger.error(`⚠️  Could not check ${source.id}: ${error.message}`);
+      }
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, config.watch.intervalMs);
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+    }
+    await Promise.all(active.values());
+  } finally {
+    process.off('SIGINT', stop);
+    process.off('SIGTERM', stop);
+  }
+}
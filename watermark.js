@@ -0,0 +1,755 @@
+/**
+ * Watermark Module - Watermark Layouts and ImageInserter Generation
+ * 
+ * This module builds the MediaConvert InsertableImages for the watermark:
+ * - Watermark size and edge offset calculation
+ * - Layouts: where the watermark appears in the frame
+ * - Animated sequences (one position at a time, looping) and static watermarks
+ * 
+ * Available layouts:
+ * - two-corners:  top-left and bottom-right (default)
+ * - four-corners: all four corners (clockwise from top-left)
+ * - center:       centre of the frame
+ * - custom:       custom anchor points (fractions of the usable area, 0-1)
+ * - random:       random positions that jump around ("anti-crop")
+ * - tile:         diagonal tile pattern covering the frame (always static)
+ * 
+ * The layout is selected per job (createMediaConvertJob options.watermarkLayout)
+ * or through config (WATERMARK_LAYOUT, WATERMARK_ANCHORS).
+ * 
+ * Watermark image:
+ * - A local PNG (--watermark, or WATERMARK_FILE / the repo's watermark.png)
+ * - Validated (PNG with alpha, dimensions, file size) before anything is uploaded
+ * - Uploaded to a content-versioned key in the assets folder (see uploadAsset)
+ * 
+ * Recipient (forensic) watermarks:
+ * - One text image per recipient ("recipient  YYYY-MM-DD HH:MM UTC"), rendered
+ *   locally with FFmpeg drawtext and uploaded to the assets folder
+ * - Shown for the whole video, bottom-centre, on top of the logo watermark
+ * 
+ * Dependencies:
+ * - config.js: Default opacity, layout, watermark file, font
+ * - upload.js: Asset upload
+ * - fluent-ffmpeg: Text watermark rendering
+ */
+
+import { config } from './config.js';
+import { uploadAsset } from './upload.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ffmpeg from 'fluent-ffmpeg';
+
+/**
+ * Maximum number of images a tile layout may place (keeps the ImageInserter manageable)
+ */
+const MAX_TILE_IMAGES = 20;
+
+/**
+ * Number of positions a random layout uses for static watermarks
+ */
+const STATIC_RANDOM_POSITIONS = 4;
+
+/**
+ * Watermark image limits
+ * - Dimensions: the image is scaled to a square of 80-389px, so tiny images look
+ *   blurry and huge ones only slow down the ImageInserter
+ * - Aspect ratio: the image is rendered square, so it must be roughly square
+ */
+const WATERMARK_MIN_DIMENSION = 64;
+const WATERMARK_MAX_DIMENSION = 2048;
+const WATERMARK_MAX_ASPECT_RATIO = 1.25;
+const WATERMARK_MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * PNG file signature (first 8 bytes of every PNG)
+ */
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Text watermark rendering: font size and padding of the rendered PNG, and the
+ * share of the output width the text takes up (capped by TEXT_WATERMARK_MAX_WIDTH)
+ */
+const TEXT_WATERMARK_FONT_SIZE = 48;
+const TEXT_WATERMARK_PADDING = 16;
+const TEXT_WATERMARK_WIDTH_PERCENT = 40;
+const TEXT_WATERMARK_MAX_CANVAS_WIDTH = 8192;
+
+/**
+ * Asset upload promises per watermark file, so a batch uploads each image once
+ */
+const provisionedWatermarks = new Map();
+
+/**
+ * Watermark layout registry
+ * 
+ * Each layout returns its positions inside the usable area of the frame:
+ * - box.left/box.top: top-left position (offset from the edges)
+ * - box.right/box.bottom: bottom-right position (offset from the edges)
+ * 
+ * simultaneous: all positions are shown at once for the whole video
+ * (otherwise the animated sequence cycles through them one at a time)
+ */
+const WATERMARK_LAYOUTS = {
+  'two-corners': {
+    description: 'Top-left + Bottom-right',
+    simultaneous: false,
+    positions: ({ box }) => [
+      { name: 'top-left', x: box.left, y: box.top },
+      { name: 'bottom-right', x: box.right, y: box.bottom },
+    ],
+  },
+  'four-corners': {
+    description: 'All four corners (clockwise)',
+    simultaneous: false,
+    positions: ({ box }) => [
+      { name: 'top-left', x: box.left, y: box.top },
+      { name: 'top-right', x: box.right, y: box.top },
+      { name: 'bottom-right', x: box.right, y: box.bottom },
+      { name: 'bottom-left', x: box.left, y: box.bottom },
+    ],
+  },
+  center: {
+    description: 'Center',
+    simultaneous: false,
+    positions: ({ box }) => [
+      { name: 'center', x: Math.floor((box.left + box.right) / 2), y: Math.floor((box.top + box.bottom) / 2) },
+    ],
+  },
+  custom: {
+    description: 'Custom anchor points',
+    simultaneous: false,
+    positions: ({ box, anchors }) => {
+      if (!anchors || anchors.length === 0) {
+        throw new Error('Watermark layout "custom" requires anchor points (WATERMARK_ANCHORS or --watermark-anchors)');
+      }
+      return anchors.map((anchor, index) => ({
+        name: `anchor-${index + 1}`,
+        x: Math.round(box.left + anchor.x * (box.right - box.left)),
+        y: Math.round(box.top + anchor.y * (box.bottom - box.top)),
+      }));
+    },
+  },
+  random: {
+    description: 'Random positions (anti-crop)',
+    simultaneous: false,
+    positions: ({ box, count, seed }) => {
+      const random = createRandom(seed);
+      return Array.from({ length: count }, (_, index) => ({
+        name: `random-${index + 1}`,
+        x: Math.round(box.left + random() * (box.right - box.left)),
+        y: Math.round(box.top + random() * (box.bottom - box.top)),
+      }));
+    },
+  },
+  tile: {
+    description: 'Diagonal tile pattern',
+    simultaneous: true,
+    positions: ({ videoWidth, videoHeight, watermarkSize }) => {
+      // Widen the spacing until the pattern fits in MAX_TILE_IMAGES
+      for (let spacing = watermarkSize * 3; ; spacing += watermarkSize) {
+        const positions = [];
+        for (let row = 0, y = 0; y + watermarkSize <= videoHeight; row++, y += spacing) {
+          // Shift every row by one watermark width to form diagonal lines
+          const shift = (row * watermarkSize) % spacing;
+          for (let x = shift; x + watermarkSize <= videoWidth; x += spacing) {
+            positions.push({ name: `tile-${positions.length + 1}`, x, y });
+          }
+        }
+        if (positions.length <= MAX_TILE_IMAGES) {
+          return positions;
+        }
+      }
+    },
+  },
+};
+
+/**
+ * Names of the available watermark layouts
+ */
+export const WATERMARK_LAYOUT_NAMES = Object.keys(WATERMARK_LAYOUTS);
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * 
+ * Seeded so every output of one job (MP4 and each HLS/CMAF rung) gets the
+ * same random positions.
+ * 
+ * @param {number} seed - Integer seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Get a layout definition by name
+ * @param {string} layout - Layout name (see WATERMARK_LAYOUT_NAMES)
+ * @returns {Object} Layout definition
+ * @throws {Error} If the layout doesn't exist
+ */
+export function getWatermarkLayout(layout) {
+  const definition = WATERMARK_LAYOUTS[layout];
+  if (!definition) {
+    throw new Error(`Unknown watermark layout "${layout}". Available: ${WATERMARK_LAYOUT_NAMES.join(', ')}`);
+  }
+  return definition;
+}
+
+/**
+ * Parse watermark anchor points
+ * 
+ * Format: "x,y;x,y;..." where x and y are fractions (0-1) of the usable area
+ * (0,0 = top-left corner position, 1,1 = bottom-right corner position).
+ * 
+ * @param {string} value - Anchor string, e.g. '0.5,0;0.5,1'
+ * @returns {Array<Object>} Anchors [{x, y}]
+ * @throws {Error} If an anchor is malformed or out of range
+ * 
+ * Example: '0.5,0;0.5,1' → top-center and bottom-center
+ */
+export function parseWatermarkAnchors(value) {
+  if (!value) {
+    return [];
+  }
+  return value.split(';').map(pair => {
+    const [x, y] = pair.split(',').map(Number);
+    if (![x, y].every(n => Number.isFinite(n) && n >= 0 && n <= 1)) {
+      throw new Error(`Invalid watermark anchor "${pair}" (expected "x,y" with values between 0 and 1)`);
+    }
+    return { x, y };
+  });
+}
+
+/**
+ * Calculate the watermark positions of a layout for one frame size
+ * 
+ * @param {Object} options - Layout options
+ * @param {string} options.layout - Layout name
+ * @param {number} options.videoWidth - Video width in pixels
+ * @param {number} options.videoHeight - Video height in pixels
+ * @param {number} options.watermarkSize - Watermark size in pixels
+ * @param {number} options.offset - Offset from edges in pixels
+ * @param {Array} options.anchors - Anchor points for the custom layout
+ * @param {number} options.count - Number of positions for the random layout
+ * @param {number} options.seed - Seed for the random layout
+ * @returns {Array} Positions [{name, x, y}] (never negative)
+ */
+function getLayoutPositions({ layout, videoWidth, videoHeight, watermarkSize, offset, anchors, count, seed }) {
+  const box = {
+    left: offset,
+    top: offset,
+    right: videoWidth - watermarkSize - offset,
+    bottom: videoHeight - watermarkSize - offset,
+  };
+  
+  return getWatermarkLayout(layout)
+    .positions({ box, videoWidth, videoHeight, watermarkSize, anchors, count, seed })
+    .map(position => ({ ...position, x: Math.max(0, position.x), y: Math.max(0, position.y) }));
+}
+
+/**
+ * Convert seconds to MediaConvert timecode format (HH:MM:SS:FF)
+ * 
+ * MediaConvert uses a specific timecode format for watermark timing.
+ * Format: Hours:Minutes:Seconds:Frames
+ * 
+ * @param {number} totalSeconds - Total seconds (can include fractional seconds)
+ * @param {number} frames - Frame number (default: 0)
+ * @returns {string} Timecode string in format HH:MM:SS:FF
+ * 
+ * Example: 125.5 seconds → "00:02:05:00"
+ */
+export function secondsToTimecode(totalSeconds, frames = 0) {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = Math.floor(totalSeconds % 60);
+  
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}:${frames.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Generate looping watermark sequence for entire video duration
+ * 
+ * This function creates an animated watermark sequence that loops throughout the video.
+ * The watermark jumps between the positions of the selected layout (by default
+ * top-left and bottom-right), creating a continuous loop effect.
+ * 
+ * How it works:
+ * 1. Get the layout positions (e.g. top-left and bottom-right corners)
+ * 2. Split the video into slots of durationMs
+ * 3. Each slot shows the watermark at the next position (looping through the positions)
+ * 4. Adjust duration for the final watermark if it extends beyond video end
+ * 
+ * Simultaneous layouts (tile) have no animation and are delegated to
+ * generateStaticWatermarks(). The random layout gets one position per slot.
+ * 
+ * @param {Object} options - Watermark configuration options
+ * @param {number} options.videoWidth - Video width in pixels
+ * @param {number} options.videoHeight - Video height in pixels
+ * @param {number} options.videoDurationMs - Video duration in milliseconds
+ * @param {number} options.watermarkSize - Watermark size in pixels (square, width and height)
+ * @param {number} options.offset - Offset from edges in pixels
+ * @param {number} options.durationMs - Duration for each watermark in milliseconds (default: 5000)
+ * @param {number} options.opacity - Opacity (0-100, where 100 is fully opaque)
+ * @param {string} options.watermarkUri - S3 URI of the watermark image (see provisionWatermarkAsset)
+ * @param {string} options.layout - Layout name (default: config.mediaconvert.watermarkLayout)
+ * @param {Array} options.anchors - Anchor points for the custom layout
+ * @param {number} options.seed - Seed for the random layout
+ * @param {Object} options.window - Main content on the output timeline {startMs, durationMs} when the job
+ *   has intro/outro bumpers (startMs in whole seconds); null: the whole output
+ * @returns {Array} Array of watermark objects ready for MediaConvert InsertableImages
+ * 
+ * Example for 30-second video (two-corners):
+ * - Sequence duration: 5s per corner × 2 corners = 10s
+ * - Number of slots: ceil(30000ms / 5000ms) = 6 slots
+ * - Total watermarks: 6 (top-left, bottom-right, top-left, ...)
+ */
+export function generateWatermarkSequence({
+  videoWidth = 1920,
+  videoHeight = 1080,
+  videoDurationMs = 15000,
+  watermarkSize = 100,
+  offset = 50,
+  durationMs = 5000,
+  opacity = config.mediaconvert.watermarkOpacity,
+  watermarkUri,
+  layout = config.mediaconvert.watermarkLayout,
+  anchors = parseWatermarkAnchors(config.mediaconvert.watermarkAnchors),
+  seed = 1,
+  window = null,
+}) {
+  // Layouts without animation show every position for the whole video
+  if (getWatermarkLayout(layout).simultaneous) {
+    return generateStaticWatermarks({ videoWidth, videoHeight, watermarkSize, offset, opacity, watermarkUri, layout, anchors, seed, window });
+  }
+
+  // Calculate timing information
+  const numberOfSlots = Math.ceil(videoDurationMs / durationMs); // How many watermark slots are needed
+  const positions = getLayoutPositions({
+    layout,
+    videoWidth,
+    videoHeight,
+    watermarkSize,
+    offset,
+    anchors,
+    count: numberOfSlots,
+    seed,
+  });
+  const watermarks = []; // Array to hold all watermark objects
+  
+  let layerIndex = 0; // Track layer number for each watermark (MediaConvert requirement)
+  
+  // Generate one watermark per slot, cycling through the layout positions
+  for (let slotIndex = 0; slotIndex < numberOfSlots; slotIndex++) {
+    const position = positions[slotIndex % positions.length];
+    const watermarkStartMs = slotIndex * durationMs;
+    
+    // Calculate remaining duration if this is the last slot
+    // Duration MUST be integer milliseconds (not timecode string)
+    let watermarkDuration = durationMs;
+    if (watermarkStartMs + durationMs > videoDurationMs) {
+      watermarkDuration = videoDurationMs - watermarkStartMs;
+    }
+    
+    watermarks.push({
+      ImageInserterInput: watermarkUri,
+      Layer: layerIndex++,
+      Opacity: opacity,
+      Width: watermarkSize,
+      Height: watermarkSize,
+      Duration: Math.floor(watermarkDuration), // Integer milliseconds - CRITICAL for watermark to show
+      StartTime: secondsToTimecode(((window?.startMs || 0) + watermarkStartMs) / 1000),
+      ImageX: position.x,
+      ImageY: position.y,
+    });
+  }
+  
+  return watermarks;
+}
+
+/**
+ * Generate static watermarks for videos (no animation)
+ * 
+ * This function creates static watermarks that persist throughout the entire video,
+ * one at every position of the selected layout (by default top-left and bottom-right).
+ * The random layout uses a fixed set of STATIC_RANDOM_POSITIONS positions.
+ * 
+ * Used for videos with yuvj420p color space to avoid ImageInserter preprocessor failures
+ * when using animated watermarks, and for simultaneous layouts (tile).
+ * 
+ * @param {Object} options - Watermark configuration options
+ * @param {number} options.videoWidth - Video width in pixels
+ * @param {number} options.videoHeight - Video height in pixels
+ * @param {number} options.watermarkSize - Watermark size in pixels (square, width and height)
+ * @param {number} options.offset - Offset from edges in pixels
+ * @param {number} options.opacity - Opacity (0-100, where 100 is fully opaque)
+ * @param {string} options.watermarkUri - S3 URI of the watermark image
+ * @param {string} options.layout - Layout name (default: config.mediaconvert.watermarkLayout)
+ * @param {Array} options.anchors - Anchor points for the custom layout
+ * @param {number} options.seed - Seed for the random layout
+ * @param {Object} options.window - Only show the watermarks from startMs for durationMs (main content
+ *   between bumpers); null: the whole video
+ * @returns {Array} Array of watermark objects, one per layout position (e.g. top-left, bottom-right)
+ */
+export function generateStaticWatermarks({
+  videoWidth = 1920,
+  videoHeight = 1080,
+  watermarkSize = 100,
+  offset = 50,
+  opacity = config.mediaconvert.watermarkOpacity,
+  watermarkUri,
+  layout = config.mediaconvert.watermarkLayout,
+  anchors = parseWatermarkAnchors(config.mediaconvert.watermarkAnchors),
+  seed = 1,
+  window = null,
+}) {
+  const positions = getLayoutPositions({
+    layout,
+    videoWidth,
+    videoHeight,
+    watermarkSize,
+    offset,
+    anchors,
+    count: STATIC_RANDOM_POSITIONS,
+    seed,
+  });
+  
+  return positions.map((position, index) => ({
+    ImageInserterInput: watermarkUri,
+    Layer: index,
+    Opacity: opacity,
+    Width: watermarkSize,
+    Height: watermarkSize,
+    ...(window && { Duration: window.durationMs, StartTime: secondsToTimecode(window.startMs / 1000) }),
+    ImageX: position.x,
+    ImageY: position.y,
+  }));
+}
+
+/**
+ * Calculate optimal watermark size based on video dimensions
+ * 
+ * This function determines the appropriate watermark size based on video dimensions.
+ * It uses the smaller dimension (width or height) to ensure the watermark fits
+ * properly in both landscape and portrait orientations.
+ * 
+ * Formula: Smaller dimension × percentage, with a minimum size enforced.
+ * 
+ * Why use smaller dimension?
+ * - Landscape videos: smaller dimension = height, watermark fits vertically
+ * - Portrait videos: smaller dimension = width, watermark fits horizontally
+ * - Ensures watermark is always visible and proportional
+ * 
+ * @param {number} videoWidth - Video width in pixels
+ * @param {number} videoHeight - Video height in pixels
+ * @param {number} percentSize - Percentage of smaller dimension (default: 12%, 18% for large files)
+ * @param {number} minSize - Minimum watermark size in pixels (default: 80)
+ * @returns {number} Calculated watermark size (rounded down to integer)
+ * 
+ * Examples:
+ * - 1920×1080 → uses 1080px → 12% = 130px → returns 130px
+ * - 3840×2160 → uses 2160px → 18% = 389px → returns 389px (large file, bigger watermark)
+ * - 720×480 → uses 480px → 12% = 58px → min 80px → returns 80px
+ */
+export function calculateWatermarkSize(videoWidth, videoHeight, percentSize = 10, minSize = 80) {
+  // Use the smaller dimension to ensure watermark fits both orientations
+  const smallerDimension = Math.min(videoWidth, videoHeight);
+  // Calculate size as percentage of smaller dimension
+  const calculatedSize = (smallerDimension * percentSize) / 100;
+  // Apply minimum size requirement
+  const finalSize = Math.max(calculatedSize, minSize);
+  
+  // Round down to integer (pixels must be whole numbers)
+  return Math.floor(finalSize);
+}
+
+/**
+ * Calculate watermark offset based on video dimensions
+ * @param {number} videoWidth - Video width in pixels
+ * @param {number} videoHeight - Video height in pixels
+ * @returns {number} Offset in pixels
+ */
+export function calculateWatermarkOffset(videoWidth, videoHeight) {
+  // Use 3-5% of the smaller dimension, minimum 30px
+  const smallerDimension = Math.min(videoWidth, videoHeight);
+  const percentOffset = Math.max(3, Math.min(5, smallerDimension / 400));
+  const offset = (smallerDimension * percentOffset) / 100;
+  return Math.max(Math.floor(offset), 20);
+}
+
+/**
+ * Validate a local watermark image
+ * 
+ * Reads the PNG header and chunk list (no image decoding):
+ * - Must be a PNG (signature + IHDR)
+ * - Must have an alpha channel: color type 4/6 (gray/RGB + alpha) or a tRNS chunk
+ * - Dimensions between WATERMARK_MIN_DIMENSION and WATERMARK_MAX_DIMENSION,
+ *   roughly square (aspect ratio up to WATERMARK_MAX_ASPECT_RATIO)
+ * - File size up to WATERMARK_MAX_FILE_SIZE
+ * 
+ * @param {string} filePath - Local path to the watermark PNG
+ * @returns {Object} {width, height, size}
+ * @throws {Error} Describing the first check that failed
+ */
+export function validateWatermarkImage(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Watermark file not found: ${filePath}`);
+  }
+
+  const size = fs.statSync(filePath).size;
+  if (size > WATERMARK_MAX_FILE_SIZE) {
+    throw new Error(`Watermark ${filePath} is ${(size / 1024 / 1024).toFixed(1)} MB (max ${WATERMARK_MAX_FILE_SIZE / 1024 / 1024} MB)`);
+  }
+
+  const data = fs.readFileSync(filePath);
+  if (data.length < 33 || !data.subarray(0, 8).equals(PNG_SIGNATURE) || data.toString('ascii', 12, 16) !== 'IHDR') {
+    throw new Error(`Watermark ${filePath} is not a PNG image`);
+  }
+
+  // IHDR: width (4), height (4), bit depth (1), color type (1), ...
+  const width = data.readUInt32BE(16);
+  const height = data.readUInt32BE(20);
+  const colorType = data[25];
+
+  // Color types 4 and 6 carry an alpha channel; the others need a tRNS chunk (before IDAT)
+  let hasAlpha = colorType === 4 || colorType === 6;
+  for (let offset = 8; !hasAlpha && offset + 8 <= data.length;) {
+    const chunkType = data.toString('ascii', offset + 4, offset + 8);
+    if (chunkType === 'tRNS') {
+      hasAlpha = true;
+    }
+    if (chunkType === 'IDAT' || chunkType === 'IEND') {
+      break;
+    }
+    offset += 12 + data.readUInt32BE(offset); // length + type + data + CRC
+  }
+  if (!hasAlpha) {
+    throw new Error(`Watermark ${filePath} has no alpha channel (transparency is required)`);
+  }
+
+  if (Math.min(width, height) < WATERMARK_MIN_DIMENSION || Math.max(width, height) > WATERMARK_MAX_DIMENSION) {
+    throw new Error(`Watermark ${filePath} is ${width}x${height}px (allowed: ${WATERMARK_MIN_DIMENSION}-${WATERMARK_MAX_DIMENSION}px per side)`);
+  }
+  if (Math.max(width, height) / Math.min(width, height) > WATERMARK_MAX_ASPECT_RATIO) {
+    throw new Error(`Watermark ${filePath} is ${width}x${height}px; it is rendered square, so the aspect ratio must be at most ${WATERMARK_MAX_ASPECT_RATIO}:1`);
+  }
+
+  return { width, height, size };
+}
+
+/**
+ * Validate a watermark image and make sure it is in S3
+ * 
+ * Uploads to a content-versioned assets key (uploadAsset skips identical
+ * objects), so the default watermark is provisioned automatically the first
+ * time it is missing. Each file is uploaded at most once per process.
+ * 
+ * @param {string} filePath - Local watermark PNG (default: config.mediaconvert.watermarkFile)
+ * @returns {Promise<string>} S3 URI of the watermark image
+ * @throws {Error} If validation or the upload fails
+ */
+export function provisionWatermarkAsset(filePath = config.mediaconvert.watermarkFile) {
+  const resolvedPath = path.resolve(filePath);
+  if (!provisionedWatermarks.has(resolvedPath)) {
+    const upload = Promise.resolve()
+      .then(() => validateWatermarkImage(resolvedPath))
+      .then(() => uploadAsset(resolvedPath, 'image/png'));
+    // Forget failed attempts so a later job can retry
+    upload.catch(() => provisionedWatermarks.delete(resolvedPath));
+    provisionedWatermarks.set(resolvedPath, upload);
+  }
+  return provisionedWatermarks.get(resolvedPath);
+}
+
+/**
+ * Escape a value (such as a file path) for a filter option in an FFmpeg filtergraph
+ *
+ * Two levels, as FFmpeg unescapes twice: the option value (\ ' :), then the
+ * filtergraph description the filter sits in (\ ' [ ] , ;).
+ * /fonts/Brand: Sans, Bold.ttf → /fonts/Brand\\: Sans\, Bold.ttf
+ *
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeFilterValue(value) {
+  return value
+    .replace(/[\\':]/g, '\\$&')
+    .replace(/[\\'[\],;]/g, '\\$&');
+}
+
+/**
+ * Run FFmpeg drawtext on a transparent canvas
+ *
+ * @param {string} drawtext - drawtext filter options
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {Array<string>} filters - Filters applied after drawtext
+ * @param {Array<string>} outputOptions - FFmpeg output options
+ * @param {string} outputPath - Output file
+ * @returns {Promise<void>}
+ */
+function runDrawtext(drawtext, width, height, filters, outputOptions, outputPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg()
+      .input(`color=c=black@0.0:s=${width}x${height},format=rgba`)
+      .inputFormat('lavfi')
+      .videoFilters([`drawtext=${drawtext}`, ...filters])
+      .outputOptions(['-frames:v 1', ...outputOptions])
+      .output(outputPath)
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+}
+
+/**
+ * Render a text watermark to a transparent PNG with FFmpeg drawtext
+ * 
+ * The text is passed through a text file (expansion disabled), so e-mail
+ * addresses and other user input need no escaping. Glyph widths vary a lot
+ * (i vs. W, Latin vs. CJK), so the text is first drawn on an oversized canvas
+ * and its alpha channel read back to find where it ends; the PNG is then
+ * cropped to the text. White text with a dark border stays legible on light
+ * and dark footage.
+ * 
+ * @param {string} text - Text to render
+ * @param {string} outputPath - Where to write the PNG
+ * @returns {Promise<Object>} Rendered image {path, width, height}
+ * @throws {Error} If FFmpeg fails (e.g. no drawtext support or no font)
+ */
+export async function renderTextWatermark(text, outputPath) {
+  const height = TEXT_WATERMARK_FONT_SIZE + TEXT_WATERMARK_PADDING * 2;
+  // Wide enough for full-width glyphs (about 1em each) plus the border
+  const canvasWidth = Math.min(TEXT_WATERMARK_MAX_CANVAS_WIDTH,
+    Math.ceil(text.length * TEXT_WATERMARK_FONT_SIZE * 1.2) + TEXT_WATERMARK_PADDING * 2);
+  const textFile = `${outputPath}.txt`;
+  const alphaFile = `${outputPath}.alpha`;
+  fs.writeFileSync(textFile, text);
+
+  const drawtext = [
+    `textfile=${escapeFilterValue(textFile)}`,
+    'expansion=none',
+    `fontsize=${TEXT_WATERMARK_FONT_SIZE}`,
+    'fontcolor=white',
+    'borderw=3',
+    'bordercolor=black@0.6',
+    `x=${TEXT_WATERMARK_PADDING}`,
+    'y=(h-text_h)/2',
+    ...(config.mediaconvert.watermarkFontFile ? [`fontfile=${escapeFilterValue(config.mediaconvert.watermarkFontFile)}`] : []),
+  ].join(':');
+
+  try {
+    // Pass 1: the alpha channel as raw 8-bit pixels (one byte per pixel, row by row)
+    await runDrawtext(drawtext, canvasWidth, height, ['alphaextract'], ['-f rawvideo', '-pix_fmt gray'], alphaFile);
+    const alpha = fs.readFileSync(alphaFile);
+    let lastColumn = -1;
+    for (let offset = 0; offset < alpha.length; offset++) {
+      if (alpha[offset] > 0) {
+        lastColumn = Math.max(lastColumn, offset % canvasWidth);
+      }
+    }
+    if (lastColumn === canvasWidth - 1) {
+      throw new Error(`Text watermark "${text}" is wider than ${canvasWidth}px`);
+    }
+
+    // Pass 2: the PNG, cropped to the text plus padding
+    const width = Math.max(lastColumn + 1, TEXT_WATERMARK_PADDING) + TEXT_WATERMARK_PADDING;
+    await runDrawtext(drawtext, canvasWidth, height, [`crop=${width}:${height}:0:0`], ['-pix_fmt rgba'], outputPath);
+    return { path: outputPath, width, height };
+  } finally {
+    fs.rmSync(textFile, { force: true });
+    fs.rmSync(alphaFile, { force: true });
+  }
+}
+
+/**
+ * Render and upload one text watermark per recipient
+ * 
+ * Each image reads "<recipient>  <YYYY-MM-DD HH:MM> UTC" so a leaked copy
+ * identifies both the viewer and when the copy was made.
+ * 
+ * @param {Array<string>} recipients - Recipient e-mail addresses or IDs
+ * @param {Date} issuedAt - Timestamp printed next to the recipient (default: now)
+ * @returns {Promise<Array<Object>>} [{recipient, text, watermarkUri, width, height}] in recipient order
+ * @throws {Error} If rendering or uploading fails
+ */
+export async function provisionRecipientWatermarks(recipients, issuedAt = new Date()) {
+  const stamp = `${issuedAt.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recipient-watermarks-'));
+
+  try {
+    const results = [];
+    for (const [index, recipient] of recipients.entries()) {
+      const text = `${recipient}  ${stamp}`;
+      const image = await renderTextWatermark(text, path.join(workDir, `${recipientSlug(recipient, index)}.png`));
+      const watermarkUri = await uploadAsset(image.path, 'image/png');
+      results.push({ recipient, text, watermarkUri, width: image.width, height: image.height });
+    }
+    return results;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * File-name-safe identifier for a recipient, prefixed with its position so
+ * recipients that slug to the same text still get distinct outputs
+ * 
+ * @param {string} recipient - Recipient e-mail address or ID
+ * @param {number} index - Position in the recipient list
+ * @returns {string} e.g. 'jane@example.com' at index 0 → '1-jane-example-com'
+ */
+export function recipientSlug(recipient, index) {
+  const slug = recipient.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+  return `${index + 1}-${slug || 'recipient'}`;
+}
+
+/**
+ * Generate the InsertableImage for a recipient text watermark
+ * 
+ * Static for the whole video, bottom-centre (above the edge offset) and
+ * TEXT_WATERMARK_WIDTH_PERCENT of the output width, keeping the aspect ratio
+ * of the rendered text.
+ * 
+ * @param {Object} options - Text watermark options
+ * @param {number} options.videoWidth - Video width in pixels
+ * @param {number} options.videoHeight - Video height in pixels
+ * @param {Object} options.image - Provisioned text image {watermarkUri, width, height}
+ * @param {number} options.offset - Offset from edges in pixels
+ * @param {number} options.layer - Layer (above the logo watermark layers)
+ * @param {number} options.opacity - Opacity (0-100)
+ * @param {Object} options.window - Only show the text from startMs for durationMs (main content
+ *   between bumpers); null: the whole video
+ * @returns {Object} InsertableImage
+ */
+export function generateTextWatermark({
+  videoWidth,
+  videoHeight,
+  image,
+  offset,
+  layer,
+  opacity = config.mediaconvert.watermarkOpacity,
+  window = null,
+}) {
+  const width = Math.min(image.width, Math.floor(videoWidth * TEXT_WATERMARK_WIDTH_PERCENT / 100));
+  const height = Math.max(1, Math.round(width * image.height / image.width));
+
+  return {
+    ImageInserterInput: image.watermarkUri,
+    Layer: layer,
+    Opacity: opacity,
+    Width: width,
+    Height: height,
+    ...(window && { Duration: window.durationMs, StartTime: secondsToTimecode(window.startMs / 1000) }),
+    ImageX: Math.floor((videoWidth - width) / 2),
+    ImageY: Math.max(0, videoHeight - height - offset),
+  };
+}
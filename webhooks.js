@@ -0,0 +1,175 @@
+/**
+ * Webhooks Module - Signed Job Notifications
+ *
+ * This module POSTs job lifecycle events to the configured webhook URLs so
+ * other systems (e.g. a CMS) learn about job progress without polling.
+ *
+ * Events:
+ * - submitted:   MediaConvert job created {jobId, inputUri, profile}
+ * - progressing: Job progress {jobId, status, percentComplete, phase}
+ *                (sent when the job starts and every config.webhooks.progressStep percent)
+ * - complete:    Job finished {jobId, outputUri, outputUris}
+ * - error:       Job failed or was canceled {jobId, status, errorCode, errorMessage};
+ *                also when the job couldn't be created (jobId and status null) or
+ *                monitoring failed (status null), with the error's name as errorCode
+ *
+ * Payload: {"id", "event", "createdAt", "data"}; the id stays the same across
+ * retries so receivers can drop duplicates.
+ *
+ * Signing:
+ * - X-Webhook-Timestamp: Unix seconds of the attempt
+ * - X-Webhook-Signature: sha256=HMAC-SHA256(secret, "{timestamp}.{body}") in hex
+ * Receivers recompute the HMAC over the raw body and reject old timestamps.
+ *
+ * Delivery:
+ * - Each URL is delivered independently; network errors, timeouts, 429 and 5xx
+ *   answers are retried with exponential backoff (retryBaseMs, 2x, 4x, ...)
+ * - Other 4xx answers are not retried
+ * - Deliveries never throw: a failed webhook is logged and never fails the job
+ * - Deliveries run in the background; flushWebhooks() waits for them before exit
+ *
+ * Dependencies:
+ * - config.js: Webhook URLs, secret and retry settings
+ * - crypto: HMAC signatures and delivery IDs
+ */
+
+import { config } from './config.js';
+import { logger } from './logger.js';
+import crypto from 'crypto';
+
+/**
+ * Webhook event names (see module header)
+ */
+export const WEBHOOK_EVENTS = ['submitted', 'progressing', 'complete', 'error'];
+
+/**
+ * Deliveries still in flight (including retries)
+ */
+const pendingDeliveries = new Set();
+
+/**
+ * Check whether webhooks are configured
+ * @returns {boolean} True if WEBHOOK_URLS lists at least one URL
+ */
+export function isWebhookConfigured() {
+  return config.webhooks.urls.length > 0;
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix seconds
+ * @param {string} secret - HMAC secret (default: config.webhooks.secret)
+ * @returns {string} 'sha256=<hex>'
+ */
+export function signWebhookPayload(body, timestamp, secret = config.webhooks.secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Whether a failed attempt should be retried
+ * @param {number|null} status - HTTP status (null: network error or timeout)
+ * @returns {boolean} True for network errors, 408, 429 and 5xx
+ */
+function isRetryable(status) {
+  return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Deliver one payload to one URL, retrying with exponential backoff
+ *
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - {id, event, createdAt, data}
+ * @returns {Promise<boolean>} True when the receiver answered 2xx
+ */
+async function deliver(url, payload) {
+  const body = JSON.stringify(payload);
+  const { maxAttempts, retryBaseMs, timeoutMs } = config.webhooks;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    let status = null;
+    let reason;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'aws-mediaconvert-webhooks',
+          'X-Webhook-Id': payload.id,
+          'X-Webhook-Event': payload.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signWebhookPayload(body, timestamp),
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      status = response.status;
+      await response.body?.cancel();
+      if (response.ok) {
+        return true;
+      }
+      reason = `HTTP ${status}`;
+    } catch (error) {
+      reason = error.name === 'TimeoutError' ? `no answer within ${timeoutMs}ms` : error.cause?.message || error.message;
+    }
+
+    if (!isRetryable(status) || attempt === maxAttempts) {
+      logger.warn(`⚠️  Webhook ${payload.event} to ${url} failed after ${attempt} attempt(s): ${reason}`);
+      return false;
+    }
+    const delayMs = retryBaseMs * 2 ** (attempt - 1);
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+  return false;
+}
+
+/**
+ * Send an event to every configured webhook URL (in the background)
+ *
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data (see module header)
+ * @returns {Promise<void>} Resolves once every URL got the event or gave up (never rejects)
+ */
+export function notifyWebhooks(event, data) {
+  if (!isWebhookConfigured()) {
+    return Promise.resolve();
+  }
+
+  const payload = { id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), data };
+  const delivery = Promise.all(config.webhooks.urls.map(url => deliver(url, payload))).then(() => {});
+  pendingDeliveries.add(delivery);
+  delivery.finally(() => pendingDeliveries.delete(delivery));
+  return delivery;
+}
+
+/**
+ * Create a progress notifier for one job
+ *
+ * Sends 'progressing' when the job starts progressing and then whenever the
+ * percentage has moved by at least config.webhooks.progressStep, so a job
+ * polled every few seconds doesn't flood the receivers.
+ *
+ * @param {string} jobId - MediaConvert job ID
+ * @returns {Function} (percentComplete, phase) => void
+ */
+export function createProgressNotifier(jobId) {
+  let lastPercent = null;
+  return (percentComplete = 0, phase = null) => {
+    if (lastPercent !== null && percentComplete < lastPercent + config.webhooks.progressStep) {
+      return;
+    }
+    lastPercent = percentComplete;
+    notifyWebhooks('progressing', { jobId, status: 'PROGRESSING', percentComplete, phase });
+  };
+}
+
+/**
+ * Wait for all webhook deliveries in flight (call before the process exits)
+ * @returns {Promise<void>}
+ */
+export async function flushWebhooks() {
+  while (pendingDeliveries.size > 0) {
+    await Promise.all([...pendingDeliveries]);
+  }
+}